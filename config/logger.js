@@ -12,6 +12,7 @@ const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: logFormat,
   defaultMeta: { service: 'court-tracker' },
+  silent: process.env.NODE_ENV === 'test', // npm test doesn't write the log files
   transports: [
     new winston.transports.File({ 
       filename: path.join('logs', 'error.log'), 
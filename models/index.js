@@ -8,9 +8,85 @@ const deviceSchema = new mongoose.Schema({
     unique: true,
     index: true
   },
+  // SHA-256 of the device secret issued at registration (services/deviceAuth.js)
+  secretHash: {
+    type: String,
+    default: null,
+    select: false
+  },
   fcmToken: {
     type: String,
-    required: true
+    default: null // most recently registered token; devices that only take email, Telegram etc. have none
+  },
+  // FCM tokens of the app installs of this device (services/deviceTokens.js);
+  // alerts go to every active one
+  fcmTokens: [{
+    _id: false,
+    token: String,
+    label: String, // e.g. phone, tablet
+    addedAt: Date,
+    lastSeen: Date,
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    invalidAt: Date,
+    invalidReason: String // FCM error code that deactivated the token
+  }],
+  // False once no channel can deliver, e.g. every token was rejected by FCM
+  reachable: {
+    type: Boolean,
+    default: true
+  },
+  unreachableSince: Date,
+  unreachableReason: String,
+  // Delivery channels in preference order (services/channels). Without any,
+  // alerts go to the active FCM tokens.
+  channels: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['fcm', 'email', 'webhook', 'telegram', 'sms']
+    },
+    address: String, // token, email, URL, chat id or phone number
+    enabled: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  // 'fallback': stop at the first channel that delivers; 'all': use every channel
+  channelMode: {
+    type: String,
+    enum: ['fallback', 'all'],
+    default: 'fallback'
+  },
+  // Weekly quiet windows in IST (services/quietHours.js)
+  quietHours: [{
+    _id: false,
+    start: String, // HH:MM
+    end: String, // HH:MM, may be past midnight
+    days: [Number], // weekdays the window starts on, 0 = Sunday; empty = every day
+    enabled: {
+      type: Boolean,
+      default: true
+    }
+  }],
+  // Temporary do-not-disturb
+  dnd: {
+    until: { type: Date, default: null },
+    allowCritical: { type: Boolean, default: true }
+  },
+  // What quiet hours and DND do to normal alerts: deliver without sound, or hold until they end
+  quietMode: {
+    type: String,
+    enum: ['silent', 'hold'],
+    default: 'silent'
+  },
+  // Language of notification text; English when a template is not translated
+  locale: {
+    type: String,
+    enum: ['en', 'gu', 'hi'],
+    default: 'en'
   },
   deviceInfo: {
     model: String,
@@ -24,11 +100,71 @@ const deviceSchema = new mongoose.Schema({
   lastSeen: {
     type: Date,
     default: Date.now
+  },
+  // Set when the device was deactivated for missing heartbeats (services/deviceLifecycle.js)
+  pausedAt: {
+    type: Date,
+    default: null
+  },
+  // Defaults for "leave now" alerts of this device's watches
+  travelMinutes: {
+    type: Number,
+    default: null // time to reach the court
+  },
+  leadBufferMinutes: {
+    type: Number,
+    default: null // extra margin before the case is called
+  },
+  // Devices sharing a team id (e.g. a chamber) are checked for conflicts together
+  teamId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // Conflicts already alerted today, as sorted watch id pairs
+  conflictAlerts: {
+    day: String,
+    pairs: [String]
   }
 }, {
   timestamps: true
 });
 
+deviceSchema.index({ 'fcmTokens.token': 1 });
+deviceSchema.index({ isActive: 1, lastSeen: 1 });
+
+// ==================== Alert Rule (embedded in Watchlist) ====================
+// Condition format and evaluation: services/alertRules.js
+const alertRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  condition: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true // may use {courtNumber}, {serialNumber}, {position}, {etaMinutes}, ... placeholders
+  },
+  cooldownMinutes: {
+    type: Number,
+    default: 5
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lastMatch: {
+    type: String,
+    default: '' // leaves that held at the last evaluation
+  },
+  lastFiredAt: Date
+}, {
+  timestamps: true
+});
+
 // ==================== Watchlist Model ====================
 const watchlistSchema = new mongoose.Schema({
   deviceId: {
@@ -37,10 +173,26 @@ const watchlistSchema = new mongoose.Schema({
     index: true
   },
   caseNumber: {
-    type: String,
+    type: String, // case number, COURT:n:pos, or COURT:n / JUDGE:name for court and judge watches
     required: true,
     index: true
   },
+  caseKey: {
+    type: String, // canonical case number, e.g. SCA/1234/2023 (null for COURT: identifiers)
+    default: null,
+    index: true
+  },
+  targetType: {
+    type: String,
+    enum: ['case', 'court', 'judge'],
+    default: 'case'
+  },
+  target: String, // court number or judge name for court and judge watches
+  targetKey: String, // normalized judge name
+  targetOptions: {
+    serialThreshold: { type: Number, default: null } // serial_crossed fires when the court reaches this serial
+  },
+  rules: [alertRuleSchema],
   courthouse: {
     type: String,
     default: 'Gujarat High Court'
@@ -53,18 +205,57 @@ const watchlistSchema = new mongoose.Schema({
     earlyWarning: { type: Boolean, default: true }, // Alert when case is N positions away
     approaching: { type: Boolean, default: true },   // Alert when case is next
     inSession: { type: Boolean, default: true },     // Alert when case starts
-    completed: { type: Boolean, default: true }      // Alert when case ends
+    completed: { type: Boolean, default: true },     // Alert when case ends
+    recess: { type: Boolean, default: true },        // Alert when the court goes into recess near or during the case
+    resumed: { type: Boolean, default: true },       // Alert when the court resumes after that recess
+    notReached: { type: Boolean, default: true },    // Alert when the court rises without reaching the case
+    passedOver: { type: Boolean, default: true },    // Alert when the court moves past the case without calling it
+    courtSitting: { type: Boolean, default: true },  // Court/judge watches: court started sitting
+    serialCrossed: { type: Boolean, default: true }, // Court/judge watches: serial crossed targetOptions.serialThreshold
+    listChanged: { type: Boolean, default: true },   // Court/judge watches: list type changed
+    benchChanged: { type: Boolean, default: true },  // Court/judge watches: bench composition changed
+    streamLive: { type: Boolean, default: true },    // Court/judge watches: stream went live
+    leaveNow: { type: Boolean, default: true },      // Alert when it's time to leave for court
+    conflicts: { type: Boolean, default: true },     // Alert when another watched case may be reached at the same time
+    travelMinutes: { type: Number, default: null },  // Overrides the device travel time for this watch
+    leadBufferMinutes: { type: Number, default: null }, // Overrides the device lead buffer for this watch
+    earlyWarningCount: { type: Number, default: null } // Overrides NOTIFICATION_EARLY_WARNING_COUNT
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Watches switched off with their device rather than removed by the user;
+  // resumed when the device is back
+  pausedAt: Date,
+  pausedReason: {
+    type: String,
+    enum: ['device_stale', null],
+    default: null
+  },
   lastNotificationSent: {
     type: String,
-    enum: ['none', 'early_warning', 'approaching', 'in_session', 'completed'],
+    enum: ['none', 'early_warning', 'approaching', 'in_session', 'completed', 'recess', 'resumed', 'not_reached', 'passed_over'],
     default: 'none'
   },
   lastNotificationTime: Date,
+  // Last "leave now" alert: resent on the same day only when the ETA moves earlier
+  leaveNowAlert: {
+    day: String, // YYYY-MM-DD in IST
+    sentAt: Date,
+    etaAt: Date // expected call time the alert was based on
+  },
+  // Notification state machine for the current hearing day (see services/watchStateMachine.js)
+  notificationState: {
+    day: { type: String, default: null }, // YYYY-MM-DD in IST
+    state: {
+      type: String,
+      enum: ['pending', 'early_warning', 'approaching', 'in_session', 'recess', 'resumed', 'completed', 'not_reached', 'passed_over'],
+      default: 'pending'
+    },
+    heard: { type: Boolean, default: false }, // was in session this day
+    updatedAt: Date
+  },
   addedAt: {
     type: Date,
     default: Date.now
@@ -76,14 +267,26 @@ const watchlistSchema = new mongoose.Schema({
 // Compound index for efficient queries
 watchlistSchema.index({ deviceId: 1, caseNumber: 1 }, { unique: true });
 watchlistSchema.index({ caseNumber: 1, isActive: 1 });
+watchlistSchema.index({ caseKey: 1, isActive: 1 });
+watchlistSchema.index({ courthouse: 1, targetType: 1, isActive: 1 });
+watchlistSchema.index({ deviceId: 1, pausedReason: 1 });
 
 // ==================== Case History Model ====================
 const caseHistorySchema = new mongoose.Schema({
+  entryType: {
+    type: String,
+    enum: ['state', 'hearing'], // board state change, or one whole hearing
+    default: 'state'
+  },
   caseNumber: {
     type: String,
     required: true,
     index: true
   },
+  caseKey: {
+    type: String, // canonical case number
+    default: null
+  },
   courthouse: {
     type: String,
     default: 'Gujarat High Court'
@@ -96,20 +299,36 @@ const caseHistorySchema = new mongoose.Schema({
     type: String,
     enum: ['IN_SESSION', 'SITTING_OVER', 'RECESS', 'COMPLETED', 'UNKNOWN']
   },
+  courtId: String, // board row id, used to track open hearings
   sessionStartTime: Date,
   sessionEndTime: Date,
-  duration: Number, // in minutes
+  duration: Number, // in minutes, excluding recesses
+  recessMinutes: Number,
+  recessCount: Number,
+  closedBy: String, // why a hearing ended: next_case, sitting_over, left_board, court_disappeared, gap
   position: Number, // position in queue if available
   streamUrl: String,
   isLive: Boolean,
-  scrapedAt: Date
+  scrapedAt: Date, // when the entry was first written
+  // State entries cover one unchanged stretch of (case, court, status, serial)
+  firstSeen: Date,
+  lastSeen: Date // open hearings: last board that showed the case, saved every few minutes
 }, {
   timestamps: true
 });
 
 // Index for efficient history queries
 caseHistorySchema.index({ caseNumber: 1, createdAt: -1 });
+caseHistorySchema.index({ caseKey: 1, createdAt: -1 });
 caseHistorySchema.index({ courthouse: 1, createdAt: -1 });
+caseHistorySchema.index({ entryType: 1, courthouse: 1, sessionEndTime: 1 });
+caseHistorySchema.index({ entryType: 1, courthouse: 1, lastSeen: -1 });
+
+// State intervals expire after 180 days; hearings are kept for statistics
+caseHistorySchema.index(
+  { lastSeen: 1 },
+  { expireAfterSeconds: 15552000, partialFilterExpression: { entryType: 'state' } }
+);
 
 // ==================== Court Snapshot Model ====================
 // Stores periodic snapshots of entire court state for analytics
@@ -136,6 +355,8 @@ const courtSnapshotSchema = new mongoose.Schema({
     judgeName: String,
     caseNumber: String,
     status: String,
+    queuePosition: Number, // serial number being heard, for throughput learning
+    caseList: String,
     isLive: Boolean
   }]
 }, {
@@ -153,6 +374,11 @@ const caseStatisticsSchema = new mongoose.Schema({
     unique: true,
     index: true
   },
+  caseKey: {
+    type: String, // canonical case number
+    default: null,
+    index: true
+  },
   courthouse: String,
   firstSeen: Date,
   lastSeen: Date,
@@ -160,11 +386,15 @@ const caseStatisticsSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  totalHearings: {
+    type: Number,
+    default: 0 // completed hearing sessions
+  },
   totalDuration: {
     type: Number,
     default: 0 // in minutes
   },
-  averageDuration: Number,
+  averageDuration: Number, // per hearing
   courts: [String], // List of court numbers where case appeared
   judges: [String], // List of judges who heard the case
   statusHistory: [{
@@ -190,17 +420,44 @@ const notificationLogSchema = new mongoose.Schema({
   },
   caseNumber: {
     type: String,
-    required: true,
+    // Device messages (re-engagement) aren't about a case
+    required: function () { return this.notificationType !== 're_engagement'; },
     index: true
   },
   notificationType: {
     type: String,
-    enum: ['early_warning', 'approaching', 'in_session', 'completed', 'error'],
+    enum: [
+      'early_warning', 'approaching', 'in_session', 'completed', 'recess', 'resumed', 'not_reached', 'passed_over',
+      'court_sitting', 'serial_crossed', 'list_changed', 'bench_changed', 'stream_live',
+      'custom_rule', 'leave_now', 'conflict', 're_engagement', 'error'
+    ],
     required: true
   },
   title: String,
   message: String,
   data: mongoose.Schema.Types.Mixed,
+  channel: String, // channel that delivered, if any
+  silent: {
+    type: Boolean,
+    default: false // delivered without sound during quiet hours or DND
+  },
+  // Alerts held during quiet hours or DND
+  holdStatus: {
+    type: String,
+    enum: ['held', 'released', 'expired', null],
+    default: null
+  },
+  heldUntil: Date,
+  releasedAt: Date,
+  outboxId: mongoose.Schema.Types.ObjectId, // NotificationOutbox entry delivering this alert
+  deliveries: [{
+    _id: false,
+    channel: String,
+    success: Boolean,
+    messageId: String,
+    error: String,
+    at: Date
+  }],
   sentAt: {
     type: Date,
     default: Date.now
@@ -216,9 +473,265 @@ const notificationLogSchema = new mongoose.Schema({
   timestamps: true
 });
 
+notificationLogSchema.index({ holdStatus: 1, heldUntil: 1 });
+
 // TTL index - auto delete logs older than 30 days
 notificationLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 2592000 });
 
+// ==================== Notification Outbox Model ====================
+// An alert waiting to be delivered, retried with backoff until it is
+// delivered or dead-lettered with the reason
+const notificationOutboxSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true
+  },
+  logId: mongoose.Schema.Types.ObjectId, // NotificationLog of the alert
+  caseNumber: String,
+  alertType: String,
+  priority: {
+    type: String,
+    enum: ['critical', 'normal'],
+    default: 'normal'
+  },
+  message: {
+    title: String,
+    body: String,
+    data: mongoose.Schema.Types.Mixed,
+    silent: Boolean
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'delivered', 'dead'],
+    default: 'pending'
+  },
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  lockedUntil: Date, // a 'sending' entry past this was abandoned and is retried
+  expiresAt: Date, // not worth delivering after this (end of the hearing day)
+  deliveredAt: Date,
+  channel: String,
+  lastError: String,
+  deadReason: {
+    type: String,
+    enum: ['max_attempts', 'device_unavailable', 'expired', null],
+    default: null
+  },
+  deadAt: Date,
+  replayCount: {
+    type: Number,
+    default: 0
+  },
+  attempts: [{
+    _id: false,
+    at: Date,
+    channel: String,
+    error: String,
+    durationMs: Number
+  }]
+}, {
+  timestamps: true
+});
+
+notificationOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationOutboxSchema.index({ status: 1, lockedUntil: 1 });
+notificationOutboxSchema.index({ status: 1, deadAt: -1 });
+notificationOutboxSchema.index({ deviceId: 1, createdAt: -1 });
+
+// TTL index - auto delete outbox entries older than 30 days
+notificationOutboxSchema.index({ createdAt: 1 }, { expireAfterSeconds: 2592000 });
+
+// ==================== Watch Transition Model ====================
+// One state machine transition of a watch on a hearing day
+const watchTransitionSchema = new mongoose.Schema({
+  watchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  deviceId: String,
+  caseNumber: String,
+  day: {
+    type: String, // YYYY-MM-DD in IST
+    required: true
+  },
+  from: String,
+  to: String,
+  observation: String,
+  courtNumber: String,
+  position: Number,
+  notified: {
+    type: Boolean,
+    default: false
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+watchTransitionSchema.index({ watchId: 1, day: 1, at: 1 });
+
+// TTL index - auto delete transitions older than 90 days
+watchTransitionSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7776000 });
+
+// ==================== Webhook Endpoint Model ====================
+// An integrator URL receiving signed JSON events (services/webhookService.js).
+// Scoped to one of: a device's watches, a team's watches, or a case filter.
+const webhookEndpointSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  secret: {
+    type: String,
+    required: true // HMAC-SHA256 key for the signature header
+  },
+  ownerDeviceId: {
+    type: String,
+    default: null // device that registered the endpoint and may manage it
+  },
+  scope: {
+    deviceId: { type: String, default: null },
+    teamId: { type: String, default: null },
+    caseFilter: { type: String, default: null } // case number, or a prefix ending in * (e.g. SCA/*)
+  },
+  courthouse: {
+    type: String,
+    default: null // all courthouses
+  },
+  events: {
+    type: [String],
+    default: ['*'] // case.transition, board.<event type>, board.* or *
+  },
+  description: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: Date,
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+webhookEndpointSchema.index({ isActive: 1 });
+webhookEndpointSchema.index({ 'scope.deviceId': 1 });
+webhookEndpointSchema.index({ 'scope.teamId': 1 });
+webhookEndpointSchema.index({ ownerDeviceId: 1 });
+
+// ==================== Team Model ====================
+// Devices sharing a teamId are checked for conflicts together and may share
+// webhooks; joining a team takes its secret (services/teams.js)
+const teamSchema = new mongoose.Schema({
+  teamId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // SHA-256 of the team secret
+  secretHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  createdBy: String, // device that created the team
+  secretRotatedAt: Date
+}, {
+  timestamps: true
+});
+
+// ==================== Webhook Delivery Model ====================
+// One event for one endpoint, with every attempt to deliver it
+const webhookDeliverySchema = new mongoose.Schema({
+  endpointId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  eventId: String, // shared by the deliveries of one event to several endpoints
+  eventType: String,
+  payload: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  lockedUntil: Date, // a 'sending' delivery past this was abandoned and is retried
+  deliveredAt: Date,
+  attempts: [{
+    _id: false,
+    at: Date,
+    statusCode: Number,
+    error: String,
+    durationMs: Number
+  }]
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ status: 1, lockedUntil: 1 });
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+
+// TTL index - auto delete deliveries older than 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 2592000 });
+
+// ==================== Cause List Model ====================
+// Daily cause list of one court: the ordered list of matters it will take up
+const causeListSchema = new mongoose.Schema({
+  courthouse: {
+    type: String,
+    default: 'Gujarat High Court'
+  },
+  listDate: {
+    type: String, // YYYY-MM-DD in IST
+    required: true
+  },
+  courtNumber: {
+    type: String,
+    required: true
+  },
+  judgeName: String,
+  entries: [{
+    serialNumber: { type: Number, required: true },
+    caseNumber: { type: String, required: true },
+    caseKey: String,
+    listType: String,
+    parties: String,
+    petitionerAdvocate: String,
+    respondentAdvocate: String
+  }],
+  source: {
+    type: String,
+    enum: ['html', 'pdf', 'upload'],
+    default: 'upload'
+  },
+  importedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+causeListSchema.index({ courthouse: 1, listDate: 1, courtNumber: 1 }, { unique: true });
+causeListSchema.index({ 'entries.caseKey': 1, listDate: 1 });
+
+// TTL index - auto delete cause lists older than 90 days
+causeListSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7776000 });
+
 // ==================== Export Models ====================
 module.exports = {
   Device: mongoose.model('Device', deviceSchema),
@@ -226,5 +739,11 @@ module.exports = {
   CaseHistory: mongoose.model('CaseHistory', caseHistorySchema),
   CourtSnapshot: mongoose.model('CourtSnapshot', courtSnapshotSchema),
   CaseStatistics: mongoose.model('CaseStatistics', caseStatisticsSchema),
-  NotificationLog: mongoose.model('NotificationLog', notificationLogSchema)
+  NotificationLog: mongoose.model('NotificationLog', notificationLogSchema),
+  NotificationOutbox: mongoose.model('NotificationOutbox', notificationOutboxSchema),
+  WatchTransition: mongoose.model('WatchTransition', watchTransitionSchema),
+  Team: mongoose.model('Team', teamSchema),
+  WebhookEndpoint: mongoose.model('WebhookEndpoint', webhookEndpointSchema),
+  WebhookDelivery: mongoose.model('WebhookDelivery', webhookDeliverySchema),
+  CauseList: mongoose.model('CauseList', causeListSchema)
 };
\ No newline at end of file
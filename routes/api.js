@@ -6,20 +6,92 @@ const {
   CaseHistory, 
   CaseStatistics, 
   CourtSnapshot,
-  NotificationLog 
+  NotificationLog,
+  NotificationOutbox,
+  WatchTransition,
+  WebhookEndpoint,
+  WebhookDelivery
 } = require('../models');
-const { scrapeCourtData } = require('../services/scraperService');
-const { calculateEstimatedWaitTime } = require('../services/trackingService');
+const { getBoard } = require('../services/boardStore');
+const { getRecentEvents, EVENT_TYPES } = require('../services/boardEvents');
+const { getAdapter, hasAdapter, listCourthouses, DEFAULT_COURTHOUSE } = require('../services/courthouses');
+const { calculateEstimatedWaitTime, getCourtQueueInfo, parseCaseIdentifier } = require('../services/trackingService');
+const { estimateCaseEta } = require('../services/etaService');
+const { targetLabel, normalizeJudgeName, findTargetCourts } = require('../services/targetWatchService');
+const { validateRule, getMaxRulesPerWatch } = require('../services/alertRules');
+const { getDeviceConflicts } = require('../services/conflictService');
+const { listChannels, validateChannels, resolveDeviceChannels, canDeliver } = require('../services/channels');
+const { validateQuietHours, getQuietState, CRITICAL_ALERTS } = require('../services/quietHours');
+const {
+  WEBHOOK_EVENT_TYPES,
+  createSecret,
+  validateEndpoint,
+  canManageEndpoint,
+  redeliver,
+  serializeEndpoint
+} = require('../services/webhookService');
+const { LOCALES, DEFAULT_LOCALE, normalizeLocale, listAlertTypes } = require('../services/notificationTemplates');
+const { getOutboxStats, replayDeadLetter, replayDeadLetters } = require('../services/notificationOutbox');
+const { addToken, removeToken, releaseTokenFromOtherDevices, serializeTokens } = require('../services/deviceTokens');
+const { resumeDevice } = require('../services/deviceLifecycle');
+const { joinTeam, rotateTeamSecret } = require('../services/teams');
+const { requireAdmin } = require('../services/adminAuth');
+const {
+  createDeviceSecret,
+  hashSecret,
+  verifySecret,
+  authenticateDevice,
+  serializeDevice
+} = require('../services/deviceAuth');
+const { normalizeCaseNumber, matchScore, caseQuery } = require('../services/caseNumber');
+const {
+  getListDate,
+  parseCauseList,
+  importCauseList,
+  fetchCauseList,
+  getCauseList,
+  getCauseListsForDay,
+  findCaseInCauseLists,
+  getQueuePosition
+} = require('../services/causeListService');
 const logger = require('../config/logger');
-const { sendNotification } = require('../services/fcmService');
+const { sendNotification, buildCaseNotification } = require('../services/fcmService');
 
+// Requests acting for a device carry X-Device-Id and X-Device-Secret (issued
+// by /device/register). A :deviceId in the path must be that device.
+const requireDevice = async (req, res, next) => {
+  try {
+    const device = await authenticateDevice(req.get('X-Device-Id'), req.get('X-Device-Secret'));
+    if (!device) {
+      return res.status(401).json({ success: false, error: 'Device credentials required (X-Device-Id, X-Device-Secret)' });
+    }
+    if (req.params.deviceId && req.params.deviceId !== device.deviceId) {
+      return res.status(403).json({ success: false, error: 'Credentials are for another device' });
+    }
+
+    req.device = device;
+    next();
+  } catch (error) {
+    logger.error('Error authenticating device:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// Operator routes under /admin take the admin token
+const adminRouter = express.Router();
+adminRouter.use(requireAdmin);
+router.use('/admin', adminRouter);
 
 // ==================== Device Management ====================
 
-// Register or update device
+// Register or update device. Each app install (phone, tablet) registers its
+// own FCM token; tokenLabel names it. The first registration returns the
+// device secret (deviceSecret); later ones must send it as X-Device-Secret.
+// Joining an existing team (teamId) takes its teamSecret; a device naming a
+// new team creates it and gets the team secret back.
 router.post('/device/register', async (req, res) => {
   try {
-    const { deviceId, fcmToken, deviceInfo } = req.body;
+    const { deviceId, fcmToken, tokenLabel, deviceInfo, travelMinutes, leadBufferMinutes, teamId, teamSecret, locale } = req.body;
 
     if (!deviceId || !fcmToken) {
       return res.status(400).json({ 
@@ -28,21 +100,50 @@ router.post('/device/register', async (req, res) => {
       });
     }
 
-    const device = await Device.findOneAndUpdate(
-      { deviceId },
-      { 
-        fcmToken, 
-        deviceInfo,
-        isActive: true,
-        lastSeen: new Date()
-      },
-      { upsert: true, new: true }
-    );
+    // Accepts 'gu', 'gu-IN' etc.; unsupported languages get English
+    if (locale !== undefined && typeof locale !== 'string') {
+      return res.status(400).json({ success: false, error: 'locale must be a language code, e.g. gu or hi-IN' });
+    }
+
+    const device = await Device.findOne({ deviceId }).select('+secretHash') || new Device({ deviceId });
+    if (device.secretHash && !verifySecret(device.secretHash, req.get('X-Device-Secret'))) {
+      return res.status(401).json({ success: false, error: 'This device is registered; send its secret as X-Device-Secret' });
+    }
+
+    const team = teamId !== undefined ? await joinTeam(device, teamId ? String(teamId) : null, teamSecret) : {};
+    if (team.error) {
+      return res.status(403).json({ success: false, error: team.error });
+    }
+
+    // New devices, and ones registered before secrets existed, get theirs now
+    let deviceSecret;
+    if (!device.secretHash) {
+      deviceSecret = createDeviceSecret();
+      device.secretHash = hashSecret(deviceSecret);
+    }
+
+    const resumedWatches = await resumeDevice(device);
+
+    if (deviceInfo !== undefined) device.deviceInfo = deviceInfo;
+    device.isActive = true;
+    device.lastSeen = new Date();
+    if (typeof travelMinutes === 'number' && travelMinutes >= 0) device.travelMinutes = travelMinutes;
+    if (typeof leadBufferMinutes === 'number' && leadBufferMinutes >= 0) device.leadBufferMinutes = leadBufferMinutes;
+    if (locale !== undefined) device.locale = normalizeLocale(locale) || DEFAULT_LOCALE;
+    addToken(device, fcmToken, tokenLabel ? String(tokenLabel) : null);
+
+    await device.save();
+    await releaseTokenFromOtherDevices(deviceId, fcmToken);
 
     res.json({ 
       success: true, 
-      message: 'Device registered successfully',
-      device 
+      message: deviceSecret
+        ? 'Device registered successfully. Store deviceSecret, it is not shown again.'
+        : 'Device registered successfully',
+      deviceSecret,
+      teamSecret: team.teamSecret,
+      resumedWatches,
+      device: serializeDevice(device)
     });
   } catch (error) {
     logger.error('Error registering device:', error);
@@ -50,17 +151,304 @@ router.post('/device/register', async (req, res) => {
   }
 });
 
+// Issue a new secret for the device's team, to share with devices that
+// should join it. The previous secret stops working.
+router.post('/device/:deviceId/team/secret', requireDevice, async (req, res) => {
+  try {
+    if (!req.device.teamId) {
+      return res.status(400).json({ success: false, error: 'Device is not in a team' });
+    }
+
+    const teamSecret = await rotateTeamSecret(req.device);
+    res.json({ success: true, teamId: req.device.teamId, teamSecret });
+  } catch (error) {
+    logger.error('Error issuing team secret:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// FCM tokens of a device
+router.get('/device/:deviceId/tokens', async (req, res) => {
+  try {
+    const device = await Device.findOne({ deviceId: req.params.deviceId });
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+
+    res.json({ 
+      success: true, 
+      reachable: device.reachable !== false,
+      unreachableSince: device.unreachableSince || null,
+      unreachableReason: device.unreachableReason || null,
+      tokens: serializeTokens(device) 
+    });
+  } catch (error) {
+    logger.error('Error fetching device tokens:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Remove an FCM token, e.g. when the app logs out on one install
+// Body: { fcmToken }
+router.delete('/device/:deviceId/tokens', async (req, res) => {
+  try {
+    const { fcmToken } = req.body;
+    if (!fcmToken) {
+      return res.status(400).json({ success: false, error: 'fcmToken is required' });
+    }
+
+    const device = await Device.findOne({ deviceId: req.params.deviceId });
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+    if (!removeToken(device, fcmToken)) {
+      return res.status(404).json({ success: false, error: 'Token not registered on this device' });
+    }
+    await device.save();
+
+    res.json({ success: true, tokens: serializeTokens(device) });
+  } catch (error) {
+    logger.error('Error removing device token:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Travel time to court and lead buffer for "leave now" alerts (device credentials)
+// Body: { travelMinutes, leadBufferMinutes } (null clears)
+router.put('/device/:deviceId/travel', requireDevice, async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const update = {};
+
+    for (const field of ['travelMinutes', 'leadBufferMinutes']) {
+      const value = req.body[field];
+      if (value === undefined) continue;
+      if (value !== null && (typeof value !== 'number' || value < 0 || value > 600)) {
+        return res.status(400).json({ 
+          success: false, 
+          error: `${field} must be a number of minutes between 0 and 600, or null` 
+        });
+      }
+      update[field] = value;
+    }
+
+    const device = await Device.findOneAndUpdate({ deviceId }, update, { new: true });
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+
+    res.json({ 
+      success: true, 
+      travelMinutes: device.travelMinutes,
+      leadBufferMinutes: device.leadBufferMinutes
+    });
+  } catch (error) {
+    logger.error('Error updating device travel time:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Notification channels of a device, in preference order (device credentials
+// required, the channels hold its addresses)
+router.get('/device/:deviceId/channels', requireDevice, async (req, res) => {
+  try {
+    const device = req.device;
+
+    res.json({
+      success: true,
+      channels: device.channels,
+      mode: device.channelMode,
+      active: resolveDeviceChannels(device).map(channel => channel.type),
+      available: listChannels()
+    });
+  } catch (error) {
+    logger.error('Error fetching device channels:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Set notification channels and fallback order of a registered device
+// (device credentials required).
+// Body: { channels: [{ type, address, enabled }], mode: 'fallback' | 'all' }
+router.put('/device/:deviceId/channels', requireDevice, async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { channels, mode } = req.body;
+
+    const errors = channels !== undefined ? validateChannels(channels) : [];
+    if (mode !== undefined && !['fallback', 'all'].includes(mode)) {
+      errors.push("mode must be 'fallback' or 'all'");
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; '), errors });
+    }
+
+    const update = { lastSeen: new Date() };
+    if (channels !== undefined) {
+      update.channels = channels.map(({ type, address, enabled }) => ({
+        type,
+        address: address || null,
+        enabled: enabled !== false
+      }));
+    }
+    if (mode !== undefined) update.channelMode = mode;
+
+    const device = await Device.findOneAndUpdate({ deviceId }, update, { new: true });
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+
+    // New addresses may make an unreachable device reachable again
+    if (device.reachable === false && canDeliver(device)) {
+      device.reachable = true;
+      device.unreachableSince = null;
+      device.unreachableReason = null;
+      await device.save();
+    }
+    const resumedWatches = await resumeDevice(device);
+
+    res.json({
+      success: true,
+      channels: device.channels,
+      mode: device.channelMode,
+      active: resolveDeviceChannels(device).map(channel => channel.type),
+      resumedWatches
+    });
+  } catch (error) {
+    logger.error('Error updating device channels:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+const quietSettings = (device) => ({
+  quietHours: device.quietHours,
+  quietMode: device.quietMode,
+  dnd: device.dnd && device.dnd.until && device.dnd.until > new Date() ? device.dnd : null,
+  current: getQuietState(device),
+  criticalAlerts: CRITICAL_ALERTS
+});
+
+// Quiet hours and do-not-disturb of a device. The quiet and DND routes take
+// device credentials.
+router.get('/device/:deviceId/quiet', requireDevice, async (req, res) => {
+  try {
+    res.json({ success: true, ...quietSettings(req.device) });
+  } catch (error) {
+    logger.error('Error fetching quiet hours:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Set quiet hour windows and what happens to normal alerts during them
+// Body: { quietHours: [{ start: 'HH:MM', end: 'HH:MM', days: [1,2,3,4,5], enabled }], quietMode: 'silent' | 'hold' }
+router.put('/device/:deviceId/quiet', requireDevice, async (req, res) => {
+  try {
+    const { quietHours, quietMode } = req.body;
+
+    const errors = quietHours !== undefined ? validateQuietHours(quietHours) : [];
+    if (quietMode !== undefined && !['silent', 'hold'].includes(quietMode)) {
+      errors.push("quietMode must be 'silent' or 'hold'");
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; '), errors });
+    }
+
+    const update = {};
+    if (quietHours !== undefined) {
+      update.quietHours = quietHours.map(({ start, end, days, enabled }) => ({
+        start,
+        end,
+        days: days || [],
+        enabled: enabled !== false
+      }));
+    }
+    if (quietMode !== undefined) update.quietMode = quietMode;
+
+    const device = await Device.findOneAndUpdate({ deviceId: req.params.deviceId }, update, { new: true });
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+
+    res.json({ success: true, ...quietSettings(device) });
+  } catch (error) {
+    logger.error('Error updating quiet hours:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Turn on do-not-disturb. Body: { minutes } or { until }, and allowCritical (default true)
+router.post('/device/:deviceId/dnd', requireDevice, async (req, res) => {
+  try {
+    const { minutes, until, allowCritical } = req.body;
+
+    let endsAt = null;
+    if (minutes !== undefined) {
+      if (typeof minutes !== 'number' || minutes <= 0 || minutes > 7 * 24 * 60) {
+        return res.status(400).json({ success: false, error: 'minutes must be between 1 and 10080' });
+      }
+      endsAt = new Date(Date.now() + minutes * 60000);
+    } else if (until !== undefined) {
+      endsAt = new Date(until);
+      if (isNaN(endsAt) || endsAt <= new Date()) {
+        return res.status(400).json({ success: false, error: 'until must be a future date' });
+      }
+    } else {
+      return res.status(400).json({ success: false, error: 'minutes or until is required' });
+    }
+
+    const device = await Device.findOneAndUpdate(
+      { deviceId: req.params.deviceId },
+      { dnd: { until: endsAt, allowCritical: allowCritical !== false } },
+      { new: true }
+    );
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+
+    res.json({ success: true, ...quietSettings(device) });
+  } catch (error) {
+    logger.error('Error setting DND:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Turn off do-not-disturb; held alerts go out on the next release run
+router.delete('/device/:deviceId/dnd', requireDevice, async (req, res) => {
+  try {
+    const device = await Device.findOneAndUpdate(
+      { deviceId: req.params.deviceId },
+      { dnd: { until: null, allowCritical: true } },
+      { new: true }
+    );
+    if (!device) {
+      return res.status(404).json({ success: false, error: 'Device not found' });
+    }
+
+    await NotificationLog.updateMany(
+      { deviceId: device.deviceId, holdStatus: 'held' },
+      { $set: { heldUntil: new Date() } }
+    );
+
+    res.json({ success: true, ...quietSettings(device) });
+  } catch (error) {
+    logger.error('Error clearing DND:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Update device last seen
 router.post('/device/heartbeat', async (req, res) => {
   try {
     const { deviceId } = req.body;
 
-    await Device.findOneAndUpdate(
+    const device = await Device.findOneAndUpdate(
       { deviceId },
-      { lastSeen: new Date() }
+      { lastSeen: new Date() },
+      { new: true }
     );
+    const resumedWatches = device ? await resumeDevice(device) : 0;
 
-    res.json({ success: true });
+    res.json({ success: true, resumedWatches });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -68,31 +456,69 @@ router.post('/device/heartbeat', async (req, res) => {
 
 // ==================== Watchlist Management ====================
 
-// Add case to watchlist
+// Add case to watchlist.
+// Court and judge watches: { deviceId, targetType: 'court', courtNumber } or
+// { deviceId, targetType: 'judge', judgeName }, optionally with targetOptions.serialThreshold
 router.post('/watchlist/add', async (req, res) => {
   try {
-    const { deviceId, caseNumber, courthouse, nickname, notificationSettings } = req.body;
+    const { deviceId, courthouse, nickname, notificationSettings, targetOptions } = req.body;
+    const targetType = req.body.targetType || 'case';
+
+    if (!['case', 'court', 'judge'].includes(targetType)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'targetType must be case, court or judge' 
+      });
+    }
+
+    const target = targetType === 'court' ? req.body.courtNumber
+      : targetType === 'judge' ? req.body.judgeName
+      : null;
 
-    if (!deviceId || !caseNumber) {
+    if (!deviceId || (targetType === 'case' ? !req.body.caseNumber : !target)) {
       return res.status(400).json({ 
         success: false, 
-        error: 'deviceId and caseNumber are required' 
+        error: targetType === 'case'
+          ? 'deviceId and caseNumber are required'
+          : `deviceId and ${targetType === 'court' ? 'courtNumber' : 'judgeName'} are required`
       });
     }
 
-    // Check if already exists
-    const existing = await Watchlist.findOne({ deviceId, caseNumber, isActive: true });
+    if (courthouse && !hasAdapter(courthouse)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Unsupported courthouse: ${courthouse}` 
+      });
+    }
+
+    const caseNumber = targetType === 'case' ? req.body.caseNumber : targetLabel(targetType, String(target).trim());
+
+    // COURT:n:pos watches have no case number to normalize
+    const parsed = parseCaseIdentifier(caseNumber);
+    const caseKey = targetType === 'case' && parsed.type === 'caseNumber' ? normalizeCaseNumber(parsed.caseNumber) : null;
+
+    // Check if already exists (any spelling of the same case number)
+    const existing = await Watchlist.findOne({ 
+      deviceId, 
+      isActive: true,
+      ...(caseKey && !parsed.courtNumber ? { caseKey } : { caseNumber })
+    });
     if (existing) {
       return res.status(409).json({ 
         success: false, 
-        error: 'Case already in watchlist' 
+        error: targetType === 'case' ? 'Case already in watchlist' : `${targetType === 'court' ? 'Court' : 'Judge'} already in watchlist`
       });
     }
 
     const watchItem = await Watchlist.create({
       deviceId,
       caseNumber,
-      courthouse: courthouse || 'Gujarat High Court',
+      caseKey,
+      targetType,
+      target: targetType === 'case' ? null : String(target).trim(),
+      targetKey: targetType === 'judge' ? normalizeJudgeName(target) : null,
+      targetOptions: targetOptions || undefined,
+      courthouse: getAdapter(courthouse || DEFAULT_COURTHOUSE).name,
       nickname,
       notificationSettings: notificationSettings || {
         earlyWarning: true,
@@ -103,14 +529,16 @@ router.post('/watchlist/add', async (req, res) => {
     });
 
     // Update case statistics watch count
-    await CaseStatistics.findOneAndUpdate(
-      { caseNumber },
-      { $inc: { watchCount: 1 } }
-    );
+    if (targetType === 'case') {
+      await CaseStatistics.findOneAndUpdate(
+        caseKey ? { caseKey } : { caseNumber },
+        { $inc: { watchCount: 1 } }
+      );
+    }
 
     res.json({ 
       success: true, 
-      message: 'Case added to watchlist',
+      message: targetType === 'case' ? 'Case added to watchlist' : `${targetType === 'court' ? 'Court' : 'Judge'} added to watchlist`,
       watchItem 
     });
   } catch (error) {
@@ -119,6 +547,33 @@ router.post('/watchlist/add', async (req, res) => {
   }
 });
 
+// ETA for a case or COURT:<court>:<serial> watch from the current board and
+// today's cause lists; null when it isn't listed today or the board is unavailable
+async function getCaseEta(courthouse, caseIdentifier) {
+  try {
+    const board = await getBoard(courthouse);
+    const parsed = parseCaseIdentifier(caseIdentifier);
+
+    if (parsed.type === 'position') {
+      return await estimateCaseEta({
+        courthouse,
+        courtNumber: parsed.courtNumber,
+        serialNumber: parsed.position,
+        board
+      });
+    }
+    return await estimateCaseEta({
+      courthouse,
+      caseNumber: parsed.caseNumber,
+      courtNumber: parsed.courtNumber || null,
+      board
+    });
+  } catch (error) {
+    logger.warn(`Could not estimate ETA for ${caseIdentifier}: ${error.message}`);
+    return null;
+  }
+}
+
 // Get user's watchlist
 router.get('/watchlist/:deviceId', async (req, res) => {
   try {
@@ -130,9 +585,28 @@ router.get('/watchlist/:deviceId', async (req, res) => {
     // Enrich with current status
     const enrichedWatchlist = await Promise.all(
       watchlist.map(async (item) => {
-        const stats = await CaseStatistics.findOne({ caseNumber: item.caseNumber });
-        const latestHistory = await CaseHistory.findOne({ caseNumber: item.caseNumber })
+        // Court and judge watches show the courtrooms they follow
+        if (item.targetType === 'court' || item.targetType === 'judge') {
+          const board = await getBoard(item.courthouse || DEFAULT_COURTHOUSE).catch(() => null);
+          return {
+            ...item.toObject(),
+            courts: board ? findTargetCourts(item, board.courts).map(c => ({
+              courtNumber: c.courtNumber,
+              judgeName: c.judgeName,
+              caseNumber: c.caseNumber,
+              caseStatus: c.caseStatus,
+              caseList: c.caseList,
+              serialNumber: c.queuePosition,
+              isLive: c.isLive
+            })) : null
+          };
+        }
+
+        const itemQuery = item.caseKey ? { caseKey: item.caseKey } : { caseNumber: item.caseNumber };
+        const stats = await CaseStatistics.findOne(itemQuery);
+        const latestHistory = await CaseHistory.findOne({ ...itemQuery, entryType: { $ne: 'hearing' } })
           .sort({ createdAt: -1 });
+        const eta = await getCaseEta(item.courthouse || DEFAULT_COURTHOUSE, item.caseNumber);
 
         return {
           ...item.toObject(),
@@ -140,13 +614,16 @@ router.get('/watchlist/:deviceId', async (req, res) => {
             status: latestHistory.status,
             courtNumber: latestHistory.courtNumber,
             judgeName: latestHistory.judgeName,
-            lastSeen: latestHistory.scrapedAt
+            lastSeen: latestHistory.lastSeen || latestHistory.scrapedAt
           } : null,
           statistics: stats ? {
             totalAppearances: stats.totalAppearances,
+            totalHearings: stats.totalHearings,
+            averageDuration: stats.averageDuration,
             watchCount: stats.watchCount,
             estimatedWaitTime: stats.estimatedWaitTime
-          } : null
+          } : null,
+          eta
         };
       })
     );
@@ -166,11 +643,22 @@ router.get('/watchlist/:deviceId', async (req, res) => {
 router.put('/watchlist/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { nickname, notificationSettings, isActive } = req.body;
+    const { nickname, notificationSettings, targetOptions, isActive } = req.body;
+
+    if (notificationSettings !== undefined &&
+      (notificationSettings === null || typeof notificationSettings !== 'object' || Array.isArray(notificationSettings))) {
+      return res.status(400).json({ success: false, error: 'notificationSettings must be an object' });
+    }
 
     const updateData = {};
     if (nickname !== undefined) updateData.nickname = nickname;
-    if (notificationSettings !== undefined) updateData.notificationSettings = notificationSettings;
+    // Settings are merged field by field; ones not sent keep their values
+    if (notificationSettings !== undefined) {
+      Object.entries(notificationSettings).forEach(([field, value]) => {
+        updateData[`notificationSettings.${field}`] = value;
+      });
+    }
+    if (targetOptions !== undefined) updateData.targetOptions = targetOptions;
     if (isActive !== undefined) updateData.isActive = isActive;
 
     const watchItem = await Watchlist.findByIdAndUpdate(
@@ -190,6 +678,178 @@ router.put('/watchlist/:id', async (req, res) => {
   }
 });
 
+// Notification state transitions of a watch, for one day (?day=YYYY-MM-DD, default today)
+router.get('/watchlist/:id/transitions', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const day = req.query.day || getListDate();
+
+    const watchItem = await Watchlist.findById(id);
+    if (!watchItem) {
+      return res.status(404).json({ success: false, error: 'Watchlist item not found' });
+    }
+
+    const transitions = await WatchTransition.find({ watchId: watchItem._id, day })
+      .sort({ at: 1 });
+
+    const state = watchItem.notificationState && watchItem.notificationState.day === day
+      ? watchItem.notificationState.state
+      : 'pending';
+
+    res.json({
+      success: true,
+      caseNumber: watchItem.caseNumber,
+      day,
+      state,
+      count: transitions.length,
+      transitions
+    });
+  } catch (error) {
+    logger.error('Error fetching watch transitions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Watched cases of a device (and its team) likely to be reached at the same
+// time today (device credentials)
+router.get('/watchlist/:deviceId/conflicts', requireDevice, async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { teamId, conflicts } = await getDeviceConflicts(deviceId);
+
+    res.json({
+      success: true,
+      deviceId,
+      teamId,
+      day: getListDate(),
+      count: conflicts.length,
+      conflicts: conflicts.map(conflict => ({
+        from: conflict.from,
+        until: conflict.until,
+        cases: conflict.cases.map(window => ({
+          watchId: window.watchId,
+          teammate: window.deviceId !== deviceId,
+          caseNumber: window.caseNumber,
+          courthouse: window.courthouse,
+          courtNumber: window.courtNumber,
+          judgeName: window.judgeName,
+          position: window.position,
+          expectedAt: window.expectedAt,
+          windowStart: window.start,
+          windowEnd: window.end
+        }))
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching watch conflicts:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== Alert Rules ====================
+
+const RULE_FIELDS = ['name', 'condition', 'message', 'cooldownMinutes', 'enabled'];
+
+const pickRuleFields = (body) => RULE_FIELDS.reduce((rule, field) => {
+  if (body[field] !== undefined) rule[field] = body[field];
+  return rule;
+}, {});
+
+// List alert rules of a watch
+router.get('/watchlist/:id/rules', async (req, res) => {
+  try {
+    const watchItem = await Watchlist.findById(req.params.id);
+    if (!watchItem) {
+      return res.status(404).json({ success: false, error: 'Watchlist item not found' });
+    }
+
+    res.json({ success: true, count: watchItem.rules.length, rules: watchItem.rules });
+  } catch (error) {
+    logger.error('Error fetching alert rules:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Add an alert rule to a watch
+// Body: { name, condition, message, cooldownMinutes?, enabled? } - see services/alertRules.js
+router.post('/watchlist/:id/rules', async (req, res) => {
+  try {
+    const rule = pickRuleFields(req.body);
+    const errors = validateRule(rule);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+
+    const watchItem = await Watchlist.findById(req.params.id);
+    if (!watchItem) {
+      return res.status(404).json({ success: false, error: 'Watchlist item not found' });
+    }
+    if (watchItem.rules.length >= getMaxRulesPerWatch()) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `A watch can have at most ${getMaxRulesPerWatch()} rules` 
+      });
+    }
+
+    watchItem.rules.push(rule);
+    await watchItem.save();
+
+    res.json({ success: true, rule: watchItem.rules[watchItem.rules.length - 1] });
+  } catch (error) {
+    logger.error('Error adding alert rule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update an alert rule
+router.put('/watchlist/:id/rules/:ruleId', async (req, res) => {
+  try {
+    const changes = pickRuleFields(req.body);
+    const errors = validateRule(changes, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; ') });
+    }
+
+    const watchItem = await Watchlist.findById(req.params.id);
+    const rule = watchItem ? watchItem.rules.id(req.params.ruleId) : null;
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Alert rule not found' });
+    }
+
+    rule.set(changes);
+    // A changed condition starts from scratch
+    if (changes.condition !== undefined) {
+      rule.markModified('condition');
+      rule.lastMatch = '';
+    }
+    await watchItem.save();
+
+    res.json({ success: true, rule });
+  } catch (error) {
+    logger.error('Error updating alert rule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete an alert rule
+router.delete('/watchlist/:id/rules/:ruleId', async (req, res) => {
+  try {
+    const watchItem = await Watchlist.findById(req.params.id);
+    const rule = watchItem ? watchItem.rules.id(req.params.ruleId) : null;
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Alert rule not found' });
+    }
+
+    rule.deleteOne();
+    await watchItem.save();
+
+    res.json({ success: true, message: 'Alert rule deleted' });
+  } catch (error) {
+    logger.error('Error deleting alert rule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Remove from watchlist
 router.delete('/watchlist/:id', async (req, res) => {
   try {
@@ -197,7 +857,7 @@ router.delete('/watchlist/:id', async (req, res) => {
 
     const watchItem = await Watchlist.findByIdAndUpdate(
       id,
-      { isActive: false },
+      { isActive: false, pausedAt: null, pausedReason: null },
       { new: true }
     );
 
@@ -206,10 +866,12 @@ router.delete('/watchlist/:id', async (req, res) => {
     }
 
     // Update case statistics watch count
-    await CaseStatistics.findOneAndUpdate(
-      { caseNumber: watchItem.caseNumber },
-      { $inc: { watchCount: -1 } }
-    );
+    if (watchItem.targetType !== 'court' && watchItem.targetType !== 'judge') {
+      await CaseStatistics.findOneAndUpdate(
+        watchItem.caseKey ? { caseKey: watchItem.caseKey } : { caseNumber: watchItem.caseNumber },
+        { $inc: { watchCount: -1 } }
+      );
+    }
 
     res.json({ success: true, message: 'Case removed from watchlist' });
   } catch (error) {
@@ -220,10 +882,34 @@ router.delete('/watchlist/:id', async (req, res) => {
 
 // ==================== Court Data ====================
 
-// Get all court data (live scrape)
+// List supported courthouses
+router.get('/courthouses', (req, res) => {
+  res.json({ 
+    success: true, 
+    default: DEFAULT_COURTHOUSE,
+    courthouses: listCourthouses() 
+  });
+});
+
+// Resolve ?courthouse= for all court data routes
+router.use('/courts', (req, res, next) => {
+  const { courthouse } = req.query;
+
+  if (courthouse && !hasAdapter(courthouse)) {
+    return res.status(400).json({ 
+      success: false, 
+      error: `Unsupported courthouse: ${courthouse}` 
+    });
+  }
+
+  req.courthouse = getAdapter(courthouse || DEFAULT_COURTHOUSE).name;
+  next();
+});
+
+// Get all court data (from the shared board store, ?fresh=true to rescrape)
 router.get('/courts', async (req, res) => {
   try {
-    const data = await scrapeCourtData();
+    const data = await getBoard(req.courthouse, { fresh: req.query.fresh === 'true' });
     res.json(data);
   } catch (error) {
     logger.error('Error fetching courts:', error);
@@ -234,12 +920,16 @@ router.get('/courts', async (req, res) => {
 // Get live courts only
 router.get('/courts/live', async (req, res) => {
   try {
-    const data = await scrapeCourtData();
+    const data = await getBoard(req.courthouse, { fresh: req.query.fresh === 'true' });
     const liveCourts = data.courts.filter(c => c.isLive);
     
     res.json({ 
       success: true, 
+      courthouse: data.courthouse,
       scrapedAt: data.scrapedAt,
+      ageSeconds: data.ageSeconds,
+      stale: data.stale,
+      staleReason: data.staleReason,
       total: liveCourts.length,
       courts: liveCourts 
     });
@@ -252,12 +942,16 @@ router.get('/courts/live', async (req, res) => {
 // Get active courts only
 router.get('/courts/active', async (req, res) => {
   try {
-    const data = await scrapeCourtData();
+    const data = await getBoard(req.courthouse, { fresh: req.query.fresh === 'true' });
     const activeCourts = data.courts.filter(c => c.isActive);
     
     res.json({ 
       success: true, 
+      courthouse: data.courthouse,
       scrapedAt: data.scrapedAt,
+      ageSeconds: data.ageSeconds,
+      stale: data.stale,
+      staleReason: data.staleReason,
       total: activeCourts.length,
       courts: activeCourts 
     });
@@ -267,17 +961,46 @@ router.get('/courts/active', async (req, res) => {
   }
 });
 
+// Get recent board change events (?since=ISO timestamp, ?types=case_started,recess_started)
+router.get('/courts/events', (req, res) => {
+  const types = req.query.types ? req.query.types.split(',').map(t => t.trim()) : [];
+  const unknown = types.filter(t => !EVENT_TYPES.includes(t));
+
+  if (unknown.length > 0) {
+    return res.status(400).json({ 
+      success: false, 
+      error: `Unknown event types: ${unknown.join(', ')}` 
+    });
+  }
+
+  const events = getRecentEvents(req.courthouse, { since: req.query.since, types });
+
+  res.json({ 
+    success: true, 
+    courthouse: req.courthouse,
+    total: events.length,
+    events 
+  });
+});
+
 // Get specific court by ID
 router.get('/courts/:id', async (req, res) => {
   try {
-    const data = await scrapeCourtData();
+    const data = await getBoard(req.courthouse, { fresh: req.query.fresh === 'true' });
     const court = data.courts.find(c => c.id === req.params.id);
     
     if (!court) {
       return res.status(404).json({ success: false, error: 'Court not found' });
     }
     
-    res.json({ success: true, court });
+    res.json({ 
+      success: true, 
+      scrapedAt: data.scrapedAt,
+      ageSeconds: data.ageSeconds,
+      stale: data.stale,
+      staleReason: data.staleReason,
+      court 
+    });
   } catch (error) {
     logger.error('Error fetching court:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -288,31 +1011,63 @@ router.get('/courts/:id', async (req, res) => {
 router.get('/courts/search/:caseNumber', async (req, res) => {
   try {
     const { caseNumber } = req.params;
-    const data = await scrapeCourtData();
+    const data = await getBoard(req.courthouse, { fresh: req.query.fresh === 'true' });
     
-    const court = data.courts.find(c => 
-      c.caseNumber && c.caseNumber.toLowerCase().includes(caseNumber.toLowerCase())
-    );
+    // Only the same canonical case number is a match; numbers that differ by
+    // a typo in the case type come back as suggestions. Free text that isn't
+    // a case number falls back to a substring search.
+    const key = normalizeCaseNumber(caseNumber);
+    const court = key
+      ? data.courts.find(c => c.caseKey === key)
+      : data.courts.find(c => 
+        c.caseNumber && c.caseNumber.toLowerCase().includes(caseNumber.toLowerCase())
+      );
+    const suggestions = key
+      ? data.courts
+        .filter(c => c.caseKey && c.caseKey !== key)
+        .map(c => ({ caseNumber: c.caseNumber, courtNumber: c.courtNumber, matchScore: matchScore(c.caseKey, key) }))
+        .filter(s => s.matchScore > 0)
+        .sort((a, b) => b.matchScore - a.matchScore)
+      : [];
     
     if (!court) {
+      // Not on the board - it may still be listed later today
+      const listed = findCaseInCauseLists(await getCauseListsForDay(req.courthouse), caseNumber);
+      const boardCourt = listed ? data.courts.find(c => c.courtNumber === listed.causeList.courtNumber) : null;
+
       return res.json({ 
         success: true, 
         found: false,
-        message: 'Case not currently in session'
+        scrapedAt: data.scrapedAt,
+        ageSeconds: data.ageSeconds,
+        stale: data.stale,
+        staleReason: data.staleReason,
+        message: 'Case not currently in session',
+        suggestions,
+        listed: listed ? {
+          listDate: listed.causeList.listDate,
+          courtNumber: listed.causeList.courtNumber,
+          serialNumber: listed.entry.serialNumber,
+          listType: listed.entry.listType,
+          currentSerial: boardCourt ? boardCourt.queuePosition : null,
+          casesAhead: boardCourt
+            ? getQueuePosition(
+              listed.causeList, boardCourt.queuePosition, listed.entry.serialNumber, boardCourt.caseList, listed.entry.listType
+            )
+            : null
+        } : null
       });
     }
 
     // Calculate queue position
     const sameCourt = data.courts.filter(c => c.courtNumber === court.courtNumber);
-    let queueInfo = {
-      position: court.queuePosition,
-      gsrno: court.gsrno,
-      totalInQueue: sameCourt.filter(c => c.queuePosition).length,
-      casesAhead: null
-    };
-
-    if (court.queuePosition) {
-      queueInfo.casesAhead = sameCourt.filter(c => 
+    const queueInfo = await getCourtQueueInfo(court.courtNumber, court, req.courthouse);
+    let casesAhead = null;
+
+    if (queueInfo && queueInfo.hasCauseList) {
+      casesAhead = queueInfo.casesRemaining;
+    } else if (court.queuePosition) {
+      casesAhead = sameCourt.filter(c => 
         c.queuePosition && 
         c.queuePosition < court.queuePosition &&
         c.caseStatus !== 'SITTING_OVER'
@@ -322,8 +1077,21 @@ router.get('/courts/search/:caseNumber', async (req, res) => {
     res.json({ 
       success: true, 
       found: true,
+      scrapedAt: data.scrapedAt,
+      ageSeconds: data.ageSeconds,
+      stale: data.stale,
+      staleReason: data.staleReason,
       court,
-      queueInfo
+      queueInfo: {
+        position: court.queuePosition,
+        gsrno: court.gsrno,
+        totalInQueue: queueInfo && queueInfo.hasCauseList
+          ? queueInfo.totalCases
+          : sameCourt.filter(c => c.queuePosition).length,
+        casesAhead,
+        source: queueInfo && queueInfo.hasCauseList ? 'cause_list' : 'board'
+      },
+      suggestions
     });
   } catch (error) {
     logger.error('Error searching case:', error);
@@ -335,7 +1103,7 @@ router.get('/courts/search/:caseNumber', async (req, res) => {
 router.get('/courts/:courtNumber/queue', async (req, res) => {
   try {
     const { courtNumber } = req.params;
-    const data = await scrapeCourtData();
+    const data = await getBoard(req.courthouse, { fresh: req.query.fresh === 'true' });
     
     const courtsInCourt = data.courts.filter(c => c.courtNumber === courtNumber);
     
@@ -346,22 +1114,30 @@ router.get('/courts/:courtNumber/queue', async (req, res) => {
       });
     }
 
-    // Build queue
-    const queue = courtsInCourt
-      .filter(c => c.queuePosition !== null)
-      .sort((a, b) => a.queuePosition - b.queuePosition)
-      .map(c => ({
-        caseNumber: c.caseNumber,
-        gsrno: c.gsrno,
-        position: c.queuePosition,
-        status: c.caseStatus,
-        isLive: c.isLive
-      }));
+    // Build queue from today's cause list, falling back to board rows
+    const queueInfo = await getCourtQueueInfo(courtNumber, courtsInCourt[0], req.courthouse);
+    const queue = queueInfo && queueInfo.hasCauseList
+      ? queueInfo.queue
+      : courtsInCourt
+        .filter(c => c.queuePosition !== null)
+        .sort((a, b) => a.queuePosition - b.queuePosition)
+        .map(c => ({
+          caseNumber: c.caseNumber,
+          gsrno: c.gsrno,
+          position: c.queuePosition,
+          status: c.caseStatus,
+          isLive: c.isLive
+        }));
 
     const currentCase = courtsInCourt.find(c => c.caseStatus === 'IN_SESSION');
 
     res.json({
       success: true,
+      courthouse: data.courthouse,
+      scrapedAt: data.scrapedAt,
+      ageSeconds: data.ageSeconds,
+      stale: data.stale,
+      staleReason: data.staleReason,
       courtNumber,
       currentCase: currentCase ? {
         caseNumber: currentCase.caseNumber,
@@ -369,8 +1145,14 @@ router.get('/courts/:courtNumber/queue', async (req, res) => {
         isLive: currentCase.isLive,
         streamUrl: currentCase.streamUrl
       } : null,
+      queueSource: queueInfo && queueInfo.hasCauseList ? 'cause_list' : 'board',
+      listDate: queueInfo ? queueInfo.listDate : null,
+      currentSerial: courtsInCourt[0].queuePosition,
       queue,
       totalInQueue: queue.length,
+      casesRemaining: queueInfo ? queueInfo.casesRemaining : null,
+      estimatedTimePerCase: queueInfo ? queueInfo.estimatedTimePerCase : null,
+      etaBasis: queueInfo ? queueInfo.etaBasis : null,
       judgeName: courtsInCourt[0]?.judgeName,
       benchType: courtsInCourt[0]?.benchType
     });
@@ -380,24 +1162,134 @@ router.get('/courts/:courtNumber/queue', async (req, res) => {
   }
 });
 
+// ==================== Cause Lists ====================
+
+// Import a cause list from an uploaded file (admin token)
+// Body: { courthouse, listDate, courtNumber, format: csv|text|html|pdf, content (base64 for pdf) }
+router.post('/causelist/import', requireAdmin, async (req, res) => {
+  try {
+    const { courthouse, listDate, courtNumber, listType, format, content } = req.body;
+
+    if (!format || !content) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'format and content are required' 
+      });
+    }
+
+    if (courthouse && !hasAdapter(courthouse)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Unsupported courthouse: ${courthouse}` 
+      });
+    }
+
+    if (listDate && !/^\d{4}-\d{2}-\d{2}$/.test(listDate)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'listDate must be YYYY-MM-DD' 
+      });
+    }
+
+    const courts = await parseCauseList(content, format, { courtNumber, listType });
+    if (courts.length === 0) {
+      return res.status(422).json({ 
+        success: false, 
+        error: 'No cause list entries could be parsed' 
+      });
+    }
+
+    const result = await importCauseList({
+      courthouse: courthouse || DEFAULT_COURTHOUSE,
+      listDate: listDate || getListDate(),
+      source: 'upload',
+      courts
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Error importing cause list:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Fetch and import the published cause list from the court site (admin token)
+router.post('/causelist/fetch', requireAdmin, async (req, res) => {
+  try {
+    const { courthouse, listDate } = req.body;
+
+    if (courthouse && !hasAdapter(courthouse)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Unsupported courthouse: ${courthouse}` 
+      });
+    }
+
+    const result = await fetchCauseList(courthouse || DEFAULT_COURTHOUSE, listDate || getListDate());
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Error fetching cause list:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get a court's cause list (?date=YYYY-MM-DD, defaults to today)
+router.get('/causelist/:courtNumber', async (req, res) => {
+  try {
+    const { courtNumber } = req.params;
+    const { courthouse, date } = req.query;
+
+    if (courthouse && !hasAdapter(courthouse)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Unsupported courthouse: ${courthouse}` 
+      });
+    }
+
+    const causeList = await getCauseList(courthouse || DEFAULT_COURTHOUSE, courtNumber, date || getListDate());
+
+    if (!causeList) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'No cause list found for this court and date' 
+      });
+    }
+
+    res.json({ success: true, causeList });
+  } catch (error) {
+    logger.error('Error fetching cause list:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ==================== Case History ====================
 
 // Get case history
 router.get('/case/history/:caseNumber', async (req, res) => {
   try {
     const { caseNumber } = req.params;
-    const { limit = 50, skip = 0 } = req.query;
+    const { limit = 50, skip = 0, type } = req.query;
+
+    // ?type=hearing returns one entry per hearing with its duration,
+    // ?type=state only the board states (firstSeen-lastSeen intervals)
+    const historyQuery = caseQuery(caseNumber);
+    if (type === 'hearing') {
+      historyQuery.entryType = 'hearing';
+    } else if (type === 'state') {
+      historyQuery.entryType = { $ne: 'hearing' };
+    }
 
-    const history = await CaseHistory.find({ caseNumber })
+    const history = await CaseHistory.find(historyQuery)
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
       .skip(parseInt(skip));
 
-    const total = await CaseHistory.countDocuments({ caseNumber });
+    const total = await CaseHistory.countDocuments(historyQuery);
 
     res.json({ 
       success: true, 
       caseNumber,
+      caseKey: normalizeCaseNumber(caseNumber),
       total,
       count: history.length,
       history 
@@ -413,7 +1305,7 @@ router.get('/case/stats/:caseNumber', async (req, res) => {
   try {
     const { caseNumber } = req.params;
 
-    const stats = await CaseStatistics.findOne({ caseNumber });
+    const stats = await CaseStatistics.findOne(caseQuery(caseNumber));
     
     if (!stats) {
       return res.status(404).json({ 
@@ -424,13 +1316,17 @@ router.get('/case/stats/:caseNumber', async (req, res) => {
 
     // Calculate estimated wait time
     const estimatedWaitTime = await calculateEstimatedWaitTime(caseNumber);
+
+    // When the case is called today, if it is on today's board or cause list
+    const eta = await getCaseEta(stats.courthouse || DEFAULT_COURTHOUSE, caseNumber);
     
     res.json({ 
       success: true, 
       statistics: {
         ...stats.toObject(),
         estimatedWaitTime
-      }
+      },
+      eta
     });
   } catch (error) {
     logger.error('Error fetching case statistics:', error);
@@ -461,6 +1357,301 @@ router.get('/notifications/:deviceId', async (req, res) => {
   }
 });
 
+// ==================== Notification Templates ====================
+
+// Sample alert details for previews; query parameters override them
+const TEMPLATE_PREVIEW_DETAILS = {
+  caseNumber: 'SCA/1234/2024',
+  courtNumber: '12',
+  judgeName: 'HONOURABLE MR. JUSTICE A. B. SHAH',
+  position: 3,
+  etaTime: '11:45',
+  serialNumber: 24,
+  serialThreshold: 20,
+  caseList: 'SUPPLEMENTARY',
+  previousCaseList: 'DAILY',
+  otherCourtNumber: '7',
+  otherCaseNumber: 'FA/567/2023',
+  windowTime: '12:10',
+  ruleName: 'Serial 20',
+  message: 'Court 12 reached serial 20',
+  watchCount: 4,
+  staleDays: 30
+};
+
+// Admin preview of rendered notification text
+// (?alertType= for one type, all types otherwise; ?locale=, all locales otherwise)
+adminRouter.get('/templates/preview', (req, res) => {
+  try {
+    const { alertType, locale, ...overrides } = req.query;
+    const alertTypes = listAlertTypes();
+
+    if (alertType && !alertTypes.includes(alertType)) {
+      return res.status(400).json({ success: false, error: `alertType must be one of: ${alertTypes.join(', ')}` });
+    }
+    if (locale && !normalizeLocale(locale)) {
+      return res.status(400).json({ success: false, error: `locale must be one of: ${LOCALES.join(', ')}` });
+    }
+
+    const details = { ...TEMPLATE_PREVIEW_DETAILS, ...overrides };
+    const locales = locale ? [normalizeLocale(locale)] : LOCALES;
+    const previews = (alertType ? [alertType] : alertTypes).flatMap(type =>
+      locales.map(l => {
+        const { notification } = buildCaseNotification(details.caseNumber, type, details, l);
+        return { alertType: type, locale: l, ...notification };
+      })
+    );
+
+    res.json({ 
+      success: true, 
+      defaultLocale: DEFAULT_LOCALE,
+      details,
+      previews 
+    });
+  } catch (error) {
+    logger.error('Error previewing notification templates:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== Notification Outbox ====================
+
+// Outbox counts, and entries of a status, newest first
+// (?status=pending|sending|delivered|dead, default dead; ?deviceId=, ?alertType=, ?deadReason=)
+adminRouter.get('/outbox', async (req, res) => {
+  try {
+    const { status = 'dead', deviceId, alertType, deadReason, limit = 50 } = req.query;
+    const query = { status };
+    if (deviceId) query.deviceId = deviceId;
+    if (alertType) query.alertType = alertType;
+    if (deadReason) query.deadReason = deadReason;
+
+    const [stats, entries] = await Promise.all([
+      getOutboxStats(),
+      NotificationOutbox.find(query)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+    ]);
+
+    res.json({ 
+      success: true, 
+      stats,
+      count: entries.length,
+      entries 
+    });
+  } catch (error) {
+    logger.error('Error fetching notification outbox:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Replay dead letters matching a filter
+// Body: { deviceId, alertType, deadReason, since (ISO timestamp), limit }
+adminRouter.post('/outbox/replay', async (req, res) => {
+  try {
+    const { deviceId, alertType, deadReason, since, limit = 100 } = req.body;
+
+    const sinceDate = since ? new Date(since) : null;
+    if (sinceDate && isNaN(sinceDate.getTime())) {
+      return res.status(400).json({ success: false, error: 'since must be an ISO timestamp' });
+    }
+    if (!deviceId && !alertType && !deadReason && !sinceDate) {
+      return res.status(400).json({ success: false, error: 'Give at least one of deviceId, alertType, deadReason or since' });
+    }
+
+    const results = await replayDeadLetters(
+      { deviceId, alertType, deadReason, since: sinceDate },
+      Math.min(parseInt(limit) || 100, 500)
+    );
+
+    res.json({ 
+      success: true, 
+      replayed: results.length,
+      delivered: results.filter(r => r.success).length,
+      results 
+    });
+  } catch (error) {
+    logger.error('Error replaying dead letters:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Replay one dead letter now
+adminRouter.post('/outbox/:id/replay', async (req, res) => {
+  try {
+    const result = await replayDeadLetter(req.params.id);
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Dead letter not found' });
+    }
+
+    const entry = await NotificationOutbox.findById(result.outboxId);
+    res.json({ success: result.success, error: result.error || undefined, entry });
+  } catch (error) {
+    logger.error('Error replaying dead letter:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== Webhooks ====================
+
+// Register a webhook endpoint for the calling device. The signing secret is only returned here.
+// A deviceId or teamId scope must be the caller's own device or team.
+// Body: { url, scope: { deviceId | teamId | caseFilter }, events, courthouse, description }
+router.post('/webhooks', requireDevice, async (req, res) => {
+  try {
+    const errors = validateEndpoint(req.body);
+    if (req.body.courthouse && !hasAdapter(req.body.courthouse)) {
+      errors.push(`Unknown courthouse: ${req.body.courthouse}`);
+    }
+    const requested = req.body.scope || {};
+    if (requested.deviceId && requested.deviceId !== req.device.deviceId) {
+      errors.push('scope.deviceId must be the calling device');
+    }
+    if (requested.teamId && requested.teamId !== req.device.teamId) {
+      errors.push('scope.teamId must be the calling device\'s team');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; '), errors });
+    }
+
+    const { url, scope, events, courthouse, description } = req.body;
+    const endpoint = await WebhookEndpoint.create({
+      url,
+      secret: createSecret(),
+      ownerDeviceId: req.device.deviceId,
+      scope: {
+        deviceId: scope.deviceId || null,
+        teamId: scope.teamId || null,
+        caseFilter: scope.caseFilter || null
+      },
+      events: events || ['*'],
+      courthouse: courthouse ? getAdapter(courthouse).name : null,
+      description
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook registered. Store the secret, it is not shown again.',
+      webhook: serializeEndpoint(endpoint, { withSecret: true })
+    });
+  } catch (error) {
+    logger.error('Error registering webhook:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List the webhook endpoints the calling device may manage
+router.get('/webhooks', requireDevice, async (req, res) => {
+  try {
+    const { deviceId, teamId } = req.device;
+    const query = { $or: [{ ownerDeviceId: deviceId }, { 'scope.deviceId': deviceId }] };
+    if (teamId) query.$or.push({ 'scope.teamId': teamId });
+
+    const endpoints = await WebhookEndpoint.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: endpoints.length,
+      eventTypes: WEBHOOK_EVENT_TYPES,
+      webhooks: endpoints.map(endpoint => serializeEndpoint(endpoint))
+    });
+  } catch (error) {
+    logger.error('Error fetching webhooks:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update url, events, description or isActive of an endpoint
+router.put('/webhooks/:id', requireDevice, async (req, res) => {
+  try {
+    const errors = validateEndpoint(req.body, { partial: true });
+    if (req.body.isActive !== undefined && typeof req.body.isActive !== 'boolean') {
+      errors.push('isActive must be true or false');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: errors.join('; '), errors });
+    }
+
+    const update = {};
+    ['url', 'events', 'description', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    });
+
+    const endpoint = await WebhookEndpoint.findById(req.params.id);
+    if (!canManageEndpoint(endpoint, req.device)) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+
+    endpoint.set(update);
+    await endpoint.save();
+
+    res.json({ success: true, webhook: serializeEndpoint(endpoint) });
+  } catch (error) {
+    logger.error('Error updating webhook:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Remove an endpoint; pending deliveries to it fail on their next attempt
+router.delete('/webhooks/:id', requireDevice, async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findById(req.params.id);
+    if (!canManageEndpoint(endpoint, req.device)) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+    await endpoint.deleteOne();
+
+    res.json({ success: true, message: 'Webhook removed' });
+  } catch (error) {
+    logger.error('Error removing webhook:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delivery log of an endpoint, newest first (?status=pending|sending|delivered|failed)
+router.get('/webhooks/:id/deliveries', requireDevice, async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findById(req.params.id);
+    if (!canManageEndpoint(endpoint, req.device)) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+
+    const { status, limit = 50 } = req.query;
+    const query = { endpointId: req.params.id };
+    if (status) query.status = status;
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit));
+
+    res.json({ success: true, count: deliveries.length, deliveries });
+  } catch (error) {
+    logger.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Send a delivery again now
+router.post('/webhooks/deliveries/:deliveryId/redeliver', requireDevice, async (req, res) => {
+  try {
+    const existing = await WebhookDelivery.findById(req.params.deliveryId).select('endpointId');
+    const endpoint = existing ? await WebhookEndpoint.findById(existing.endpointId) : null;
+    if (!canManageEndpoint(endpoint, req.device)) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' });
+    }
+
+    const delivery = await redeliver(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(409).json({ success: false, error: 'Delivery is being sent right now' });
+    }
+
+    res.json({ success: delivery.status === 'delivered', delivery });
+  } catch (error) {
+    logger.error('Error redelivering webhook:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ==================== Analytics ====================
 
 // Get overall statistics
@@ -0,0 +1,62 @@
+// Backfill canonical caseKey on existing Watchlist, CaseHistory and CaseStatistics documents.
+// Also recomputes CRA keys, which criminal appeals (now CR.A) used to share
+// with civil revision applications.
+// Usage: npm run migrate:case-keys
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const logger = require('../config/logger');
+const { Watchlist, CaseHistory, CaseStatistics } = require('../models');
+const { normalizeCaseNumber } = require('../services/caseNumber');
+const { parseCaseIdentifier } = require('../services/trackingService');
+
+const BATCH_SIZE = 500;
+
+// COURT:n:pos watches have no case number; COURT:n:case watches use the case part
+function keyFor(caseNumber) {
+  const parsed = parseCaseIdentifier(caseNumber);
+  return parsed.type === 'caseNumber' ? normalizeCaseNumber(parsed.caseNumber) : null;
+}
+
+async function backfill(Model) {
+  const cursor = Model.find({ $or: [{ caseKey: { $in: [null, undefined] } }, { caseKey: /^CRA\// }] })
+    .select('caseNumber caseKey')
+    .lean()
+    .cursor();
+  let ops = [];
+  let updated = 0;
+
+  for await (const doc of cursor) {
+    const caseKey = keyFor(doc.caseNumber);
+    if (!caseKey || caseKey === doc.caseKey) continue;
+
+    ops.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { caseKey } } } });
+    if (ops.length >= BATCH_SIZE) {
+      await Model.bulkWrite(ops, { ordered: false });
+      updated += ops.length;
+      ops = [];
+    }
+  }
+
+  if (ops.length > 0) {
+    await Model.bulkWrite(ops, { ordered: false });
+    updated += ops.length;
+  }
+
+  logger.info(`Backfilled caseKey on ${updated} ${Model.modelName} documents`);
+}
+
+async function run() {
+  await connectDB();
+
+  for (const Model of [Watchlist, CaseHistory, CaseStatistics]) {
+    await backfill(Model);
+  }
+
+  await mongoose.connection.close();
+}
+
+run().catch(error => {
+  logger.error('Case key backfill failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,101 @@
+// Compact existing per-scrape CaseHistory documents into state intervals.
+// Consecutive documents of a court with the same case, status and serial
+// become one document with firstSeen/lastSeen; the rest are deleted.
+// Hearing documents are left alone.
+// Usage: npm run migrate:case-history [-- --dry-run]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const logger = require('../config/logger');
+const { CaseHistory } = require('../models');
+const { stateSignature } = require('../services/stateHistory');
+
+const BATCH_SIZE = 500;
+const DRY_RUN = process.argv.includes('--dry-run');
+const MAX_GAP = parseInt(process.env.CASE_HISTORY_MAX_GAP) || 600000;
+
+let ops = [];
+const totals = { documents: 0, intervals: 0, deleted: 0 };
+
+async function flushOps(force = false) {
+  if (ops.length === 0 || (!force && ops.length < BATCH_SIZE)) return;
+  if (!DRY_RUN) await CaseHistory.bulkWrite(ops, { ordered: false });
+  ops = [];
+}
+
+// Write one finished run: keep its first document as the interval, delete the others
+async function writeRun(run) {
+  totals.intervals += 1;
+  totals.deleted += run.dropIds.length;
+
+  ops.push({
+    updateOne: {
+      filter: { _id: run.keepId },
+      update: { $set: { entryType: 'state', firstSeen: run.firstSeen, lastSeen: run.lastSeen } }
+    }
+  });
+  if (run.dropIds.length > 0) {
+    ops.push({ deleteMany: { filter: { _id: { $in: run.dropIds } } } });
+  }
+  await flushOps();
+}
+
+async function run() {
+  await connectDB();
+
+  // Entries from before hearings were split out have no entryType
+  if (!DRY_RUN) {
+    const untyped = await CaseHistory.updateMany({ entryType: { $exists: false } }, { $set: { entryType: 'state' } });
+    logger.info(`Marked ${untyped.modifiedCount} untyped history documents as state entries`);
+  }
+
+  const cursor = CaseHistory.find({
+    entryType: { $in: ['state', null] },
+    firstSeen: { $in: [null, undefined] }
+  })
+    .select('caseNumber caseKey courthouse courtNumber status position scrapedAt createdAt')
+    .sort({ courthouse: 1, courtNumber: 1, scrapedAt: 1, createdAt: 1 })
+    .allowDiskUse(true)
+    .lean()
+    .cursor();
+
+  let current = null;
+
+  for await (const doc of cursor) {
+    totals.documents += 1;
+
+    const seenAt = doc.scrapedAt || doc.createdAt;
+    const court = `${doc.courthouse}|${doc.courtNumber}`;
+    const signature = stateSignature({
+      caseKey: doc.caseKey,
+      caseNumber: doc.caseNumber,
+      courtNumber: doc.courtNumber,
+      caseStatus: doc.status,
+      queuePosition: doc.position
+    });
+
+    if (current && current.court === court && current.signature === signature && seenAt - current.lastSeen <= MAX_GAP) {
+      current.lastSeen = seenAt;
+      current.dropIds.push(doc._id);
+      continue;
+    }
+
+    if (current) await writeRun(current);
+    current = { court, signature, keepId: doc._id, firstSeen: seenAt, lastSeen: seenAt, dropIds: [] };
+  }
+
+  if (current) await writeRun(current);
+  await flushOps(true);
+
+  logger.info(
+    `${DRY_RUN ? '[dry run] ' : ''}Compacted ${totals.documents} case history documents ` +
+    `into ${totals.intervals} intervals, ${totals.deleted} deleted`
+  );
+
+  await mongoose.connection.close();
+}
+
+run().catch(error => {
+  logger.error('Case history compaction failed:', error);
+  process.exit(1);
+});
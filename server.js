@@ -12,9 +12,17 @@ const { initializeFirebase } = require('./services/fcmService');
 const { 
   startRealtimeScraper, 
   startSnapshotScheduler,
+  startCauseListScheduler,
+  startEtaModelScheduler,
+  startWebhookRetryScheduler,
+  startHeldAlertScheduler,
+  startOutboxScheduler,
+  startDevicePruneScheduler,
   startCleanupScheduler,
   getScraperStatus
 } = require('./services/cronService');
+const { restartReplay, getSourceStatus } = require('./services/scraperSource');
+const { requireAdmin } = require('./services/adminAuth');
 
 // Create Express app
 const app = express();
@@ -23,7 +31,7 @@ const server = http.createServer(app);
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' })); // cause list PDF uploads
 app.use(express.urlencoded({ extended: true }));
 
 // Rate limiting
@@ -43,21 +51,55 @@ app.get('/', (req, res) => {
     name: 'Court Tracker Backend API',
     version: '2.0.0',
     status: 'running',
+    authentication: 'Webhook, channel, travel, quiet hours/DND, conflict and team secret routes act for a device: send X-Device-Id and X-Device-Secret (from /api/device/register)',
+    adminAuthentication: 'Admin routes take X-Admin-Token (ADMIN_TOKEN); they are disabled when it is not set',
     endpoints: {
-      'POST /api/device/register': 'Register device with FCM token',
-      'POST /api/device/heartbeat': 'Update device last seen',
+      'POST /api/device/register': 'Register device with an FCM token (one per app install) and locale (en, gu, hi); returns the device secret on first registration. Joining a team takes teamSecret',
+      'POST /api/device/:deviceId/team/secret': 'Issue a new secret for the device\'s team (device credentials)',
+      'POST /api/device/heartbeat': 'Update device last seen, resuming watches paused while it was away',
+      'GET /api/device/:deviceId/tokens': 'FCM tokens of a device and whether they are active',
+      'DELETE /api/device/:deviceId/tokens': 'Remove an FCM token, e.g. on logout',
+      'PUT /api/device/:deviceId/travel': 'Set travel time and lead buffer for leave-now alerts (device credentials)',
+      'GET /api/device/:deviceId/channels': 'Get notification channels of a device (device credentials)',
+      'PUT /api/device/:deviceId/channels': 'Set notification channels (fcm, email, webhook, telegram, sms) and fallback order of a registered device (device credentials)',
+      'GET /api/device/:deviceId/quiet': 'Get quiet hours, DND and whether the device is quiet now (device credentials)',
+      'PUT /api/device/:deviceId/quiet': 'Set quiet hour windows and quiet mode (silent or hold) (device credentials)',
+      'POST /api/device/:deviceId/dnd': 'Turn on do-not-disturb for a number of minutes or until a time (device credentials)',
+      'DELETE /api/device/:deviceId/dnd': 'Turn off do-not-disturb (device credentials)',
       'POST /api/watchlist/add': 'Add case to watchlist',
       'GET /api/watchlist/:deviceId': 'Get user watchlist',
       'PUT /api/watchlist/:id': 'Update watchlist item',
+      'GET /api/watchlist/:id/transitions': 'Notification state transitions of a watch for a day',
+      'GET /api/watchlist/:deviceId/conflicts': 'Watched cases likely to be reached at the same time today (device credentials)',
+      'GET /api/watchlist/:id/rules': 'List alert rules of a watch',
+      'POST /api/watchlist/:id/rules': 'Add an alert rule',
+      'PUT /api/watchlist/:id/rules/:ruleId': 'Update an alert rule',
+      'DELETE /api/watchlist/:id/rules/:ruleId': 'Delete an alert rule',
       'DELETE /api/watchlist/:id': 'Remove from watchlist',
-      'GET /api/courts': 'Get all court data (live)',
+      'GET /api/courthouses': 'List supported courthouses',
+      'GET /api/courts': 'Get all court data (cached board, ?courthouse= to select, ?fresh=true to rescrape)',
       'GET /api/courts/live': 'Get live courts only',
       'GET /api/courts/active': 'Get active courts only',
+      'GET /api/courts/events': 'Get recent board change events',
       'GET /api/courts/:id': 'Get specific court',
-      'GET /api/courts/search/:caseNumber': 'Search for case',
+      'GET /api/courts/search/:caseNumber': 'Search for case by exact case number; near misses are returned as suggestions',
+      'POST /api/causelist/import': 'Import a cause list file (csv, text, html, pdf) (admin token)',
+      'POST /api/causelist/fetch': 'Fetch and import the published cause list (admin token)',
+      'GET /api/causelist/:courtNumber': 'Get a court cause list',
+      'GET /api/courts/:courtNumber/queue': 'Get court queue from cause list',
       'GET /api/case/history/:caseNumber': 'Get case history',
       'GET /api/case/stats/:caseNumber': 'Get case statistics',
       'GET /api/notifications/:deviceId': 'Get notification history',
+      'GET /api/admin/outbox': 'Outbox counts and entries (?status=dead for dead letters; admin token)',
+      'POST /api/admin/outbox/:id/replay': 'Replay a dead-lettered alert (admin token)',
+      'POST /api/admin/outbox/replay': 'Replay dead letters by device, alert type, reason or time (admin token)',
+      'GET /api/admin/templates/preview': 'Preview notification text by alert type and locale (en, gu, hi) (admin token)',
+      'POST /api/webhooks': 'Register a signed webhook endpoint for the calling device (own device, own team or case filter scope)',
+      'GET /api/webhooks': 'List the calling device\'s webhook endpoints',
+      'PUT /api/webhooks/:id': 'Update a webhook endpoint',
+      'DELETE /api/webhooks/:id': 'Remove a webhook endpoint',
+      'GET /api/webhooks/:id/deliveries': 'Delivery attempts of a webhook endpoint',
+      'POST /api/webhooks/deliveries/:deliveryId/redeliver': 'Send a webhook delivery again',
       'GET /api/analytics/overview': 'Get analytics overview',
       'GET /api/health': 'Health check'
     },
@@ -66,6 +108,7 @@ app.get('/', (req, res) => {
       events: {
         'subscribe': 'Subscribe to device updates',
         'subscribe_case': 'Subscribe to case updates',
+        'court_events': 'Typed board change events (server push)',
         'unsubscribe': 'Unsubscribe from updates'
       }
     }
@@ -81,6 +124,15 @@ app.get('/api/scraper/status', (req, res) => {
   });
 });
 
+// Restart replay of recorded captures from the beginning (admin token)
+app.post('/api/scraper/replay/restart', requireAdmin, (req, res) => {
+  restartReplay();
+  res.json({
+    success: true,
+    source: getSourceStatus()
+  });
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   logger.error('Unhandled error:', err);
@@ -121,6 +173,24 @@ async function startServer() {
     startSnapshotScheduler();
     logger.info('✓ Snapshot scheduler started');
 
+    startCauseListScheduler();
+    logger.info('✓ Cause list scheduler started');
+
+    startEtaModelScheduler();
+    logger.info('✓ ETA model scheduler started');
+
+    startWebhookRetryScheduler();
+    logger.info('✓ Webhook retry scheduler started');
+
+    startHeldAlertScheduler();
+    logger.info('✓ Held alert scheduler started');
+
+    startOutboxScheduler();
+    logger.info('✓ Notification outbox scheduler started');
+
+    startDevicePruneScheduler();
+    logger.info('✓ Stale device scheduler started');
+
     startCleanupScheduler();
     logger.info('✓ Cleanup scheduler started');
 
@@ -0,0 +1,52 @@
+const axios = require('axios');
+const admin = require('firebase-admin');
+const logger = require('../config/logger');
+const { initializeFirebase } = require('./fcmService');
+
+// Operational alerts for maintainers, delivered to any configured channel:
+//   ADMIN_ALERT_WEBHOOK_URL - POSTed { text, title, message, data } (Slack/Teams compatible)
+//   ADMIN_FCM_TOPIC         - FCM topic the admin app subscribes to
+async function sendAdminAlert(title, message, data = {}) {
+  const results = {};
+
+  logger.warn(`Admin alert: ${title} - ${message}`);
+
+  if (process.env.ADMIN_ALERT_WEBHOOK_URL) {
+    try {
+      await axios.post(process.env.ADMIN_ALERT_WEBHOOK_URL, {
+        text: `${title}\n${message}`,
+        title,
+        message,
+        data
+      }, { timeout: 10000 });
+      results.webhook = { success: true };
+    } catch (error) {
+      logger.error('Error sending admin webhook alert:', error.message);
+      results.webhook = { success: false, error: error.message };
+    }
+  }
+
+  if (process.env.ADMIN_FCM_TOPIC) {
+    try {
+      if (!initializeFirebase()) {
+        throw new Error('Firebase not initialized');
+      }
+
+      await admin.messaging().send({
+        topic: process.env.ADMIN_FCM_TOPIC,
+        notification: { title, body: message },
+        data: Object.fromEntries(Object.entries(data).map(([k, v]) => [k, String(v)]))
+      });
+      results.fcm = { success: true };
+    } catch (error) {
+      logger.error('Error sending admin FCM alert:', error.message);
+      results.fcm = { success: false, error: error.message };
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  sendAdminAlert
+};
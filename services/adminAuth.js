@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+// Admin API access.
+// Operator routes take the shared ADMIN_TOKEN in an X-Admin-Token header.
+// Without ADMIN_TOKEN configured they are disabled.
+
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+function isAdminToken(token) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected || !token) return false;
+  return crypto.timingSafeEqual(digest(expected), digest(token));
+}
+
+// Express middleware for admin routes
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(403).json({ success: false, error: 'Admin API is disabled (ADMIN_TOKEN is not set)' });
+  }
+  if (!isAdminToken(req.get('X-Admin-Token'))) {
+    return res.status(401).json({ success: false, error: 'Admin token required (X-Admin-Token)' });
+  }
+  next();
+}
+
+module.exports = {
+  isAdminToken,
+  requireAdmin
+};
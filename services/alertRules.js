@@ -0,0 +1,199 @@
+// User-defined alert rules.
+// A rule belongs to a watch and fires a custom message when its condition
+// over the board starts to hold. Conditions nest `all` (AND) and `any` (OR)
+// groups over leaves { field, op, value }:
+//
+//   { all: [ { field: 'courtNumber', op: 'eq', value: '7' },
+//            { field: 'serialNumber', op: 'gte', value: 40 } ] }
+//   { any: [ { field: 'position', op: 'eq', value: 3 },
+//            { field: 'position', op: 'eq', value: 1 } ] }
+//
+// Rules are edge triggered: a rule fires when the set of leaves that make it
+// true changes (so "3 away" and "1 away" fire separately) and then not again
+// while the same leaves keep holding, nor within its cooldown.
+
+const FIELDS = {
+  courtNumber: 'string',
+  serialNumber: 'number',
+  status: 'string',
+  listType: 'string',
+  judge: 'string',
+  position: 'number',
+  etaMinutes: 'number'
+};
+
+const OPERATORS = {
+  string: ['eq', 'ne', 'in', 'contains'],
+  number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in']
+};
+
+const MAX_DEPTH = 3;
+const MAX_LEAVES = 20;
+const MAX_MESSAGE_LENGTH = 500;
+
+const getMaxRulesPerWatch = () => parseInt(process.env.ALERT_RULES_MAX_PER_WATCH) || 10;
+
+const isGroup = (node) => node && typeof node === 'object' && (Array.isArray(node.all) || Array.isArray(node.any));
+
+// Validate a condition tree; returns a list of problems (empty when valid)
+function validateCondition(node, path = 'condition', depth = 0, counter = { leaves: 0 }) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    return [`${path} must be an object`];
+  }
+
+  if (isGroup(node)) {
+    if (depth >= MAX_DEPTH) return [`${path} is nested deeper than ${MAX_DEPTH} levels`];
+    const key = Array.isArray(node.all) ? 'all' : 'any';
+    if (node[key].length === 0) return [`${path}.${key} must not be empty`];
+    return node[key].flatMap((child, i) => validateCondition(child, `${path}.${key}[${i}]`, depth + 1, counter));
+  }
+
+  const errors = [];
+  counter.leaves += 1;
+  if (counter.leaves === MAX_LEAVES + 1) errors.push(`conditions may have at most ${MAX_LEAVES} comparisons`);
+
+  const type = FIELDS[node.field];
+  if (!type) {
+    return errors.concat(`${path}.field must be one of ${Object.keys(FIELDS).join(', ')}`);
+  }
+  if (!OPERATORS[type].includes(node.op)) {
+    return errors.concat(`${path}.op for ${node.field} must be one of ${OPERATORS[type].join(', ')}`);
+  }
+
+  const values = node.op === 'in' ? node.value : [node.value];
+  if (!Array.isArray(values) || values.length === 0) {
+    errors.push(`${path}.value must be a non-empty array for 'in'`);
+  } else if (type === 'number' && values.some(v => typeof v !== 'number' || isNaN(v))) {
+    errors.push(`${path}.value must be a number for ${node.field}`);
+  } else if (type === 'string' && values.some(v => typeof v !== 'string' && typeof v !== 'number')) {
+    errors.push(`${path}.value must be a string for ${node.field}`);
+  }
+
+  return errors;
+}
+
+// Validate a rule as sent by a client; `partial` for updates
+function validateRule(rule, { partial = false } = {}) {
+  const errors = [];
+  if (!rule || typeof rule !== 'object') return ['rule must be an object'];
+
+  if (!partial || rule.name !== undefined) {
+    if (typeof rule.name !== 'string' || !rule.name.trim()) errors.push('name is required');
+  }
+  if (!partial || rule.message !== undefined) {
+    if (typeof rule.message !== 'string' || !rule.message.trim()) {
+      errors.push('message is required');
+    } else if (rule.message.length > MAX_MESSAGE_LENGTH) {
+      errors.push(`message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+  }
+  if (!partial || rule.condition !== undefined) {
+    errors.push(...validateCondition(rule.condition));
+  }
+  if (rule.cooldownMinutes !== undefined && (typeof rule.cooldownMinutes !== 'number' || rule.cooldownMinutes < 0)) {
+    errors.push('cooldownMinutes must be a number of minutes, 0 or more');
+  }
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+
+  return errors;
+}
+
+const normalizeString = (value) => String(value).replace(/\s+/g, ' ').trim().toUpperCase();
+
+function compareLeaf(leaf, context) {
+  const actual = context[leaf.field];
+  if (actual === null || actual === undefined || actual === '') return false;
+
+  if (FIELDS[leaf.field] === 'string') {
+    const left = normalizeString(actual);
+    switch (leaf.op) {
+      case 'eq': return left === normalizeString(leaf.value);
+      case 'ne': return left !== normalizeString(leaf.value);
+      case 'in': return leaf.value.some(v => left === normalizeString(v));
+      case 'contains': return left.includes(normalizeString(leaf.value));
+      default: return false;
+    }
+  }
+
+  const left = Number(actual);
+  if (isNaN(left)) return false;
+  switch (leaf.op) {
+    case 'eq': return left === leaf.value;
+    case 'ne': return left !== leaf.value;
+    case 'gt': return left > leaf.value;
+    case 'gte': return left >= leaf.value;
+    case 'lt': return left < leaf.value;
+    case 'lte': return left <= leaf.value;
+    case 'in': return leaf.value.includes(left);
+    default: return false;
+  }
+}
+
+// Evaluate a condition; returns whether it holds and the paths of the leaves that made it hold
+function evaluateCondition(node, context, path = 'c') {
+  if (isGroup(node)) {
+    const key = Array.isArray(node.all) ? 'all' : 'any';
+    const results = node[key].map((child, i) => evaluateCondition(child, context, `${path}.${i}`));
+    const matched = key === 'all' ? results.every(r => r.matched) : results.some(r => r.matched);
+    return {
+      matched,
+      leaves: matched ? results.filter(r => r.matched).flatMap(r => r.leaves) : []
+    };
+  }
+
+  const matched = compareLeaf(node, context);
+  return { matched, leaves: matched ? [path] : [] };
+}
+
+// Fill {field} placeholders of a rule message from the context
+function renderMessage(template, context) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, field) => {
+    const value = context[field];
+    return value === null || value === undefined ? '-' : String(value);
+  });
+}
+
+// Evaluate a watch's rules against one or more contexts (one per followed court).
+// Updates each rule's trigger state on the watch document and returns the rules
+// to fire, and whether any trigger state changed and needs saving.
+function evaluateRules(watch, contexts, now = new Date()) {
+  const fired = [];
+  let changedState = false;
+
+  for (const rule of watch.rules || []) {
+    if (rule.enabled === false) continue;
+
+    const matches = contexts
+      .map(context => ({ context, result: evaluateCondition(rule.condition, context) }))
+      .filter(m => m.result.matched);
+    const signature = matches
+      .map(m => `${m.context.courtNumber || ''}:${m.result.leaves.join(',')}`)
+      .join('|');
+
+    const changed = signature !== (rule.lastMatch || '');
+    if (!changed) continue;
+    rule.lastMatch = signature;
+    changedState = true;
+    if (!signature) continue;
+
+    const cooldownMs = (rule.cooldownMinutes || 0) * 60000;
+    if (rule.lastFiredAt && now - new Date(rule.lastFiredAt) < cooldownMs) continue;
+
+    rule.lastFiredAt = now;
+    fired.push({ rule, context: matches[0].context, message: renderMessage(rule.message, matches[0].context) });
+  }
+
+  return { fired, changed: changedState };
+}
+
+module.exports = {
+  FIELDS,
+  OPERATORS,
+  getMaxRulesPerWatch,
+  validateRule,
+  evaluateCondition,
+  evaluateRules,
+  renderMessage
+};
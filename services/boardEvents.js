@@ -0,0 +1,199 @@
+const logger = require('../config/logger');
+
+// Typed change events derived by comparing consecutive boards of a courthouse
+const EVENT_TYPES = [
+  'court_appeared',
+  'court_disappeared',
+  'case_started',
+  'case_changed',
+  'court_sitting',
+  'serial_advanced',
+  'list_changed',
+  'recess_started',
+  'recess_ended',
+  'court_sitting_over',
+  'stream_went_live',
+  'judge_changed'
+];
+
+const MAX_RECENT_EVENTS = parseInt(process.env.BOARD_EVENTS_BUFFER) || 500;
+
+// Courts of the last published board per courthouse
+const previousBoards = new Map();
+
+// Recent events per courthouse for the events API
+const recentEvents = new Map();
+
+// Consumers of the event stream, called in registration order
+const subscribers = [];
+
+// The part of a court row events carry along
+function courtState(court) {
+  return {
+    caseNumber: court.caseNumber,
+    caseKey: court.caseKey,
+    caseStatus: court.caseStatus,
+    queuePosition: court.queuePosition,
+    gsrno: court.gsrno,
+    caseList: court.caseList,
+    judgeName: court.judgeName,
+    isLive: court.isLive,
+    streamUrl: court.streamUrl
+  };
+}
+
+function createEvent(type, courthouse, scrapedAt, previous, current) {
+  const court = current || previous;
+  return {
+    type,
+    courthouse,
+    courtId: court.id,
+    courtNumber: court.courtNumber,
+    caseNumber: court.caseNumber || null,
+    caseKey: court.caseKey || null,
+    at: scrapedAt,
+    previous: previous ? courtState(previous) : null,
+    current: current ? courtState(current) : null
+  };
+}
+
+const sameCase = (a, b) => (a.caseKey || a.caseNumber) === (b.caseKey || b.caseNumber);
+
+// Compare two court rows of the same courtroom
+function diffCourt(prev, curr, courthouse, scrapedAt) {
+  const events = [];
+  const add = (type) => events.push(createEvent(type, courthouse, scrapedAt, prev, curr));
+
+  const hadCase = !!prev.caseNumber;
+  const hasCase = !!curr.caseNumber;
+
+  if (hasCase && !hadCase) {
+    add('case_started');
+  } else if (hasCase && hadCase && !sameCase(prev, curr)) {
+    add('case_changed');
+  }
+
+  if (curr.caseStatus === 'IN_SESSION' && prev.caseStatus !== 'IN_SESSION') {
+    add('court_sitting');
+  }
+
+  if (curr.queuePosition !== null && prev.queuePosition !== null && curr.queuePosition > prev.queuePosition) {
+    add('serial_advanced');
+  }
+
+  if (curr.caseList && prev.caseList && curr.caseList !== prev.caseList) {
+    add('list_changed');
+  }
+
+  if (curr.caseStatus === 'RECESS' && prev.caseStatus !== 'RECESS') {
+    add('recess_started');
+  } else if (prev.caseStatus === 'RECESS' && curr.caseStatus !== 'RECESS') {
+    add('recess_ended');
+  }
+
+  if (curr.caseStatus === 'SITTING_OVER' && prev.caseStatus !== 'SITTING_OVER') {
+    add('court_sitting_over');
+  }
+
+  if (curr.isLive && !prev.isLive) {
+    add('stream_went_live');
+  }
+
+  if (curr.judgeName && prev.judgeName && curr.judgeName !== prev.judgeName) {
+    add('judge_changed');
+  }
+
+  return events;
+}
+
+// Compare consecutive boards and return the typed events between them.
+// The first board of a courthouse (after a process start) reports every court
+// as appeared, with its case started and stream live. Those events describe
+// what was already going on, not changes, so they are marked baseline: true;
+// consumers that alert or count (target watches, webhooks, statistics) skip them.
+function diffBoards(previousCourts, courtData) {
+  const courthouse = courtData.courthouse;
+  const scrapedAt = courtData.scrapedAt;
+  const previousById = new Map((previousCourts || []).map(c => [c.id, c]));
+  const currentIds = new Set();
+  const events = [];
+
+  for (const court of courtData.courts) {
+    currentIds.add(court.id);
+    const prev = previousById.get(court.id);
+
+    if (!prev) {
+      events.push(createEvent('court_appeared', courthouse, scrapedAt, null, court));
+      if (court.caseNumber) events.push(createEvent('case_started', courthouse, scrapedAt, null, court));
+      if (court.isLive) events.push(createEvent('stream_went_live', courthouse, scrapedAt, null, court));
+      continue;
+    }
+
+    events.push(...diffCourt(prev, court, courthouse, scrapedAt));
+  }
+
+  previousById.forEach((prev, id) => {
+    if (!currentIds.has(id)) {
+      events.push(createEvent('court_disappeared', courthouse, scrapedAt, prev, null));
+    }
+  });
+
+  const baseline = !previousCourts;
+  return events.map(event => ({ ...event, baseline }));
+}
+
+// Register a consumer: handler(courtData, events) may be async
+function subscribe(name, handler) {
+  subscribers.push({ name, handler });
+}
+
+// Diff a new board against the last published one and hand the events to every consumer.
+// A failing consumer is logged and does not stop the others.
+async function publishBoard(courtData) {
+  const courthouse = courtData.courthouse;
+  const events = diffBoards(previousBoards.get(courthouse), courtData);
+  previousBoards.set(courthouse, courtData.courts);
+
+  if (events.length > 0) {
+    const counts = {};
+    events.forEach(e => { counts[e.type] = (counts[e.type] || 0) + 1; });
+    logger.info(`[${courthouse}] Board events: ${JSON.stringify(counts)}`);
+
+    const buffer = recentEvents.get(courthouse) || [];
+    buffer.push(...events);
+    recentEvents.set(courthouse, buffer.slice(-MAX_RECENT_EVENTS));
+  }
+
+  for (const { name, handler } of subscribers) {
+    try {
+      await handler(courtData, events);
+    } catch (error) {
+      logger.error(`Board event consumer ${name} failed:`, error);
+    }
+  }
+
+  return events;
+}
+
+// Recent events of a courthouse, optionally after a timestamp and of given types
+function getRecentEvents(courthouse, options = {}) {
+  let events = recentEvents.get(courthouse) || [];
+
+  const since = options.since ? new Date(options.since).getTime() : NaN;
+  if (!isNaN(since)) {
+    events = events.filter(e => new Date(e.at).getTime() > since);
+  }
+  if (options.types && options.types.length > 0) {
+    events = events.filter(e => options.types.includes(e.type));
+  }
+
+  return events;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  diffBoards,
+  subscribe,
+  publishBoard,
+  getRecentEvents
+};
@@ -0,0 +1,119 @@
+const { scrapeCourtData } = require('./scraperService');
+const { DEFAULT_COURTHOUSE, getAdapter } = require('./courthouses');
+const logger = require('../config/logger');
+
+// Latest scraped board per courthouse, filled by the realtime scraper
+const boards = new Map();
+
+// In-flight scrapes per courthouse so concurrent refreshes share one request
+const inFlight = new Map();
+
+// Last refresh failure per courthouse, cleared on the next successful scrape
+const lastErrors = new Map();
+
+const getMaxAge = () => parseInt(process.env.BOARD_CACHE_MAX_AGE) || 120000; // 2 minutes default
+
+const resolveName = (courthouse) => getAdapter(courthouse || DEFAULT_COURTHOUSE).name;
+
+// Store a freshly scraped board
+function setBoard(courtData) {
+  const courthouse = courtData.courthouse || DEFAULT_COURTHOUSE;
+  boards.set(courthouse, {
+    data: courtData,
+    storedAt: Date.now()
+  });
+  lastErrors.delete(courthouse);
+}
+
+// Scrape a courthouse, collapsing concurrent callers into a single upstream request
+function refreshBoard(courthouse) {
+  const name = resolveName(courthouse);
+
+  if (inFlight.has(name)) {
+    return inFlight.get(name);
+  }
+
+  const request = scrapeCourtData(name)
+    .then(courtData => {
+      setBoard(courtData);
+      return courtData;
+    })
+    .catch(error => {
+      lastErrors.set(name, {
+        message: error.message,
+        code: error.code || null,
+        time: new Date()
+      });
+      throw error;
+    })
+    .finally(() => {
+      inFlight.delete(name);
+    });
+
+  inFlight.set(name, request);
+  return request;
+}
+
+// Attach cache metadata to a stored board. A board is stale when the
+// latest attempt to refresh it failed.
+function withMeta(courtData, cached) {
+  const ageMs = Math.max(0, Date.now() - new Date(courtData.scrapedAt).getTime());
+  const lastError = lastErrors.get(courtData.courthouse || DEFAULT_COURTHOUSE);
+  return {
+    ...courtData,
+    cached,
+    ageSeconds: Math.round(ageMs / 1000),
+    stale: !!lastError,
+    staleReason: lastError ? lastError.message : null
+  };
+}
+
+// Read the board for a courthouse. Scrapes only when nothing is stored,
+// the stored board is older than BOARD_CACHE_MAX_AGE, or fresh is requested.
+// If that scrape fails, the last good board is served marked as stale.
+async function getBoard(courthouse, options = {}) {
+  const name = resolveName(courthouse);
+  const entry = boards.get(name);
+
+  const isExpired = entry && Date.now() - entry.storedAt > getMaxAge();
+
+  if (!entry || isExpired || options.fresh) {
+    if (isExpired) {
+      logger.warn(`Stored board for ${name} is older than ${getMaxAge()}ms, refreshing`);
+    }
+    try {
+      const courtData = await refreshBoard(name);
+      return withMeta(courtData, false);
+    } catch (error) {
+      if (!entry) throw error;
+      logger.warn(`Serving stale board for ${name}: ${error.message}`);
+    }
+  }
+
+  return withMeta(entry.data, true);
+}
+
+// Lightweight view of what is stored, for status endpoints
+function getBoardStoreStatus() {
+  const status = {};
+  boards.forEach((entry, courthouse) => {
+    status[courthouse] = {
+      scrapedAt: entry.data.scrapedAt,
+      ageSeconds: Math.round((Date.now() - entry.storedAt) / 1000),
+      courts: entry.data.courts.length,
+      allSittingOver: entry.data.courts.length > 0 &&
+        entry.data.courts.every(c => c.caseStatus === 'SITTING_OVER'),
+      refreshing: inFlight.has(courthouse),
+      stale: lastErrors.has(courthouse),
+      lastError: lastErrors.get(courthouse) || null
+    };
+  });
+  return status;
+}
+
+module.exports = {
+  setBoard,
+  refreshBoard,
+  getBoard,
+  getBoardStoreStatus
+};
@@ -0,0 +1,138 @@
+// Canonical case numbers.
+// Case numbers arrive as free text from the board, cause lists and users:
+//   SCA 1234/2023, R/SCA/1234/2023, r/sca/1234/23, SCA NO. 1234 OF 2023
+// All of these parse to { type: 'SCA', number: 1234, year: 2023 } with key 'SCA/1234/2023'.
+
+// Long forms seen on cause lists, mapped to the board abbreviations.
+// Every case type needs its own abbreviation: the board writes criminal
+// appeals as CR.A and civil revision applications as CRA.
+const TYPE_ALIASES = {
+  'SPECIAL CIVIL APPLICATION': 'SCA',
+  'CIVIL APPLICATION': 'CA',
+  'CRIMINAL APPEAL': 'CR.A',
+  'CRIMINAL MISC APPLICATION': 'CRMA',
+  'CRIMINAL MISCELLANEOUS APPLICATION': 'CRMA',
+  'CRIMINAL REVISION APPLICATION': 'CRRA',
+  'FIRST APPEAL': 'FA',
+  'SECOND APPEAL': 'SA',
+  'LETTERS PATENT APPEAL': 'LPA',
+  'MISC CIVIL APPLICATION': 'MCA',
+  'TAX APPEAL': 'TAXAP',
+  'WRIT PETITION': 'WP',
+  'CIVIL REVISION APPLICATION': 'CRA'
+};
+
+// Abbreviations whose dots tell them apart from another case type
+const DOTTED_TYPES = {
+  'CR.A': 'CR.A'
+};
+
+// Single letter register prefixes (R/ = regular) that are not part of the case type
+const REGISTER_PREFIX = /^[A-Z]\//;
+
+const CASE_PATTERN = /([A-Z][A-Z. ]{0,40}?)\s*(?:\/|\s)\s*(?:NO\.?\s*)?(\d{1,7})\s*(?:\/|\s+OF\s+|\s+)\s*(\d{2,4})\b/;
+
+function normalizeType(type) {
+  const dotted = DOTTED_TYPES[type.replace(/\s+/g, '')];
+  if (dotted) return dotted;
+
+  const words = type.replace(/[.\-]/g, ' ').replace(/\s+/g, ' ').trim();
+  return TYPE_ALIASES[words] || words.replace(/\s+/g, '');
+}
+
+function normalizeYear(year) {
+  const value = parseInt(year, 10);
+  if (year.length === 4) return value;
+  if (year.length !== 2) return null;
+
+  // Two digit years: assume this century unless that would be in the future
+  const currentYear = new Date().getFullYear();
+  const candidate = 2000 + value;
+  return candidate > currentYear + 1 ? 1900 + value : candidate;
+}
+
+// Parse free text into { type, number, year, key }, or null when it isn't a case number
+function parseCaseNumber(text) {
+  if (!text) return null;
+
+  const cleaned = String(text)
+    .toUpperCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(REGISTER_PREFIX, '');
+
+  const match = cleaned.match(CASE_PATTERN);
+  if (!match) return null;
+
+  const type = normalizeType(match[1]);
+  const number = parseInt(match[2], 10);
+  const year = normalizeYear(match[3]);
+  if (!type || !year) return null;
+
+  return {
+    type,
+    number,
+    year,
+    key: `${type}/${number}/${year}`,
+    original: String(text).trim()
+  };
+}
+
+// Canonical key for a case number, or null
+function normalizeCaseNumber(text) {
+  const parsed = parseCaseNumber(text);
+  return parsed ? parsed.key : null;
+}
+
+function editDistance(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      dp[i][j] = Math.min(
+        dp[i - 1][j] + 1,
+        dp[i][j - 1] + 1,
+        dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+  }
+  return dp[a.length][b.length];
+}
+
+// How closely two case numbers match, for search suggestions: 1 = same case,
+// 0 = unrelated. Number and year must agree; a one-letter slip in the case
+// type scores 0.9. Distinct case types can be one letter apart (CA/SCA,
+// CRA/CRMA), so never use the score to decide that two cases are the same.
+function matchScore(a, b) {
+  const left = typeof a === 'string' ? parseCaseNumber(a) : a;
+  const right = typeof b === 'string' ? parseCaseNumber(b) : b;
+  if (!left || !right) return 0;
+
+  if (left.key === right.key) return 1;
+  if (left.number !== right.number || left.year !== right.year) return 0;
+
+  return editDistance(left.type, right.type) <= 1 ? 0.9 : 0;
+}
+
+// True when two case numbers refer to the same case. Used for tracking and
+// alerting, so only the canonical keys count.
+function isSameCase(a, b) {
+  const left = typeof a === 'string' ? parseCaseNumber(a) : a;
+  const right = typeof b === 'string' ? parseCaseNumber(b) : b;
+  return Boolean(left && right && left.key === right.key);
+}
+
+// Mongo filter for a case: by canonical key when the number parses, else verbatim
+function caseQuery(caseNumber) {
+  const caseKey = normalizeCaseNumber(caseNumber);
+  return caseKey ? { caseKey } : { caseNumber };
+}
+
+module.exports = {
+  parseCaseNumber,
+  normalizeCaseNumber,
+  caseQuery,
+  matchScore,
+  isSameCase
+};
@@ -0,0 +1,370 @@
+const cheerio = require('cheerio');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { CauseList } = require('../models');
+const { getAdapter, DEFAULT_COURTHOUSE } = require('./courthouses');
+const { normalizeCaseNumber, isSameCase } = require('./caseNumber');
+const logger = require('../config/logger');
+
+// Case numbers as printed on cause lists, e.g. R/SCA/1234/2023 or SCA 1234 OF 2023
+const CASE_NUMBER_PATTERN = /([A-Z]{1,5}(?:\/[A-Z.]{1,12}){0,2}\/\d{1,7}\/\d{2,4}|[A-Z.]{2,12}\s*(?:NO\.?\s*)?\d{1,7}\s*(?:OF|\/)\s*\d{2,4})/i;
+const ENTRY_LINE = new RegExp(`^\\s*(\\d{1,4})[.)]?\\s+${CASE_NUMBER_PATTERN.source}\\s*(.*)$`, 'i');
+const COURT_HEADING = /COURT\s*(?:NO\.?|ROOM)?\s*[:.-]?\s*(\d+)/i;
+const LIST_TYPE_HEADING = /\b(LIST|MATTERS|BOARD)\b/i;
+const ADVOCATE_PATTERN = /\bADV(?:OCATE)?S?\.?\s*[:-]\s*(.+)$/i;
+
+const cleanText = (text) => text ? text.replace(/\s+/g, ' ').trim() : '';
+
+// Cause lists are published per day in IST
+function getListDate(date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'Asia/Kolkata',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+function splitAdvocates(text) {
+  const [petitionerAdvocate, respondentAdvocate] = cleanText(text).split(/\s*[;|]\s*|\s+FOR\s+RESPONDENTS?\s*[:-]?\s*/i);
+  return {
+    petitionerAdvocate: petitionerAdvocate || null,
+    respondentAdvocate: respondentAdvocate || null
+  };
+}
+
+// Parse one entry from table cells: serial, case number, parties, advocates...
+function parseEntryCells(cells) {
+  const serialNumber = parseInt(cells[0], 10);
+  const caseMatch = (cells[1] || '').match(CASE_NUMBER_PATTERN);
+  if (isNaN(serialNumber) || !caseMatch) return null;
+
+  return {
+    serialNumber,
+    caseNumber: cleanText(caseMatch[1]),
+    parties: cleanText(cells[2]) || null,
+    petitionerAdvocate: cleanText(cells[3]) || null,
+    respondentAdvocate: cleanText(cells[4]) || null
+  };
+}
+
+// Parse one entry from a free text line: "12  R/SCA/1234/2023  A V/S B  ADV: X"
+function parseEntryLine(line) {
+  const match = line.match(ENTRY_LINE);
+  if (!match) return null;
+
+  let rest = cleanText(match[3]);
+  let advocates = { petitionerAdvocate: null, respondentAdvocate: null };
+
+  const advocateMatch = rest.match(ADVOCATE_PATTERN);
+  if (advocateMatch) {
+    advocates = splitAdvocates(advocateMatch[1]);
+    rest = cleanText(rest.slice(0, advocateMatch.index));
+  }
+
+  return {
+    serialNumber: parseInt(match[1], 10),
+    caseNumber: cleanText(match[2]),
+    parties: rest || null,
+    ...advocates
+  };
+}
+
+// Heuristic parser for cause list text (PDF text, flattened HTML or plain uploads).
+// Court headings start a new court, list type headings apply to following entries.
+// Tab separated lines are treated as table rows.
+function parseCauseListText(text, defaults = {}) {
+  const courts = new Map();
+  let courtNumber = defaults.courtNumber ? String(defaults.courtNumber) : null;
+  let listType = defaults.listType || null;
+  let skipped = 0;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const entry = line.includes('\t')
+      ? parseEntryCells(line.split('\t'))
+      : parseEntryLine(line);
+
+    if (entry) {
+      if (!courtNumber) {
+        skipped++;
+        continue;
+      }
+      if (!courts.has(courtNumber)) courts.set(courtNumber, { courtNumber, entries: [] });
+      courts.get(courtNumber).entries.push({ ...entry, listType });
+      continue;
+    }
+
+    const courtMatch = line.match(COURT_HEADING);
+    if (courtMatch) {
+      courtNumber = courtMatch[1];
+      continue;
+    }
+
+    if (LIST_TYPE_HEADING.test(line) && line === line.toUpperCase()) {
+      listType = cleanText(line);
+    }
+  }
+
+  if (skipped > 0) {
+    logger.warn(`Skipped ${skipped} cause list entries without a court number`);
+  }
+
+  return [...courts.values()];
+}
+
+// CSV upload with a header row, e.g. courtNumber,serialNumber,caseNumber,listType,parties,...
+function parseCauseListCsv(text, defaults = {}) {
+  const splitRow = (row) => {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+    for (let i = 0; i < row.length; i++) {
+      const ch = row[i];
+      if (ch === '"' && row[i + 1] === '"' && quoted) {
+        current += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = !quoted;
+      } else if (ch === ',' && !quoted) {
+        cells.push(current.trim());
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+    cells.push(current.trim());
+    return cells;
+  };
+
+  const rows = String(text || '').split(/\r?\n/).filter(row => row.trim());
+  if (rows.length === 0) return [];
+
+  const columns = {
+    courtnumber: 'courtNumber', court: 'courtNumber',
+    serialnumber: 'serialNumber', serial: 'serialNumber', srno: 'serialNumber', sr: 'serialNumber',
+    casenumber: 'caseNumber', case: 'caseNumber',
+    listtype: 'listType', list: 'listType',
+    parties: 'parties',
+    petitioneradvocate: 'petitionerAdvocate',
+    respondentadvocate: 'respondentAdvocate'
+  };
+  const header = splitRow(rows[0]).map(h => columns[h.toLowerCase().replace(/[^a-z]/g, '')] || null);
+
+  const courts = new Map();
+  for (const row of rows.slice(1)) {
+    const record = {};
+    splitRow(row).forEach((value, i) => {
+      if (header[i]) record[header[i]] = value;
+    });
+
+    const courtNumber = record.courtNumber || defaults.courtNumber;
+    const serialNumber = parseInt(record.serialNumber, 10);
+    if (!courtNumber || isNaN(serialNumber) || !record.caseNumber) continue;
+
+    const key = String(courtNumber);
+    if (!courts.has(key)) courts.set(key, { courtNumber: key, entries: [] });
+    courts.get(key).entries.push({
+      serialNumber,
+      caseNumber: cleanText(record.caseNumber),
+      listType: record.listType || defaults.listType || null,
+      parties: record.parties || null,
+      petitionerAdvocate: record.petitionerAdvocate || null,
+      respondentAdvocate: record.respondentAdvocate || null
+    });
+  }
+
+  return [...courts.values()];
+}
+
+// Flatten an HTML cause list to text lines: table rows become tab separated
+function parseCauseListHtml(html, defaults = {}) {
+  const $ = cheerio.load(html || '');
+
+  $('script, style').remove();
+  $('br').replaceWith('\n');
+  $('tr').each((i, tr) => {
+    const cells = $(tr).find('td, th').toArray().map(cell => cleanText($(cell).text()));
+    $(tr).replaceWith(`\n${cells.join('\t')}\n`);
+  });
+  $('p, div, h1, h2, h3, h4, h5, h6, li, caption').each((i, el) => {
+    $(el).append('\n');
+  });
+
+  return parseCauseListText($.root().text(), defaults);
+}
+
+async function parseCauseListPdf(buffer, defaults = {}) {
+  const { text } = await pdfParse(buffer);
+  return parseCauseListText(text, defaults);
+}
+
+// Parse uploaded or fetched content of a given format into per-court entry groups
+async function parseCauseList(content, format, defaults = {}) {
+  switch (format) {
+    case 'pdf':
+      return parseCauseListPdf(Buffer.isBuffer(content) ? content : Buffer.from(content, 'base64'), defaults);
+    case 'html':
+      return parseCauseListHtml(content, defaults);
+    case 'csv':
+      return parseCauseListCsv(content, defaults);
+    case 'text':
+      return parseCauseListText(content, defaults);
+    default:
+      throw new Error(`Unsupported cause list format: ${format}`);
+  }
+}
+
+// Store parsed court groups, replacing any earlier import for the same day and court
+async function importCauseList({ courthouse = DEFAULT_COURTHOUSE, listDate = getListDate(), source = 'upload', courts }) {
+  const name = getAdapter(courthouse).name;
+  const imported = [];
+
+  for (const court of courts) {
+    const entries = court.entries
+      .map(entry => ({ ...entry, caseKey: normalizeCaseNumber(entry.caseNumber) }))
+      .sort((a, b) => a.serialNumber - b.serialNumber);
+    if (entries.length === 0) continue;
+
+    await CauseList.findOneAndUpdate(
+      { courthouse: name, listDate, courtNumber: court.courtNumber },
+      {
+        judgeName: court.judgeName || null,
+        entries,
+        source,
+        importedAt: new Date()
+      },
+      { upsert: true, new: true }
+    );
+
+    imported.push({ courtNumber: court.courtNumber, entries: entries.length });
+  }
+
+  logger.info(`Imported cause lists for ${imported.length} courts (${name}, ${listDate})`);
+  return { courthouse: name, listDate, courts: imported };
+}
+
+// Fetch the published cause list through the courthouse adapter and import it
+async function fetchCauseList(courthouse = DEFAULT_COURTHOUSE, listDate = getListDate()) {
+  const adapter = getAdapter(courthouse);
+  if (typeof adapter.fetchCauseList !== 'function') {
+    throw new Error(`Cause list fetching is not supported for ${adapter.name}`);
+  }
+
+  const raw = await adapter.fetchCauseList(listDate);
+  if (!raw) {
+    throw new Error(`No cause list source configured for ${adapter.name}`);
+  }
+
+  const courts = await parseCauseList(raw.content, raw.format);
+  return importCauseList({ courthouse: adapter.name, listDate, source: raw.format, courts });
+}
+
+async function getCauseList(courthouse, courtNumber, listDate = getListDate()) {
+  return CauseList.findOne({
+    courthouse: getAdapter(courthouse).name,
+    listDate,
+    courtNumber: String(courtNumber)
+  }).lean();
+}
+
+// All cause lists of a day, keyed by court number
+async function getCauseListsForDay(courthouse, listDate = getListDate()) {
+  const lists = await CauseList.find({
+    courthouse: getAdapter(courthouse).name,
+    listDate
+  }).lean();
+
+  const byCourt = {};
+  lists.forEach(list => {
+    byCourt[list.courtNumber] = list;
+  });
+  return byCourt;
+}
+
+// Find a case in the day's cause lists, verbatim or by canonical key
+function findCaseInCauseLists(causeListsByCourt, caseNumber, courtNumber = null) {
+  const key = normalizeCaseNumber(caseNumber);
+  const needle = cleanText(caseNumber).toUpperCase();
+  const lists = courtNumber
+    ? [causeListsByCourt[courtNumber]].filter(Boolean)
+    : Object.values(causeListsByCourt);
+
+  const matches = e =>
+    cleanText(e.caseNumber).toUpperCase() === needle || (key && isSameCase(e.caseKey || e.caseNumber, key));
+
+  for (const causeList of lists) {
+    const entry = causeList.entries.find(matches);
+    if (entry) return { causeList, entry };
+  }
+  return null;
+}
+
+// Entries of the list currently being taken up. When the board names a list
+// type that the cause list also has, serial numbers are counted within it.
+function getActiveEntries(causeList, boardListType) {
+  if (boardListType) {
+    const wanted = cleanText(boardListType).toUpperCase();
+    const sameList = causeList.entries.filter(e => e.listType && cleanText(e.listType).toUpperCase() === wanted);
+    if (sameList.length > 0) return sameList;
+  }
+  return causeList.entries;
+}
+
+// Position of a serial number relative to the live serial on the board:
+// 0 = being heard now, 1 = next, n = n-th from now, null = already passed.
+// Serial numbers restart in each list, so when the board is taking up another
+// list than the case's (caseListType) the position is 'unknown'.
+function getQueuePosition(causeList, currentSerial, serialNumber, boardListType = null, caseListType = null) {
+  if (boardListType && caseListType &&
+    cleanText(boardListType).toUpperCase() !== cleanText(caseListType).toUpperCase()) {
+    return 'unknown';
+  }
+
+  const entries = getActiveEntries(causeList, boardListType);
+  const current = currentSerial !== null && currentSerial !== undefined ? currentSerial : 0;
+
+  if (serialNumber === current) return 0;
+  if (serialNumber < current) return null;
+
+  return entries.filter(e => e.serialNumber > current && e.serialNumber <= serialNumber).length;
+}
+
+// The full queue for a court with heard/current/pending status per entry
+function buildQueue(causeList, currentSerial, boardListType = null) {
+  const entries = getActiveEntries(causeList, boardListType);
+  const current = currentSerial !== null && currentSerial !== undefined ? currentSerial : 0;
+
+  return entries.map(e => {
+    let status = 'pending';
+    if (e.serialNumber < current) status = 'heard';
+    else if (e.serialNumber === current) status = 'current';
+
+    return {
+      serialNumber: e.serialNumber,
+      caseNumber: e.caseNumber,
+      listType: e.listType,
+      parties: e.parties,
+      petitionerAdvocate: e.petitionerAdvocate,
+      respondentAdvocate: e.respondentAdvocate,
+      status,
+      casesAhead: status === 'pending'
+        ? entries.filter(o => o.serialNumber > current && o.serialNumber < e.serialNumber).length
+        : null
+    };
+  });
+}
+
+module.exports = {
+  getListDate,
+  parseCauseList,
+  parseCauseListText,
+  importCauseList,
+  fetchCauseList,
+  getCauseList,
+  getCauseListsForDay,
+  findCaseInCauseLists,
+  getQueuePosition,
+  buildQueue
+};
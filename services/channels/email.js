@@ -0,0 +1,52 @@
+const nodemailer = require('nodemailer');
+
+// Email over SMTP. Address is an email address.
+//   SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ('true' for implicit TLS, port 465),
+//   SMTP_USER, SMTP_PASS, SMTP_FROM
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE === 'true' || port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      connectionTimeout: 10000,
+      greetingTimeout: 10000
+    });
+  }
+  return transporter;
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+module.exports = {
+  name: 'email',
+
+  isConfigured: () => !!process.env.SMTP_HOST,
+
+  validateAddress: (address) => EMAIL_PATTERN.test(address || '') ? null : 'a valid email address is required',
+
+  async send(address, { title, body, data }) {
+    try {
+      const info = await getTransporter().sendMail({
+        from: process.env.SMTP_FROM || process.env.SMTP_USER,
+        to: address,
+        subject: title,
+        text: data && data.streamUrl ? `${body}\n\nWatch live: ${data.streamUrl}` : body,
+        html: `<p>${escapeHtml(body)}</p>` +
+          (data && data.streamUrl ? `<p><a href="${escapeHtml(data.streamUrl)}">Watch live</a></p>` : '')
+      });
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+};
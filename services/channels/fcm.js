@@ -0,0 +1,32 @@
+const { sendNotification, initializeFirebase } = require('../fcmService');
+
+// Push to the Android app. Address is an FCM registration token, or the
+// list of a device's active tokens (phone, tablet...), each of which gets
+// the push. Tokens FCM rejects for good are reported as invalidAddresses.
+module.exports = {
+  name: 'fcm',
+
+  isConfigured: () => !!(process.env.FIREBASE_SERVICE_ACCOUNT_PATH || process.env.FIREBASE_PROJECT_ID),
+
+  validateAddress: (address) => typeof address === 'string' && address.length > 0 ? null : 'an FCM token is required',
+
+  async send(address, { title, body, data, silent }) {
+    if (!initializeFirebase()) return { success: false, error: 'Firebase not initialized' };
+
+    const tokens = Array.isArray(address) ? address : [address];
+    if (tokens.length === 0) return { success: false, error: 'No FCM token' };
+
+    const results = await Promise.all(tokens.map(token => sendNotification(token, { title, body }, data, { silent })));
+    const delivered = results.find(result => result.success);
+    const lastFailure = results.filter(result => !result.success).pop();
+    const rejected = results.find(result => result.invalidToken);
+
+    return {
+      success: !!delivered,
+      messageId: delivered ? delivered.messageId : null,
+      error: delivered ? null : lastFailure.error,
+      invalidAddresses: tokens.filter((token, i) => results[i].invalidToken),
+      invalidReason: rejected ? rejected.errorCode : null
+    };
+  }
+};
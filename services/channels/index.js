@@ -0,0 +1,124 @@
+const fcm = require('./fcm');
+const email = require('./email');
+const webhook = require('./webhook');
+const telegram = require('./telegram');
+const sms = require('./sms');
+const { getActiveTokens, deactivateAddresses, markUnreachable } = require('../deviceTokens');
+const logger = require('../../config/logger');
+
+// Every notification channel exposes the same interface:
+//   name            - channel type stored in Device.channels[].type
+//   isConfigured()  - whether the server has what the channel needs (SMTP host, bot token...)
+//   validateAddress(address) - returns an error message for a bad address, or null
+//   send(address, message) - async, message is { title, body, data, silent };
+//                   returns { success, messageId, error }, plus invalidAddresses
+//                   the provider rejected for good and invalidReason (these are
+//                   deactivated, see deviceTokens)
+const channels = new Map();
+
+function registerChannel(channel) {
+  if (!channel || !channel.name || typeof channel.send !== 'function') {
+    throw new Error('Notification channel must provide name and send()');
+  }
+  channels.set(channel.name, channel);
+}
+
+function getChannel(name) {
+  return channels.get(name) || null;
+}
+
+function listChannels() {
+  return [...channels.values()].map(channel => ({
+    name: channel.name,
+    configured: channel.isConfigured()
+  }));
+}
+
+// Validate channel preferences sent by a client; returns a list of problems
+function validateChannels(list) {
+  if (!Array.isArray(list)) return ['channels must be an array'];
+
+  return list.flatMap((entry, i) => {
+    const channel = entry && getChannel(entry.type);
+    if (!channel) return [`channels[${i}].type must be one of ${[...channels.keys()].join(', ')}`];
+    // An FCM entry without address uses the device's registered token
+    if (channel.name === 'fcm' && !entry.address) return [];
+    const error = channel.validateAddress(entry.address);
+    return error ? [`channels[${i}].address: ${error}`] : [];
+  });
+}
+
+// Channels to try for a device, in preference order. A device without
+// preferences gets push to its registered FCM tokens.
+function resolveDeviceChannels(device) {
+  const preferred = (device.channels || []).filter(entry => entry.enabled !== false);
+  const entries = preferred.length > 0 ? preferred : [{ type: 'fcm' }];
+
+  return entries
+    .map(entry => ({
+      type: entry.type,
+      address: entry.type === 'fcm' ? entry.address || getActiveTokens(device) : entry.address
+    }))
+    .filter(entry => (Array.isArray(entry.address) ? entry.address.length > 0 : !!entry.address) &&
+      getChannel(entry.type) && getChannel(entry.type).isConfigured());
+}
+
+const canDeliver = (device) => !!device && resolveDeviceChannels(device).length > 0;
+
+// Deliver a message to a device. In 'fallback' mode (default) channels are
+// tried in order until one succeeds; in 'all' mode every channel is used.
+// Returns { success, channel, deliveries } with one delivery per attempt.
+async function deliver(device, message) {
+  const deliveries = [];
+  const sendToAll = device.channelMode === 'all';
+
+  for (const { type, address } of resolveDeviceChannels(device)) {
+    let result;
+    try {
+      result = await getChannel(type).send(address, message);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    deliveries.push({
+      channel: type,
+      success: !!result.success,
+      messageId: result.messageId || null,
+      error: result.error || null,
+      at: new Date()
+    });
+
+    if (result.invalidAddresses && result.invalidAddresses.length > 0) {
+      await deactivateAddresses(device, type, result.invalidAddresses, result.invalidReason || result.error);
+    }
+
+    if (result.success && !sendToAll) break;
+    if (!result.success) {
+      logger.warn(`Delivery over ${type} to device ${device.deviceId} failed: ${result.error}`);
+    }
+  }
+
+  const delivered = deliveries.find(d => d.success);
+  if (!delivered && deliveries.length > 0 && !canDeliver(device)) {
+    await markUnreachable(device, deliveries[deliveries.length - 1].error);
+  }
+
+  return {
+    success: !!delivered,
+    channel: delivered ? delivered.channel : null,
+    error: delivered ? null : (deliveries.length > 0 ? deliveries[deliveries.length - 1].error : 'No delivery channel'),
+    deliveries
+  };
+}
+
+[fcm, email, webhook, telegram, sms].forEach(registerChannel);
+
+module.exports = {
+  registerChannel,
+  getChannel,
+  listChannels,
+  validateChannels,
+  resolveDeviceChannels,
+  canDeliver,
+  deliver
+};
@@ -0,0 +1,38 @@
+const axios = require('axios');
+
+// SMS through an HTTP gateway. Address is a phone number in international format.
+//   SMS_GATEWAY_URL            - POSTed JSON { [to field]: number, [message field]: text }
+//   SMS_GATEWAY_TOKEN          - optional, sent as a Bearer token
+//   SMS_GATEWAY_TO_FIELD       - name of the number field (default 'to')
+//   SMS_GATEWAY_MESSAGE_FIELD  - name of the text field (default 'message')
+//   SMS_GATEWAY_SENDER         - optional sender id, sent as 'sender'
+const MAX_LENGTH = 320; // two SMS segments
+
+module.exports = {
+  name: 'sms',
+
+  isConfigured: () => !!process.env.SMS_GATEWAY_URL,
+
+  validateAddress: (address) => /^\+?\d{10,15}$/.test(String(address || '').replace(/[\s-]/g, ''))
+    ? null
+    : 'a phone number is required',
+
+  async send(address, { title, body }) {
+    try {
+      const payload = {
+        [process.env.SMS_GATEWAY_TO_FIELD || 'to']: String(address).replace(/[\s-]/g, ''),
+        [process.env.SMS_GATEWAY_MESSAGE_FIELD || 'message']: `${title}: ${body}`.slice(0, MAX_LENGTH)
+      };
+      if (process.env.SMS_GATEWAY_SENDER) payload.sender = process.env.SMS_GATEWAY_SENDER;
+
+      const response = await axios.post(process.env.SMS_GATEWAY_URL, payload, {
+        timeout: 10000,
+        headers: process.env.SMS_GATEWAY_TOKEN ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` } : {}
+      });
+      const id = response.data && (response.data.id || response.data.messageId);
+      return { success: true, messageId: id ? String(id) : null };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+};
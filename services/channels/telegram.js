@@ -0,0 +1,26 @@
+const axios = require('axios');
+
+// Telegram bot messages. Address is the chat id the user got from the bot.
+//   TELEGRAM_BOT_TOKEN
+module.exports = {
+  name: 'telegram',
+
+  isConfigured: () => !!process.env.TELEGRAM_BOT_TOKEN,
+
+  validateAddress: (address) => /^-?\d+$|^@\w{5,}$/.test(String(address || '')) ? null : 'a Telegram chat id is required',
+
+  async send(address, { title, body, data, silent }) {
+    try {
+      const text = [title, body, data && data.streamUrl ? data.streamUrl : null].filter(Boolean).join('\n\n');
+      const response = await axios.post(
+        `https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`,
+        { chat_id: address, text, disable_web_page_preview: true, disable_notification: !!silent },
+        { timeout: 10000 }
+      );
+      return { success: true, messageId: String(response.data.result.message_id) };
+    } catch (error) {
+      const reason = error.response && error.response.data ? error.response.data.description : error.message;
+      return { success: false, error: reason };
+    }
+  }
+};
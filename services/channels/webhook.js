@@ -0,0 +1,40 @@
+const axios = require('axios');
+const { validatePublicUrl, outboundRequestOptions } = require('../urlGuard');
+
+// Generic HTTP webhook. Address is a public http(s) URL that gets the alert
+// POSTed as JSON: { title, body, data, sentAt }.
+const getTimeout = () => parseInt(process.env.NOTIFY_WEBHOOK_TIMEOUT) || 10000;
+
+module.exports = {
+  name: 'webhook',
+
+  isConfigured: () => true,
+
+  validateAddress(address) {
+    try {
+      const url = new URL(address);
+      if (!['http:', 'https:'].includes(url.protocol)) return 'webhook URL must be http or https';
+    } catch (error) {
+      return 'a valid webhook URL is required';
+    }
+    return validatePublicUrl(address);
+  },
+
+  async send(address, { title, body, data }) {
+    // Addresses saved before the guard existed
+    const refused = validatePublicUrl(address);
+    if (refused) return { success: false, error: refused };
+
+    try {
+      const response = await axios.post(address, {
+        title,
+        body,
+        data,
+        sentAt: new Date().toISOString()
+      }, { timeout: getTimeout(), ...outboundRequestOptions() });
+      return { success: true, messageId: response.headers['x-request-id'] || null };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+};
@@ -0,0 +1,86 @@
+const logger = require('../config/logger');
+
+// Simple circuit breaker:
+//   CLOSED    - requests flow, consecutive failures are counted
+//   OPEN      - requests are rejected until the cooldown has elapsed
+//   HALF_OPEN - one trial request is let through; success closes, failure reopens.
+//               Other callers are rejected while the trial is in flight (a trial
+//               that never reports back is given up after the cooldown).
+function createCircuitBreaker(name, options = {}) {
+  const failureThreshold = options.failureThreshold || 3;
+  const cooldownMs = options.cooldownMs || 60000;
+
+  let state = 'CLOSED';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let lastError = null;
+  let lastFailureTime = null;
+  let lastSuccessTime = null;
+  let trialStartedAt = null;
+
+  function canRequest() {
+    if (state === 'OPEN' && Date.now() - openedAt >= cooldownMs) {
+      state = 'HALF_OPEN';
+      trialStartedAt = null;
+      logger.info(`Circuit ${name} half-open, allowing trial request`);
+    }
+    if (state === 'OPEN') return false;
+    if (state === 'CLOSED') return true;
+
+    if (trialStartedAt !== null && Date.now() - trialStartedAt < cooldownMs) return false;
+    trialStartedAt = Date.now();
+    return true;
+  }
+
+  function recordSuccess() {
+    if (state !== 'CLOSED') {
+      logger.info(`Circuit ${name} closed after successful request`);
+    }
+    state = 'CLOSED';
+    trialStartedAt = null;
+    consecutiveFailures = 0;
+    openedAt = null;
+    lastError = null;
+    lastSuccessTime = new Date();
+  }
+
+  function recordFailure(error) {
+    consecutiveFailures += 1;
+    lastError = error ? error.message : 'Unknown error';
+    lastFailureTime = new Date();
+
+    if (state === 'HALF_OPEN' || consecutiveFailures >= failureThreshold) {
+      if (state !== 'OPEN') {
+        logger.warn(`Circuit ${name} opened after ${consecutiveFailures} failures: ${lastError}`);
+      }
+      state = 'OPEN';
+      openedAt = Date.now();
+      trialStartedAt = null;
+    }
+  }
+
+  function getState() {
+    return {
+      state,
+      consecutiveFailures,
+      failureThreshold,
+      cooldownMs,
+      lastError,
+      lastFailureTime,
+      lastSuccessTime,
+      trialInFlight: state === 'HALF_OPEN' && trialStartedAt !== null,
+      retryAt: state === 'OPEN' ? new Date(openedAt + cooldownMs) : null
+    };
+  }
+
+  return {
+    canRequest,
+    recordSuccess,
+    recordFailure,
+    getState
+  };
+}
+
+module.exports = {
+  createCircuitBreaker
+};
@@ -0,0 +1,227 @@
+const { Watchlist, Device } = require('../models');
+const { sendCaseAlert, canDeliver } = require('./notificationService');
+const { sendDeviceUpdate } = require('./websocketService');
+const { predictEta } = require('./etaService');
+const { getListDate } = require('./causeListService');
+const { formatIstTime } = require('./courtCalendar');
+const logger = require('../config/logger');
+
+// Scheduling conflicts.
+// On every board pass the tracker records when each watched case is likely to
+// be heard: from its earliest ETA to its latest ETA plus one hearing. Two
+// cases of a device, or of devices sharing a teamId, conflict when they are
+// in different courtrooms and those windows come closer than the time it
+// takes to move between courtrooms (CONFLICT_MARGIN_MINUTES).
+
+const getMarginMinutes = () => {
+  const margin = parseInt(process.env.CONFLICT_MARGIN_MINUTES);
+  return isNaN(margin) ? 10 : margin;
+};
+
+// Latest hearing window of each watched case, keyed by watch id
+const hearingWindows = new Map();
+
+// Record (or clear) the hearing window of a watched case from where the board puts it
+function recordHearingWindow(watch, court, position, now = new Date()) {
+  const watchId = String(watch._id);
+
+  const eta = court && position !== null && position !== undefined
+    ? predictEta({
+      courthouse: watch.courthouse,
+      courtNumber: court.courtNumber,
+      judgeName: court.judgeName,
+      listType: court.caseList,
+      position,
+      now
+    })
+    : null;
+
+  // Not listed, done for the day or beyond today's sitting: nothing to clash with
+  if (!eta || !eta.earliestAt) {
+    hearingWindows.delete(watchId);
+    return null;
+  }
+
+  const until = eta.latestAt || eta.expectedAt || eta.earliestAt;
+  const window = {
+    watchId,
+    deviceId: watch.deviceId,
+    caseNumber: watch.caseNumber,
+    courthouse: watch.courthouse,
+    courtNumber: court.courtNumber,
+    judgeName: court.judgeName,
+    position,
+    notify: !watch.notificationSettings || watch.notificationSettings.conflicts !== false,
+    start: eta.earliestAt,
+    end: new Date(until.getTime() + eta.minutesPerCase * 60000),
+    expectedAt: eta.expectedAt,
+    day: getListDate(now),
+    updatedAt: now
+  };
+
+  hearingWindows.set(watchId, window);
+  return window;
+}
+
+const sameCourtroom = (a, b) =>
+  a.courthouse === b.courthouse && String(a.courtNumber) === String(b.courtNumber);
+
+// Pairs of windows in different courtrooms that can't both be attended
+function findConflicts(windows, marginMinutes = getMarginMinutes()) {
+  const margin = marginMinutes * 60000;
+  const conflicts = [];
+
+  for (let i = 0; i < windows.length; i++) {
+    for (let j = i + 1; j < windows.length; j++) {
+      const a = windows[i];
+      const b = windows[j];
+      if (sameCourtroom(a, b)) continue;
+      if (a.start - b.end >= margin || b.start - a.end >= margin) continue;
+
+      const [first, second] = a.start <= b.start ? [a, b] : [b, a];
+      conflicts.push({
+        key: [a.watchId, b.watchId].sort().join(':'),
+        from: second.start,
+        until: new Date(Math.min(a.end, b.end)),
+        cases: [first, second]
+      });
+    }
+  }
+
+  return conflicts;
+}
+
+// Devices, teammates and active case watches needed to check a set of devices,
+// loaded with one query each
+async function loadConflictScope(deviceIds) {
+  const devices = await Device.find({ deviceId: { $in: deviceIds } });
+  const teamIds = [...new Set(devices.map(device => device.teamId).filter(Boolean))];
+  const teammates = teamIds.length > 0
+    ? await Device.find({ teamId: { $in: teamIds }, isActive: true }).select('deviceId teamId').lean()
+    : [];
+
+  const teams = new Map();
+  teammates.forEach(mate => {
+    if (!teams.has(mate.teamId)) teams.set(mate.teamId, []);
+    teams.get(mate.teamId).push(mate.deviceId);
+  });
+
+  const allDeviceIds = [...new Set(deviceIds.concat(teammates.map(mate => mate.deviceId)))];
+  const watches = await Watchlist.find({
+    deviceId: { $in: allDeviceIds },
+    isActive: true,
+    targetType: { $nin: ['court', 'judge'] }
+  }).select('_id deviceId').lean();
+
+  return {
+    devices: new Map(devices.map(device => [device.deviceId, device])),
+    teams,
+    watches
+  };
+}
+
+// Today's conflicts involving at least one of the device's watched cases
+function conflictsInScope(scope, deviceId, day) {
+  const device = scope.devices.get(deviceId);
+  const deviceIds = new Set(device && device.teamId
+    ? (scope.teams.get(device.teamId) || []).concat(deviceId)
+    : [deviceId]);
+
+  const windows = scope.watches
+    .filter(watch => deviceIds.has(watch.deviceId))
+    .map(watch => hearingWindows.get(String(watch._id)))
+    .filter(window => window && window.day === day);
+
+  return findConflicts(windows).filter(c => c.cases.some(w => w.deviceId === deviceId));
+}
+
+async function getDeviceConflicts(deviceId, now = new Date()) {
+  const scope = await loadConflictScope([deviceId]);
+  const device = scope.devices.get(deviceId) || null;
+
+  return {
+    device,
+    teamId: device ? device.teamId : null,
+    conflicts: conflictsInScope(scope, deviceId, getListDate(now))
+  };
+}
+
+// Alert each device about conflicts it hasn't been told about today.
+// Called after a board pass with the devices whose watches it touched.
+async function checkConflicts(deviceIds, now = new Date()) {
+  const day = getListDate(now);
+
+  try {
+    const scope = await loadConflictScope([...new Set(deviceIds)]);
+    const alertedDevices = [];
+
+    for (const device of scope.devices.values()) {
+      if (!device.isActive) continue;
+      try {
+        const conflicts = conflictsInScope(scope, device.deviceId, day);
+        if (conflicts.length === 0) continue;
+
+        const alerted = device.conflictAlerts && device.conflictAlerts.day === day
+          ? device.conflictAlerts.pairs
+          : [];
+        const fresh = conflicts.filter(c => !alerted.includes(c.key));
+        if (fresh.length === 0) continue;
+
+        for (const conflict of fresh) {
+          await sendConflictAlert(device, conflict);
+        }
+
+        device.conflictAlerts = { day, pairs: alerted.concat(fresh.map(c => c.key)) };
+        alertedDevices.push(device);
+      } catch (error) {
+        logger.error(`Error checking conflicts for device ${device.deviceId}:`, error);
+      }
+    }
+
+    if (alertedDevices.length > 0) {
+      await Device.bulkSave(alertedDevices);
+    }
+  } catch (error) {
+    logger.error('Error checking conflicts:', error);
+  }
+}
+
+async function sendConflictAlert(device, conflict) {
+  const own = conflict.cases.find(w => w.deviceId === device.deviceId);
+  const other = conflict.cases.find(w => w !== own);
+  if (!own.notify) return;
+
+  const details = {
+    courtNumber: own.courtNumber,
+    judgeName: own.judgeName,
+    position: own.position,
+    otherCaseNumber: other.caseNumber,
+    otherCourtNumber: other.courtNumber,
+    otherIsTeammate: other.deviceId !== device.deviceId,
+    from: conflict.from.toISOString(),
+    until: conflict.until.toISOString(),
+    windowTime: formatIstTime(conflict.from)
+  };
+
+  sendDeviceUpdate(device.deviceId, {
+    type: 'conflict',
+    caseNumber: own.caseNumber,
+    watchId: own.watchId,
+    ...details
+  });
+
+  if (!canDeliver(device)) {
+    logger.warn(`Device ${device.deviceId} has no delivery channel`);
+    return;
+  }
+
+  await sendCaseAlert(device, own.caseNumber, 'conflict', details);
+  logger.info(`Sent CONFLICT alert for ${own.caseNumber} (court ${own.courtNumber}) and ${other.caseNumber} (court ${other.courtNumber}) to device ${device.deviceId}`);
+}
+
+module.exports = {
+  recordHearingWindow,
+  findConflicts,
+  getDeviceConflicts,
+  checkConflicts
+};
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+
+// Court timings in IST (UTC+5:30, no daylight saving). Configurable via env:
+//   COURT_OPEN_TIME, COURT_CLOSE_TIME, COURT_LUNCH_START, COURT_LUNCH_END  (HH:MM)
+//   COURT_WORKING_DAYS  (comma separated, 0 = Sunday ... 6 = Saturday)
+// Holidays come from COURT_HOLIDAYS_FILE (default config/holidays.json), a JSON
+// array of { "date": "YYYY-MM-DD", "name": "..." }, plus COURT_HOLIDAYS (comma separated dates).
+const IST_OFFSET_MINUTES = 330;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let holidays = null;
+
+function parseTime(value, fallback) {
+  const match = String(value || fallback).match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return parseTime(fallback, fallback);
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+function getCourtTimings() {
+  return {
+    open: parseTime(process.env.COURT_OPEN_TIME, '10:30'),
+    close: parseTime(process.env.COURT_CLOSE_TIME, '18:00'),
+    lunchStart: parseTime(process.env.COURT_LUNCH_START, '14:00'),
+    lunchEnd: parseTime(process.env.COURT_LUNCH_END, '14:30'),
+    workingDays: (process.env.COURT_WORKING_DAYS || '1,2,3,4,5')
+      .split(',')
+      .map(d => parseInt(d, 10))
+      .filter(d => d >= 0 && d <= 6)
+  };
+}
+
+function loadHolidays() {
+  const list = new Map();
+  const file = path.resolve(process.cwd(), process.env.COURT_HOLIDAYS_FILE || path.join('config', 'holidays.json'));
+
+  try {
+    if (fs.existsSync(file)) {
+      JSON.parse(fs.readFileSync(file, 'utf8')).forEach(h => {
+        if (h && h.date) list.set(h.date, h.name || 'Holiday');
+      });
+    }
+  } catch (error) {
+    logger.error(`Error loading holiday calendar from ${file}:`, error.message);
+  }
+
+  (process.env.COURT_HOLIDAYS || '')
+    .split(',')
+    .map(d => d.trim())
+    .filter(Boolean)
+    .forEach(date => list.set(date, list.get(date) || 'Holiday'));
+
+  return list;
+}
+
+function getHolidays() {
+  if (!holidays) {
+    holidays = loadHolidays();
+    logger.info(`Loaded ${holidays.size} court holidays`);
+  }
+  return holidays;
+}
+
+// Re-read the holiday file, e.g. after it was edited
+function reloadHolidays() {
+  holidays = null;
+  return getHolidays();
+}
+
+// Date, weekday and minutes since midnight in IST
+function toIst(date) {
+  const shifted = new Date(date.getTime() + IST_OFFSET_MINUTES * 60000);
+  return {
+    date: shifted.toISOString().slice(0, 10),
+    weekday: shifted.getUTCDay(),
+    minutes: shifted.getUTCHours() * 60 + shifted.getUTCMinutes()
+  };
+}
+
+// IST wall clock time of a date as HH:MM
+function formatIstTime(date) {
+  const { minutes } = toIst(new Date(date));
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+// UTC instant of an IST date (YYYY-MM-DD) at minutes past midnight
+function fromIst(dateStr, minutes) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + (minutes - IST_OFFSET_MINUTES) * 60000);
+}
+
+function isCourtDay(dateStr, weekday) {
+  return getCourtTimings().workingDays.includes(weekday) && !getHolidays().has(dateStr);
+}
+
+// Next time courts open after the given instant
+function getNextOpening(date = new Date()) {
+  const timings = getCourtTimings();
+  const now = toIst(date);
+
+  for (let offset = 0; offset <= 30; offset++) {
+    const day = toIst(new Date(fromIst(now.date, 0).getTime() + offset * DAY_MS + 12 * 3600000));
+    if (!isCourtDay(day.date, day.weekday)) continue;
+    if (offset === 0 && now.minutes >= timings.open) continue;
+    return fromIst(day.date, timings.open);
+  }
+  return null;
+}
+
+// Where the court day stands at a given instant:
+//   open    - courts sitting
+//   lunch   - lunch recess
+//   closed  - weekend, holiday, before or after hours
+function getCourtPhase(date = new Date()) {
+  const timings = getCourtTimings();
+  const now = toIst(date);
+
+  if (!timings.workingDays.includes(now.weekday)) {
+    return { phase: 'closed', reason: 'weekend', nextOpening: getNextOpening(date) };
+  }
+  if (getHolidays().has(now.date)) {
+    return { phase: 'closed', reason: `holiday: ${getHolidays().get(now.date)}`, nextOpening: getNextOpening(date) };
+  }
+  if (now.minutes < timings.open) {
+    return { phase: 'closed', reason: 'before_hours', nextOpening: getNextOpening(date) };
+  }
+  if (now.minutes >= timings.close) {
+    return { phase: 'closed', reason: 'after_hours', nextOpening: getNextOpening(date) };
+  }
+  if (now.minutes >= timings.lunchStart && now.minutes < timings.lunchEnd) {
+    return { phase: 'lunch', reason: 'lunch_recess', resumesAt: fromIst(now.date, timings.lunchEnd) };
+  }
+  return { phase: 'open', reason: 'sitting', closesAt: fromIst(now.date, timings.close) };
+}
+
+// Instant reached after `minutes` of sitting time from `date`, skipping the
+// lunch recess. Null when that runs past closing time or it isn't a court day.
+function addSittingMinutes(date, minutes) {
+  const timings = getCourtTimings();
+  const now = toIst(date);
+  if (!isCourtDay(now.date, now.weekday)) return null;
+
+  let cursor = Math.max(now.minutes, timings.open);
+  if (cursor >= timings.lunchStart && cursor < timings.lunchEnd) cursor = timings.lunchEnd;
+
+  let target = cursor + minutes;
+  if (cursor < timings.lunchStart && target > timings.lunchStart) {
+    target += timings.lunchEnd - timings.lunchStart;
+  }
+  if (target > timings.close) return null;
+
+  return fromIst(now.date, target);
+}
+
+function getCalendarStatus() {
+  const timings = getCourtTimings();
+  const format = (m) => `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+
+  return {
+    timezone: 'Asia/Kolkata',
+    open: format(timings.open),
+    close: format(timings.close),
+    lunch: `${format(timings.lunchStart)}-${format(timings.lunchEnd)}`,
+    workingDays: timings.workingDays,
+    holidays: [...getHolidays()].map(([date, name]) => ({ date, name })).sort((a, b) => a.date.localeCompare(b.date))
+  };
+}
+
+module.exports = {
+  toIst,
+  formatIstTime,
+  getCourtPhase,
+  addSittingMinutes,
+  getNextOpening,
+  getCalendarStatus,
+  reloadHolidays
+};
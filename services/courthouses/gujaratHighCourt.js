@@ -0,0 +1,232 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+const BASE = process.env.COURT_BASE_URL || 'https://gujarathighcourt.nic.in/streamingboard/';
+const XHR_URL = process.env.COURT_XHR_URL || `${BASE}indexrequest.php`;
+// Daily cause list, {date} is replaced with DD/MM/YYYY
+const CAUSELIST_URL = process.env.COURT_CAUSELIST_URL || null;
+
+// XHR row fields the parser depends on
+const EXPECTED_ROW_FIELDS = ['courtcode', 'gsrno', 'caseinfo', 'causelisttype'];
+
+const cleanText = (text) => text ? text.replace(/\s+/g, ' ').trim() : '';
+const isValidValue = (val) => val && val !== '-' && val.trim() !== '';
+
+// Fetch the raw XHR rows and the board HTML from the streaming board
+async function fetch() {
+  const [xhrResp, pageResp] = await Promise.all([
+    axios.get(XHR_URL, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)',
+        Accept: 'application/json, text/javascript, */*; q=0.01'
+      },
+      timeout: 15000
+    }),
+    axios.get(BASE, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)'
+      },
+      timeout: 15000
+    })
+  ]);
+
+  return {
+    xhr: xhrResp.data,
+    html: pageResp.data
+  };
+}
+
+function parseRows(xhr) {
+  if (Array.isArray(xhr)) return xhr;
+  try {
+    const rows = JSON.parse(xhr || '[]');
+    if (!Array.isArray(rows)) throw new Error(`expected an array, got ${typeof rows}`);
+    return rows;
+  } catch (error) {
+    throw new Error(`Board XHR response is not a JSON array: ${error.message}`);
+  }
+}
+
+// Turn the raw XHR rows + board HTML into normalized court objects
+function parse(raw) {
+  const xhrData = parseRows(raw.xhr);
+  const $ = cheerio.load(raw.html || '');
+
+  const courts = [];
+
+  // Parse quality counters, used for upstream schema drift detection
+  const counters = {
+    missingFields: Object.fromEntries(EXPECTED_ROW_FIELDS.map(field => [field, 0])),
+    rowsWithoutCourtCode: 0,
+    rowsWithoutCaseinfo: 0,
+    cardsOnPage: $('[id^="dv_"]').length,
+    cardsMissing: 0,
+    courtNumberMissing: 0,
+    judgeNameMissing: 0,
+    liveIndicators: $('.blink_me').length
+  };
+  let cleanRows = 0;
+
+  for (const row of xhrData) {
+    const missingFields = EXPECTED_ROW_FIELDS.filter(field => !(field in Object(row)));
+    missingFields.forEach(field => counters.missingFields[field]++);
+
+    const courtCode = String(row.courtcode || '').trim();
+    if (!courtCode) {
+      counters.rowsWithoutCourtCode++;
+      continue;
+    }
+
+    const cardSelector = `#dv_${courtCode}`;
+    const $card = $(cardSelector);
+    if (!$card.length) counters.cardsMissing++;
+
+    let judgeName = '';
+    const catB = $card.find('.card-category b').first();
+    if (catB && catB.length) judgeName = cleanText(catB.text());
+    if (!judgeName) {
+      judgeName = cleanText($card.find('.card-header, .card-title, .card-body').first().text());
+    }
+    judgeName = judgeName.replace('[Live]', '').trim();
+
+    const a = $card.find('a').first();
+    let streamUrl = a && a.attr('href') ? a.attr('href').trim() : null;
+    if (streamUrl && streamUrl.startsWith('/')) {
+      streamUrl = `https://gujarathighcourt.nic.in${streamUrl}`;
+    }
+
+    const judgePhotos = [];
+    $card.find('.photoclass, img').each((i, img) => {
+      const src = $(img).attr('src') || $(img).attr('data-src') || '';
+      if (src) {
+        const absolute = src.startsWith('http') ? src : `https://gujarathighcourt.nic.in/streamingboard/${src.replace(/^\.\//, '')}`;
+        judgePhotos.push(absolute);
+      }
+    });
+
+    const judgeCount = judgePhotos.length;
+    const benchType = judgeCount >= 2 ? 'Division Bench' : 'Single Bench';
+
+    let courtNumber = '';
+    const courtElById = $card.find(`#court_${courtCode}`);
+    if (courtElById && courtElById.length) {
+      courtNumber = cleanText(courtElById.text()).replace(/COURT\s*NO:?/i, '').trim();
+    } else {
+      const possible = $card.find('*').toArray().find(el => /COURT\s*NO[:\s]/i.test($(el).text() || ''));
+      if (possible) courtNumber = cleanText($(possible).text()).replace(/COURT\s*NO:?/i, '').trim();
+    }
+
+    // Get gsrno from XHR data (this is the queue position!)
+    let srNo = cleanText(row.gsrno || '');
+    if (!srNo || srNo === '-') {
+      // Fallback to scraping from page
+      const srEl = $card.find(`#srno_${courtCode}`);
+      if (srEl && srEl.length) srNo = cleanText(srEl.text());
+    }
+
+    const caseList = cleanText(row.causelisttype || '');
+    const caseFooterText = cleanText(row.caseinfo || '');
+
+    if (!caseFooterText) counters.rowsWithoutCaseinfo++;
+    if (!courtNumber) counters.courtNumberMissing++;
+    if (!judgeName) counters.judgeNameMissing++;
+    if ($card.length && courtNumber && judgeName && missingFields.length === 0) cleanRows++;
+
+    let caseNumber = null;
+    let caseStatus = null;
+    let caseType = null;
+    if (caseFooterText) {
+      if (/COURT\s*SITTING\s*OVER/i.test(caseFooterText)) {
+        caseStatus = 'SITTING_OVER';
+        caseType = 'sitting_over';
+      } else if (caseFooterText.includes('(RECESS)')) {
+        caseStatus = 'RECESS';
+        caseType = 'recess';
+        caseNumber = caseFooterText.replace('(RECESS)', '').trim();
+      } else if (isValidValue(caseFooterText)) {
+        caseStatus = 'IN_SESSION';
+        caseType = 'active';
+        caseNumber = caseFooterText;
+      }
+    }
+
+    let pageNumber = 1;
+    const pageClass = $card.attr('class') || '';
+    const pageMatch = pageClass.match(/page_(\d+)/);
+    if (pageMatch) pageNumber = parseInt(pageMatch[1], 10);
+
+    const isLive = $card.find('.blink_me').length > 0;
+
+    // Parse queue position from srNo
+    let queuePosition = null;
+    if (srNo && srNo !== '-') {
+      // Try to extract number from srNo (e.g., "106" -> 106)
+      const posMatch = srNo.match(/(\d+)/);
+      if (posMatch) {
+        queuePosition = parseInt(posMatch[1], 10);
+      }
+    }
+
+    courts.push({
+      id: courtCode,
+      judgeName,
+      judgeCount,
+      benchType,
+      isLive,
+      courtNumber,
+      courtNumberShort: courtNumber,
+      srNo: srNo || null,
+      gsrno: srNo || null, // Keep both for compatibility
+      queuePosition: queuePosition, // Parsed numeric position
+      caseList: caseList || null,
+      caseNumber,
+      caseStatus,
+      caseType,
+      streamUrl,
+      judgePhotos,
+      hasStream: !!streamUrl,
+      isActive: isLive || caseStatus === 'IN_SESSION' || caseStatus === 'RECESS',
+      pageNumber
+    });
+  }
+
+  return {
+    currentDate: $('#currdate').val() || null,
+    courts,
+    quality: {
+      rows: xhrData.length,
+      cleanRows,
+      counters
+    }
+  };
+}
+
+// Fetch the published cause list for a day (YYYY-MM-DD) as HTML or PDF
+async function fetchCauseList(listDate) {
+  if (!CAUSELIST_URL) return null;
+
+  const [year, month, day] = listDate.split('-');
+  const url = CAUSELIST_URL.replace('{date}', encodeURIComponent(`${day}/${month}/${year}`));
+
+  const resp = await axios.get(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)'
+    },
+    responseType: 'arraybuffer',
+    timeout: 30000
+  });
+
+  const isPdf = /pdf/i.test(resp.headers['content-type'] || '');
+  return {
+    format: isPdf ? 'pdf' : 'html',
+    content: isPdf ? Buffer.from(resp.data) : Buffer.from(resp.data).toString('utf8')
+  };
+}
+
+module.exports = {
+  name: 'Gujarat High Court',
+  aliases: ['gujarat-hc', 'ghc'],
+  fetch,
+  parse,
+  fetchCauseList
+};
@@ -0,0 +1,67 @@
+const gujaratHighCourt = require('./gujaratHighCourt');
+
+// Every courthouse adapter exposes the same interface:
+//   name     - canonical courthouse name (matches Watchlist.courthouse)
+//   aliases  - optional alternate keys accepted in API params
+//   fetch()  - async, returns the raw upstream payload
+//   parse(raw) - returns { currentDate, courts, quality } where each court has
+//                the normalized shape produced by scraperService consumers and
+//                quality is { rows, cleanRows, counters } for drift detection
+//   fetchCauseList(listDate) - optional, async, returns { format, content }
+//                for the day's published cause list (html or pdf)
+const adapters = new Map();
+
+const DEFAULT_COURTHOUSE = gujaratHighCourt.name;
+
+const normalizeKey = (key) => String(key || '').trim().toLowerCase();
+
+function registerAdapter(adapter) {
+  if (!adapter || !adapter.name || typeof adapter.fetch !== 'function' || typeof adapter.parse !== 'function') {
+    throw new Error('Courthouse adapter must provide name, fetch() and parse()');
+  }
+
+  adapters.set(normalizeKey(adapter.name), adapter);
+  (adapter.aliases || []).forEach(alias => adapters.set(normalizeKey(alias), adapter));
+}
+
+// Resolve adapter from a courthouse name or alias, falling back to the default
+function getAdapter(courthouse) {
+  const adapter = adapters.get(normalizeKey(courthouse || DEFAULT_COURTHOUSE));
+  if (!adapter) {
+    throw new Error(`No adapter registered for courthouse: ${courthouse}`);
+  }
+  return adapter;
+}
+
+function hasAdapter(courthouse) {
+  return adapters.has(normalizeKey(courthouse));
+}
+
+// Courthouses the scraper should poll (COURTHOUSES env, comma separated)
+function getEnabledCourthouses() {
+  const configured = (process.env.COURTHOUSES || DEFAULT_COURTHOUSE)
+    .split(',')
+    .map(c => c.trim())
+    .filter(Boolean);
+
+  return [...new Set(configured.filter(hasAdapter).map(c => getAdapter(c).name))];
+}
+
+function listCourthouses() {
+  return [...new Set([...adapters.values()])].map(adapter => ({
+    name: adapter.name,
+    aliases: adapter.aliases || [],
+    enabled: getEnabledCourthouses().includes(adapter.name)
+  }));
+}
+
+registerAdapter(gujaratHighCourt);
+
+module.exports = {
+  DEFAULT_COURTHOUSE,
+  registerAdapter,
+  getAdapter,
+  hasAdapter,
+  getEnabledCourthouses,
+  listCourthouses
+};
@@ -1,54 +1,196 @@
 const cron = require('node-cron');
-const { scrapeCourtData } = require('./scraperService');
-const { processCaseUpdates } = require('./trackingService');
+const { refreshBoard, getBoard, getBoardStoreStatus } = require('./boardStore');
+const { getBreakerStatus } = require('./scraperService');
+const { getSourceStatus } = require('./scraperSource');
+const { getDriftStatus } = require('./driftMonitor');
+const { fetchCauseList } = require('./causeListService');
+const { getAdapter, getEnabledCourthouses } = require('./courthouses');
+const {
+  processCaseUpdates,
+  updateCaseStatistics,
+  getTrackingSummary,
+  getPipelineStatus
+} = require('./trackingService');
 const { broadcastCourtUpdate } = require('./websocketService');
+const { subscribe, publishBoard } = require('./boardEvents');
+const { trackHearingSessions, getOpenSessions } = require('./hearingSessions');
+const { saveCaseHistory, getOpenIntervalCount } = require('./stateHistory');
+const { publishBoardWebhooks, retryDueDeliveries } = require('./webhookService');
+const { releaseHeldAlerts } = require('./notificationService');
+const { processOutbox } = require('./notificationOutbox');
+const { pruneStaleDevices } = require('./deviceLifecycle');
+const { processTargetWatches } = require('./targetWatchService');
+const { rebuildThroughputModel, getEtaModelStatus } = require('./etaService');
+const { getCourtPhase, getCalendarStatus } = require('./courtCalendar');
 const { CourtSnapshot } = require('../models');
 const logger = require('../config/logger');
 
 let isScraperRunning = false;
 let lastScrapeTime = null;
 let scrapeCount = 0;
+let schedulerTimer = null;
+let schedulerState = { mode: 'stopped' };
+let schedulerStopped = false;
 
-// Main scraping job - runs every 30 seconds during court hours
-function startRealtimeScraper() {
-  const interval = parseInt(process.env.SCRAPER_INTERVAL) || 30000; // 30 seconds default
-  
-  logger.info(`Starting realtime scraper with ${interval}ms interval`);
-  
-  const job = setInterval(async () => {
-    if (isScraperRunning) {
-      logger.warn('Previous scrape still running, skipping...');
-      return;
+const getIntervals = () => ({
+  fast: parseInt(process.env.SCRAPER_INTERVAL_FAST) || 10000, // watched case close to being reached
+  normal: parseInt(process.env.SCRAPER_INTERVAL) || 30000, // 30 seconds default
+  idle: parseInt(process.env.SCRAPER_INTERVAL_IDLE) || 120000, // lunch recess, all courts risen
+  closedRecheck: parseInt(process.env.SCRAPER_CLOSED_RECHECK) || 900000 // re-check calendar every 15 minutes
+});
+
+// Positions at or below this switch the scraper to the fast interval
+const getFastPosition = () => parseInt(process.env.SCRAPER_FAST_POSITION || process.env.NOTIFICATION_EARLY_WARNING_COUNT || 5);
+
+// Court hours only apply to the live site; fixtures and replays run any time
+const respectsCourtHours = () =>
+  getSourceStatus().mode === 'live' && process.env.SCRAPER_IGNORE_COURT_HOURS !== 'true';
+
+// Decide whether to scrape now and how long to wait before the next run
+function planNextScrape(now = new Date()) {
+  const intervals = getIntervals();
+  const court = respectsCourtHours() ? getCourtPhase(now) : { phase: 'open', reason: 'court_hours_ignored' };
+
+  if (court.phase === 'closed') {
+    const untilOpen = court.nextOpening ? court.nextOpening.getTime() - now.getTime() : intervals.closedRecheck;
+    return {
+      mode: 'closed',
+      reason: court.reason,
+      scrape: false,
+      delay: Math.max(1000, Math.min(untilOpen, intervals.closedRecheck)),
+      nextOpening: court.nextOpening || null
+    };
+  }
+
+  if (court.phase === 'lunch') {
+    return { mode: 'idle', reason: court.reason, scrape: true, delay: intervals.idle };
+  }
+
+  const positions = Object.values(getTrackingSummary())
+    .map(summary => summary.nearestPosition)
+    .filter(position => position !== null);
+  const nearest = positions.length > 0 ? Math.min(...positions) : null;
+
+  if (nearest !== null && nearest <= getFastPosition()) {
+    return { mode: 'fast', reason: `watched case ${nearest} away`, scrape: true, delay: intervals.fast };
+  }
+
+  const boards = Object.values(getBoardStoreStatus());
+  if (boards.length > 0 && boards.every(board => board.allSittingOver)) {
+    return { mode: 'idle', reason: 'all courts sitting over', scrape: true, delay: intervals.idle };
+  }
+
+  return {
+    mode: 'normal',
+    reason: nearest !== null ? `nearest watched case ${nearest} away` : 'no watched case near',
+    scrape: true,
+    delay: intervals.normal
+  };
+}
+
+// Scrape every enabled courthouse once and publish the boards
+async function runScrapeCycle() {
+  try {
+    isScraperRunning = true;
+    const startTime = Date.now();
+    
+    logger.info(`Starting scrape #${++scrapeCount}`);
+    
+    // Each courthouse is scraped and tracked independently so one
+    // failing upstream site doesn't block the others
+    for (const courthouse of getEnabledCourthouses()) {
+      try {
+        // Scrape court data into the shared board store
+        const courtData = await refreshBoard(courthouse);
+        
+        // Diff against the previous board and hand the events to tracking,
+        // WebSocket clients, history and statistics
+        await publishBoard(courtData);
+      } catch (error) {
+        if (error.code === 'CIRCUIT_OPEN') {
+          logger.warn(`Skipping ${courthouse}: ${error.message}`);
+        } else {
+          logger.error(`Error scraping ${courthouse}:`, error);
+        }
+      }
     }
+    
+    lastScrapeTime = new Date();
+    const duration = Date.now() - startTime;
+    
+    logger.info(`Scrape #${scrapeCount} completed in ${duration}ms`);
+    
+  } catch (error) {
+    logger.error('Error in realtime scraper:', error);
+  } finally {
+    isScraperRunning = false;
+  }
+}
 
-    try {
-      isScraperRunning = true;
-      const startTime = Date.now();
-      
-      logger.info(`Starting scrape #${++scrapeCount}`);
-      
-      // Scrape court data
-      const courtData = await scrapeCourtData();
-      
-      // Process case updates and send notifications
-      await processCaseUpdates(courtData);
-      
-      // Broadcast to WebSocket clients
-      broadcastCourtUpdate(courtData);
-      
-      lastScrapeTime = new Date();
-      const duration = Date.now() - startTime;
-      
-      logger.info(`Scrape #${scrapeCount} completed in ${duration}ms`);
-      
-    } catch (error) {
-      logger.error('Error in realtime scraper:', error);
-    } finally {
-      isScraperRunning = false;
+function scheduleNextScrape() {
+  let plan;
+  try {
+    plan = planNextScrape();
+  } catch (error) {
+    // A broken plan must not stop the scraper; retry at the normal pace
+    logger.error('Error planning next scrape:', error);
+    plan = { mode: 'normal', reason: 'planning failed', delay: getIntervals().normal };
+  }
+
+  if (plan.mode !== schedulerState.mode) {
+    logger.info(`Scraper switching to ${plan.mode} mode (${plan.reason}), next run in ${plan.delay}ms`);
+  }
+
+  schedulerState = {
+    mode: plan.mode,
+    reason: plan.reason,
+    currentInterval: plan.delay,
+    nextRunAt: new Date(Date.now() + plan.delay),
+    nextOpening: plan.nextOpening || null
+  };
+  schedulerTimer = setTimeout(runScheduledScrape, plan.delay);
+}
+
+// One scheduler tick. Whatever fails, the next run is always scheduled.
+async function runScheduledScrape() {
+  try {
+    const plan = planNextScrape();
+    if (plan.scrape) {
+      await runScrapeCycle();
+    } else {
+      logger.info(`Courts closed (${plan.reason}), not scraping`);
     }
-  }, interval);
+  } catch (error) {
+    logger.error('Error in scheduled scrape:', error);
+  } finally {
+    if (!schedulerStopped) scheduleNextScrape();
+  }
+}
 
-  return job;
+// Main scraping job - polls adaptively during court hours:
+// fast when a watched case is near, slower otherwise, not at all when courts are closed
+function startRealtimeScraper() {
+  logger.info('Starting realtime scraper with court-hours aware scheduling');
+
+  // Every consumer works off the same board change events
+  subscribe('tracking', processCaseUpdates);
+  subscribe('target_watches', processTargetWatches);
+  subscribe('websocket', broadcastCourtUpdate);
+  subscribe('history', saveCaseHistory);
+  subscribe('hearings', trackHearingSessions);
+  subscribe('statistics', updateCaseStatistics);
+  subscribe('webhooks', publishBoardWebhooks);
+
+  schedulerStopped = false;
+  runScheduledScrape();
+
+  return {
+    stop() {
+      schedulerStopped = true;
+      clearTimeout(schedulerTimer);
+      schedulerState = { mode: 'stopped' };
+    }
+  };
 }
 
 // Save court snapshot every 5 minutes for analytics
@@ -57,24 +199,43 @@ function startSnapshotScheduler() {
   
   const job = cron.schedule('*/5 * * * *', async () => {
     try {
+      if (respectsCourtHours() && getCourtPhase().phase === 'closed') {
+        return;
+      }
+
       logger.info('Taking court snapshot');
       
-      const courtData = await scrapeCourtData();
-      
-      await CourtSnapshot.create({
-        courthouse: 'Gujarat High Court',
-        snapshotTime: new Date(),
-        summary: courtData.summary,
-        courts: courtData.courts.map(c => ({
-          courtNumber: c.courtNumber,
-          judgeName: c.judgeName,
-          caseNumber: c.caseNumber,
-          status: c.caseStatus,
-          isLive: c.isLive
-        }))
-      });
-      
-      logger.info('Court snapshot saved successfully');
+      for (const courthouse of getEnabledCourthouses()) {
+        try {
+          // Reuse the board the realtime scraper already fetched
+          const courtData = await getBoard(courthouse);
+          
+          // Don't record the same stale board again while the site is down
+          if (courtData.stale) {
+            logger.warn(`Skipping snapshot for ${courthouse}, board is stale: ${courtData.staleReason}`);
+            continue;
+          }
+          
+          await CourtSnapshot.create({
+            courthouse: courtData.courthouse,
+            snapshotTime: new Date(),
+            summary: courtData.summary,
+            courts: courtData.courts.map(c => ({
+              courtNumber: c.courtNumber,
+              judgeName: c.judgeName,
+              caseNumber: c.caseNumber,
+              status: c.caseStatus,
+              queuePosition: c.queuePosition,
+              caseList: c.caseList,
+              isLive: c.isLive
+            }))
+          });
+          
+          logger.info(`Court snapshot saved successfully for ${courthouse}`);
+        } catch (error) {
+          logger.error(`Error taking court snapshot for ${courthouse}:`, error);
+        }
+      }
     } catch (error) {
       logger.error('Error taking court snapshot:', error);
     }
@@ -83,6 +244,119 @@ function startSnapshotScheduler() {
   return job;
 }
 
+// Import the day's cause lists - runs Mon-Sat at CAUSELIST_FETCH_CRON (default 9 AM IST)
+function startCauseListScheduler() {
+  const schedule = process.env.CAUSELIST_FETCH_CRON || '0 9 * * 1-6';
+  logger.info(`Starting cause list scheduler (${schedule} IST)`);
+  
+  const job = cron.schedule(schedule, async () => {
+    for (const courthouse of getEnabledCourthouses()) {
+      if (typeof getAdapter(courthouse).fetchCauseList !== 'function') continue;
+
+      try {
+        const result = await fetchCauseList(courthouse);
+        logger.info(`Cause list imported for ${courthouse}: ${result.courts.length} courts`);
+      } catch (error) {
+        logger.error(`Error importing cause list for ${courthouse}:`, error);
+      }
+    }
+  }, { timezone: 'Asia/Kolkata' });
+
+  return job;
+}
+
+// Relearn court throughput for ETAs - runs after court hours at ETA_MODEL_CRON (default 6:30 PM IST)
+function startEtaModelScheduler() {
+  const schedule = process.env.ETA_MODEL_CRON || '30 18 * * 1-6';
+  logger.info(`Starting ETA model scheduler (${schedule} IST)`);
+
+  // Build once at startup so ETAs don't wait for the first evening
+  rebuildThroughputModel();
+
+  const job = cron.schedule(schedule, () => {
+    rebuildThroughputModel();
+  }, { timezone: 'Asia/Kolkata' });
+
+  return job;
+}
+
+// Retry failed webhook deliveries whose backoff has passed - every minute
+function startWebhookRetryScheduler() {
+  logger.info('Starting webhook retry scheduler (every minute)');
+
+  let running = false;
+  const job = cron.schedule('* * * * *', async () => {
+    if (running) return;
+    running = true;
+    try {
+      await retryDueDeliveries();
+    } catch (error) {
+      logger.error('Error retrying webhook deliveries:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  return job;
+}
+
+// Deliver alerts held during quiet hours or DND once those end - every minute
+function startHeldAlertScheduler() {
+  logger.info('Starting held alert scheduler (every minute)');
+
+  let running = false;
+  const job = cron.schedule('* * * * *', async () => {
+    if (running) return;
+    running = true;
+    try {
+      await releaseHeldAlerts();
+    } catch (error) {
+      logger.error('Error releasing held alerts:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  return job;
+}
+
+// Retry outbox alerts whose backoff has passed - every 15 seconds, since
+// the first retries come within a minute
+function startOutboxScheduler() {
+  logger.info('Starting notification outbox scheduler (every 15 seconds)');
+
+  let running = false;
+  const job = cron.schedule('*/15 * * * * *', async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processOutbox();
+    } catch (error) {
+      logger.error('Error processing notification outbox:', error);
+    } finally {
+      running = false;
+    }
+  });
+
+  return job;
+}
+
+// Pause devices without a recent heartbeat - runs daily at DEVICE_PRUNE_CRON (default 3 AM IST)
+function startDevicePruneScheduler() {
+  const schedule = process.env.DEVICE_PRUNE_CRON || '0 3 * * *';
+  logger.info(`Starting stale device scheduler (${schedule} IST)`);
+
+  const job = cron.schedule(schedule, async () => {
+    try {
+      await pruneStaleDevices();
+    } catch (error) {
+      logger.error('Error pruning stale devices:', error);
+    }
+  }, { timezone: 'Asia/Kolkata' });
+
+  return job;
+}
+
 // Cleanup old data - runs daily at 2 AM
 function startCleanupScheduler() {
   logger.info('Starting cleanup scheduler (daily at 2 AM)');
@@ -111,13 +385,37 @@ function getScraperStatus() {
     isRunning: isScraperRunning,
     lastScrapeTime,
     scrapeCount,
-    interval: parseInt(process.env.SCRAPER_INTERVAL) || 30000
+    courthouses: getEnabledCourthouses(),
+    source: getSourceStatus(),
+    boards: getBoardStoreStatus(),
+    circuitBreakers: getBreakerStatus(),
+    schemaDrift: getDriftStatus(),
+    openHearings: getOpenSessions(),
+    historyIntervals: getOpenIntervalCount(),
+    etaModel: getEtaModelStatus(),
+    pipeline: getPipelineStatus(),
+    scheduler: {
+      ...schedulerState,
+      intervals: getIntervals(),
+      fastPosition: getFastPosition(),
+      respectsCourtHours: respectsCourtHours(),
+      court: getCourtPhase(),
+      calendar: getCalendarStatus(),
+      tracking: getTrackingSummary()
+    },
+    interval: schedulerState.currentInterval || getIntervals().normal
   };
 }
 
 module.exports = {
   startRealtimeScraper,
   startSnapshotScheduler,
+  startCauseListScheduler,
+  startEtaModelScheduler,
+  startWebhookRetryScheduler,
+  startHeldAlertScheduler,
+  startOutboxScheduler,
+  startDevicePruneScheduler,
   startCleanupScheduler,
   getScraperStatus
 };
\ No newline at end of file
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const { Device } = require('../models');
+
+// Device credentials.
+// /device/register issues a device secret the first time a device registers
+// (devices registered before secrets existed get one on their next
+// registration). Only its hash is stored. Requests that change where a
+// device's alerts go or what it shares carry X-Device-Id and X-Device-Secret.
+
+const createDeviceSecret = () => crypto.randomBytes(32).toString('hex');
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+function verifySecret(hash, secret) {
+  if (!hash || !secret) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const given = Buffer.from(hashSecret(secret), 'hex');
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// The device the credentials belong to, or null
+async function authenticateDevice(deviceId, secret) {
+  if (!deviceId || !secret) return null;
+  const device = await Device.findOne({ deviceId: String(deviceId) }).select('+secretHash');
+  return device && verifySecret(device.secretHash, secret) ? device : null;
+}
+
+// Device as returned by the API, without credential hashes
+function serializeDevice(device) {
+  const { secretHash, __v, ...rest } = device.toObject();
+  return rest;
+}
+
+module.exports = {
+  createDeviceSecret,
+  hashSecret,
+  verifySecret,
+  authenticateDevice,
+  serializeDevice
+};
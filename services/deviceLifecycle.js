@@ -0,0 +1,119 @@
+const { Device, Watchlist, NotificationLog } = require('../models');
+const { canDeliver } = require('./channels');
+const { enqueueAlert } = require('./notificationOutbox');
+const { renderNotification } = require('./notificationTemplates');
+const logger = require('../config/logger');
+
+// Devices that stopped sending heartbeats (app uninstalled, phone replaced)
+// are deactivated after DEVICE_STALE_DAYS and their watches paused, so we
+// stop tracking and alerting for nobody. Only the app sends heartbeats, so
+// devices without an FCM token (alerts by email, Telegram or SMS only) are
+// never paused. Hooks registered with onDevicePaused run for every paused
+// device; the built-in one tells the user their alerts are paused. A
+// heartbeat, registration or channel update from the device resumes the
+// watches paused with it.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getStaleDays = () => parseInt(process.env.DEVICE_STALE_DAYS) || 30;
+
+const pauseHooks = [];
+
+// Register a re-engagement hook: handler(device, { pausedWatches, staleDays }) may be async
+function onDevicePaused(name, handler) {
+  pauseHooks.push({ name, handler });
+}
+
+async function runPauseHooks(device, context) {
+  for (const { name, handler } of pauseHooks) {
+    try {
+      await handler(device, context);
+    } catch (error) {
+      logger.error(`Device pause hook "${name}" failed for ${device.deviceId}:`, error);
+    }
+  }
+}
+
+// Deactivate a device and pause its watches
+async function pauseDevice(device, now = new Date()) {
+  const result = await Watchlist.updateMany(
+    { deviceId: device.deviceId, isActive: true },
+    { $set: { isActive: false, pausedAt: now, pausedReason: 'device_stale' } }
+  );
+
+  device.isActive = false;
+  device.pausedAt = now;
+  await Device.updateOne({ _id: device._id }, { $set: { isActive: false, pausedAt: now } });
+
+  logger.info(`Paused device ${device.deviceId} (last seen ${new Date(device.lastSeen).toISOString()}) and ${result.modifiedCount} watches`);
+  return result.modifiedCount;
+}
+
+// Pause app devices whose last heartbeat is older than DEVICE_STALE_DAYS. Run daily.
+async function pruneStaleDevices(now = new Date(), limit = 500) {
+  const staleDays = getStaleDays();
+  const stale = await Device.find({
+    isActive: true,
+    lastSeen: { $lt: new Date(now.getTime() - staleDays * DAY_MS) },
+    $or: [{ fcmToken: { $ne: null } }, { 'fcmTokens.isActive': true }]
+  })
+    .sort({ lastSeen: 1 })
+    .limit(limit);
+
+  let paused = 0;
+  for (const device of stale) {
+    try {
+      const pausedWatches = await pauseDevice(device, now);
+      paused += 1;
+      await runPauseHooks(device, { pausedWatches, staleDays });
+    } catch (error) {
+      logger.error(`Error pausing stale device ${device.deviceId}:`, error);
+    }
+  }
+
+  if (paused > 0) logger.info(`Paused ${paused} devices without a heartbeat for ${staleDays} days`);
+  return paused;
+}
+
+// A paused device is back: reactivate it and resume the watches paused with it.
+// Returns the number of watches resumed.
+async function resumeDevice(device) {
+  if (!device.pausedAt) return 0;
+
+  const result = await Watchlist.updateMany(
+    { deviceId: device.deviceId, pausedReason: 'device_stale' },
+    { $set: { isActive: true, pausedAt: null, pausedReason: null } }
+  );
+
+  device.isActive = true;
+  device.pausedAt = null;
+  await Device.updateOne({ _id: device._id }, { $set: { isActive: true, pausedAt: null } });
+
+  logger.info(`Resumed device ${device.deviceId} and ${result.modifiedCount} watches`);
+  return result.modifiedCount;
+}
+
+// Built-in hook: tell the user over their channels that alerts are paused.
+// Sent through the outbox like case alerts, so failed sends are retried.
+onDevicePaused('reengagement_message', async (device, { pausedWatches, staleDays }) => {
+  if (pausedWatches === 0 || !canDeliver(device)) return;
+
+  const { title, body } = renderNotification('re_engagement', device.locale, { watchCount: pausedWatches, staleDays });
+  const log = new NotificationLog({
+    deviceId: device.deviceId,
+    notificationType: 're_engagement',
+    title,
+    message: body,
+    data: { watchCount: pausedWatches, staleDays }
+  });
+  const result = await enqueueAlert(device, log, {
+    data: { type: 're_engagement', watchCount: String(pausedWatches) }
+  });
+  logger.info(`Re-engagement message to device ${device.deviceId}: ${result.success ? `sent over ${result.channel}` : result.error}`);
+});
+
+module.exports = {
+  onDevicePaused,
+  pruneStaleDevices,
+  resumeDevice
+};
@@ -0,0 +1,182 @@
+const { Device } = require('../models');
+const logger = require('../config/logger');
+
+// FCM registration tokens of a device.
+// A device may hold several tokens (the app on a phone and a tablet); alerts
+// go to every active one. Tokens FCM rejects as unregistered or invalid are
+// deactivated so we stop sending to them, and a device left without any way
+// to receive alerts is marked unreachable until it registers a token again.
+
+const getMaxTokens = () => parseInt(process.env.DEVICE_MAX_FCM_TOKENS) || 5;
+
+// Active tokens of a device. Devices registered before multiple tokens only have fcmToken.
+function getActiveTokens(device) {
+  const tokens = device.fcmTokens || [];
+  if (tokens.length === 0) return device.fcmToken ? [device.fcmToken] : [];
+  return tokens.filter(t => t.isActive !== false).map(t => t.token);
+}
+
+// Token to keep in fcmToken: the last active one of fcmTokens. Doesn't fall
+// back to fcmToken itself, which may be the token being dropped.
+function newestActiveToken(device) {
+  const active = (device.fcmTokens || []).filter(t => t.isActive !== false);
+  return active.length > 0 ? active[active.length - 1].token : null;
+}
+
+// Add a token to a device document, or refresh it if known; the caller saves.
+// The newest token is also kept in fcmToken.
+function addToken(device, token, label = null, now = new Date()) {
+  if (!device.fcmTokens) device.fcmTokens = [];
+
+  if (device.fcmTokens.length === 0 && device.fcmToken && device.fcmToken !== token) {
+    device.fcmTokens.push({ token: device.fcmToken, addedAt: device.createdAt || now, lastSeen: device.lastSeen || now });
+  }
+
+  const existing = device.fcmTokens.find(t => t.token === token);
+  if (existing) {
+    existing.isActive = true;
+    existing.invalidAt = null;
+    existing.invalidReason = null;
+    existing.lastSeen = now;
+    if (label) existing.label = label;
+  } else {
+    device.fcmTokens.push({ token, label, addedAt: now, lastSeen: now, isActive: true });
+  }
+
+  // Over the cap, keep active tokens first, most recently seen first
+  if (device.fcmTokens.length > getMaxTokens()) {
+    device.fcmTokens = [...device.fcmTokens]
+      .sort((a, b) => (b.isActive !== false) - (a.isActive !== false) || new Date(b.lastSeen) - new Date(a.lastSeen))
+      .slice(0, getMaxTokens());
+  }
+
+  device.fcmToken = token;
+  device.reachable = true;
+  device.unreachableSince = null;
+  device.unreachableReason = null;
+}
+
+// Remove a token from a device document (app logged out); the caller saves
+function removeToken(device, token) {
+  const before = (device.fcmTokens || []).length;
+  device.fcmTokens = (device.fcmTokens || []).filter(t => t.token !== token);
+  if (device.fcmToken === token) {
+    device.fcmToken = newestActiveToken(device);
+    return true;
+  }
+  return device.fcmTokens.length < before;
+}
+
+// An app install registering with a new device id keeps its token; drop it from the old device
+async function releaseTokenFromOtherDevices(deviceId, token) {
+  const result = await Device.updateMany(
+    { deviceId: { $ne: deviceId }, 'fcmTokens.token': token },
+    { $pull: { fcmTokens: { token } } }
+  );
+  await Device.updateMany({ deviceId: { $ne: deviceId }, fcmToken: token }, { $set: { fcmToken: null } });
+  return result.modifiedCount;
+}
+
+// Stop sending to addresses a channel reported as permanently invalid: FCM
+// tokens are deactivated, explicit channel entries with the address disabled.
+// Updates the device document in place, and in the database only the
+// matching array elements, so tokens or channels changed meanwhile (a new
+// registration, a channel update) are not overwritten.
+async function deactivateAddresses(device, type, addresses, reason, now = new Date()) {
+  const invalid = new Set(addresses);
+  const $set = {};
+  const arrayFilters = [];
+  let changed = 0;
+
+  if (type === 'fcm') {
+    // Devices registered before multiple tokens only have fcmToken
+    if ((device.fcmTokens || []).length === 0 && device.fcmToken && invalid.has(device.fcmToken)) {
+      const entry = { token: device.fcmToken, addedAt: device.createdAt || now, lastSeen: device.lastSeen || now };
+      device.fcmTokens = [entry];
+      await Device.updateOne({ _id: device._id, 'fcmTokens.0': { $exists: false } }, { $push: { fcmTokens: entry } });
+    }
+
+    (device.fcmTokens || []).forEach(t => {
+      if (!invalid.has(t.token) || t.isActive === false) return;
+      t.isActive = false;
+      t.invalidAt = now;
+      t.invalidReason = reason;
+      changed += 1;
+    });
+
+    if (changed > 0) {
+      $set['fcmTokens.$[t].isActive'] = false;
+      $set['fcmTokens.$[t].invalidAt'] = now;
+      $set['fcmTokens.$[t].invalidReason'] = reason;
+      arrayFilters.push({ 't.token': { $in: [...invalid] }, 't.isActive': { $ne: false } });
+    }
+  }
+
+  let disabled = 0;
+  (device.channels || []).forEach(entry => {
+    if (entry.type !== type || !invalid.has(entry.address) || entry.enabled === false) return;
+    entry.enabled = false;
+    disabled += 1;
+  });
+  if (disabled > 0) {
+    $set['channels.$[c].enabled'] = false;
+    arrayFilters.push({ 'c.type': type, 'c.address': { $in: [...invalid] } });
+    changed += disabled;
+  }
+
+  if (changed === 0) return 0;
+
+  await Device.updateOne({ _id: device._id }, { $set }, { arrayFilters });
+
+  // The newest token is kept in fcmToken; replace it only if it is still the invalid one
+  if (type === 'fcm' && device.fcmToken && invalid.has(device.fcmToken)) {
+    device.fcmToken = newestActiveToken(device);
+    await Device.updateOne(
+      { _id: device._id, fcmToken: { $in: [...invalid] } },
+      { $set: { fcmToken: device.fcmToken } }
+    );
+  }
+
+  logger.warn(`Deactivated ${changed} ${type} address(es) of device ${device.deviceId}: ${reason}`);
+  return changed;
+}
+
+// Record that a device has no channel left that can deliver
+async function markUnreachable(device, reason, now = new Date()) {
+  if (device.reachable === false) return;
+
+  device.reachable = false;
+  device.unreachableSince = now;
+  device.unreachableReason = reason;
+  await Device.updateOne({ _id: device._id }, {
+    $set: { reachable: false, unreachableSince: now, unreachableReason: reason }
+  });
+  logger.warn(`Device ${device.deviceId} is unreachable: ${reason}`);
+}
+
+// Token list as returned by the API; tokens are shown only by their end
+function serializeTokens(device) {
+  const tokens = (device.fcmTokens || []).length > 0
+    ? device.fcmTokens
+    : (device.fcmToken ? [{ token: device.fcmToken, isActive: true }] : []);
+
+  return tokens.map(t => ({
+    token: `…${String(t.token).slice(-8)}`,
+    label: t.label || null,
+    isActive: t.isActive !== false,
+    addedAt: t.addedAt || null,
+    lastSeen: t.lastSeen || null,
+    invalidAt: t.invalidAt || null,
+    invalidReason: t.invalidReason || null
+  }));
+}
+
+module.exports = {
+  getActiveTokens,
+  addToken,
+  removeToken,
+  releaseTokenFromOtherDevices,
+  deactivateAddresses,
+  markUnreachable,
+  serializeTokens
+};
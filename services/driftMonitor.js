@@ -0,0 +1,111 @@
+const logger = require('../config/logger');
+const { sendAdminAlert } = require('./adminAlertService');
+
+const getThreshold = () => parseFloat(process.env.SCRAPER_DRIFT_THRESHOLD) || 0.8;
+const getAlertCooldown = () => parseInt(process.env.SCRAPER_DRIFT_ALERT_COOLDOWN) || 3600000; // 1 hour
+
+// Drift state per courthouse
+const monitors = new Map();
+
+// Describe which counters indicate the upstream page changed shape
+function describeIssues(quality) {
+  const { rows, counters } = quality;
+  const issues = [];
+
+  Object.entries(counters.missingFields || {}).forEach(([field, count]) => {
+    if (count > 0) issues.push(`${count}/${rows} rows missing field "${field}"`);
+  });
+  if (counters.rowsWithoutCourtCode > 0) {
+    issues.push(`${counters.rowsWithoutCourtCode}/${rows} rows without court code`);
+  }
+  if (counters.rowsWithoutCaseinfo > 0) {
+    issues.push(`${counters.rowsWithoutCaseinfo}/${rows} rows without case info`);
+  }
+  if (counters.cardsMissing > 0) {
+    issues.push(`${counters.cardsMissing}/${rows} court cards missing from page`);
+  }
+  if (counters.courtNumberMissing > 0) {
+    issues.push(`${counters.courtNumberMissing}/${rows} courts without court number`);
+  }
+  if (counters.judgeNameMissing > 0) {
+    issues.push(`${counters.judgeNameMissing}/${rows} courts without judge name`);
+  }
+
+  return issues;
+}
+
+// Validate one scrape's parse quality and flag/alert drift
+function recordParseQuality(courthouse, quality) {
+  if (!quality) return null;
+
+  // An empty board (e.g. before court hours) says nothing about the schema
+  const score = quality.rows > 0 ? quality.cleanRows / quality.rows : 1;
+  return recordCheck(courthouse, score, describeIssues(quality), quality);
+}
+
+// A response the adapter couldn't parse at all (e.g. the XHR endpoint now
+// returns HTML) is drift with a score of 0
+function recordParseFailure(courthouse, error) {
+  return recordCheck(courthouse, 0, [`response could not be parsed: ${error.message}`], null);
+}
+
+// Update the drift state of a courthouse and alert on changes
+function recordCheck(courthouse, score, issues, quality) {
+  const previous = monitors.get(courthouse) || { drift: false, driftSince: null, lastAlertAt: null };
+  const drift = score < getThreshold();
+
+  const monitor = {
+    ...previous,
+    score: Math.round(score * 1000) / 1000,
+    threshold: getThreshold(),
+    drift,
+    issues,
+    quality,
+    checkedAt: new Date()
+  };
+
+  if (drift) {
+    monitor.driftSince = previous.drift ? previous.driftSince : new Date();
+    logger.warn(`[${courthouse}] Schema drift detected (parse quality ${monitor.score} < ${monitor.threshold}): ${issues.join('; ')}`);
+
+    const cooldownElapsed = !previous.lastAlertAt || Date.now() - previous.lastAlertAt.getTime() >= getAlertCooldown();
+    if (!previous.drift || cooldownElapsed) {
+      monitor.lastAlertAt = new Date();
+      sendAdminAlert(
+        `Court board schema drift - ${courthouse}`,
+        `Parse quality ${monitor.score} is below ${monitor.threshold}. ${issues.join('; ')}`,
+        { courthouse, score: monitor.score }
+      ).catch(error => logger.error('Error sending drift alert:', error));
+    }
+  } else {
+    if (previous.drift) {
+      logger.info(`[${courthouse}] Schema drift resolved (parse quality ${monitor.score})`);
+      sendAdminAlert(
+        `Court board schema recovered - ${courthouse}`,
+        `Parse quality is back to ${monitor.score}`,
+        { courthouse, score: monitor.score }
+      ).catch(error => logger.error('Error sending drift recovery alert:', error));
+    } else if (issues.length > 0) {
+      logger.info(`[${courthouse}] Parse quality ${monitor.score}: ${issues.join('; ')}`);
+    }
+    monitor.driftSince = null;
+    monitor.lastAlertAt = null;
+  }
+
+  monitors.set(courthouse, monitor);
+  return monitor;
+}
+
+function getDriftStatus() {
+  const status = {};
+  monitors.forEach((monitor, courthouse) => {
+    status[courthouse] = monitor;
+  });
+  return status;
+}
+
+module.exports = {
+  recordParseQuality,
+  recordParseFailure,
+  getDriftStatus
+};
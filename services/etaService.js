@@ -0,0 +1,371 @@
+const { CourtSnapshot, CaseHistory } = require('../models');
+const { toIst, addSittingMinutes } = require('./courtCalendar');
+const { normalizeCaseNumber, isSameCase } = require('./caseNumber');
+const {
+  getCauseList,
+  getCauseListsForDay,
+  findCaseInCauseLists,
+  getQueuePosition
+} = require('./causeListService');
+const logger = require('../config/logger');
+
+// Per-court throughput model.
+// Learns how many minutes a court spends per serial number from consecutive
+// court snapshots in which it was sitting, grouped from most to least specific:
+//   judge + list type + hour of day -> judge + list type -> court + list type -> court -> courthouse
+// Courts without enough snapshot data fall back to their average hearing
+// duration, and finally to ETA_DEFAULT_MINUTES_PER_CASE.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getConfig = () => ({
+  historyDays: parseInt(process.env.ETA_HISTORY_DAYS) || 30,
+  minSamples: parseInt(process.env.ETA_MIN_SAMPLES) || 3,
+  maxSampleGapMs: parseInt(process.env.ETA_MAX_SAMPLE_GAP) || 600000, // snapshots further apart are not one stretch
+  maxModelAgeMs: parseInt(process.env.ETA_MODEL_MAX_AGE) || 6 * 60 * 60 * 1000,
+  defaultMinutesPerCase: parseFloat(process.env.ETA_DEFAULT_MINUTES_PER_CASE) || 15
+});
+
+// z for an 80% interval
+const RANGE_Z = 1.28;
+
+// Few, similar samples understate the spread; never claim better than this share of the mean
+const MIN_RELATIVE_SD = 0.2;
+
+// Levels in the order they are tried, with the confidence they give
+const LEVELS = [
+  { basis: 'judge_list_hour', confidence: 'high', key: s => s.judgeName && [s.courthouse, s.judgeName, s.listType, s.hour] },
+  { basis: 'judge_list', confidence: 'high', key: s => s.judgeName && [s.courthouse, s.judgeName, s.listType] },
+  { basis: 'court_list', confidence: 'medium', key: s => [s.courthouse, s.courtNumber, s.listType] },
+  { basis: 'court', confidence: 'medium', key: s => [s.courthouse, s.courtNumber] },
+  { basis: 'courthouse', confidence: 'low', key: s => [s.courthouse] }
+];
+
+// Failed rebuilds are retried after this long rather than on every prediction
+const REBUILD_RETRY_MS = 5 * 60 * 1000;
+
+let model = null;
+let rebuilding = null;
+let lastRebuildAttempt = 0;
+
+const groupKey = (basis, parts) => `${basis}|${parts.map(p => p === null || p === undefined ? '' : p).join('|')}`;
+
+const normalizeList = (listType) => (listType || '').replace(/\s+/g, ' ').trim().toUpperCase();
+
+function addToGroup(groups, key, chunk) {
+  if (!groups.has(key)) groups.set(key, { minutes: 0, serials: 0, rates: [] });
+  const group = groups.get(key);
+  group.minutes += chunk.minutes;
+  group.serials += chunk.serials;
+  if (chunk.serials > 0) group.rates.push({ rate: chunk.minutes / chunk.serials, weight: chunk.serials });
+}
+
+// Mean minutes per serial (stalls included) and the weighted spread of the hourly rates
+function summarizeGroup(group) {
+  if (group.serials === 0) return null;
+
+  const mean = group.minutes / group.serials;
+  const totalWeight = group.rates.reduce((sum, r) => sum + r.weight, 0);
+  const variance = totalWeight > 0
+    ? group.rates.reduce((sum, r) => sum + r.weight * Math.pow(r.rate - mean, 2), 0) / totalWeight
+    : 0;
+
+  return {
+    minutesPerCase: mean,
+    sd: Math.sqrt(variance),
+    samples: group.rates.length,
+    serials: group.serials
+  };
+}
+
+// Cut snapshot pairs into hourly chunks of sitting time and serials advanced.
+// Board serials are raw numbers, so a gap in the cause list numbering counts as progress.
+async function collectSnapshotChunks(since, config) {
+  const chunks = new Map();
+  const previous = new Map();
+
+  const cursor = CourtSnapshot.find({ snapshotTime: { $gte: since } })
+    .sort({ snapshotTime: 1 })
+    .lean()
+    .cursor();
+
+  for await (const snapshot of cursor) {
+    const courthouse = snapshot.courthouse;
+    const at = new Date(snapshot.snapshotTime);
+    const prev = previous.get(courthouse);
+    previous.set(courthouse, { at, courts: snapshot.courts || [] });
+
+    if (!prev || at - prev.at > config.maxSampleGapMs) continue;
+
+    const ist = toIst(prev.at);
+    if (ist.date !== toIst(at).date) continue;
+
+    const minutes = (at - prev.at) / 60000;
+    const prevByCourt = new Map(prev.courts.map(c => [c.courtNumber, c]));
+
+    for (const court of snapshot.courts || []) {
+      const before = prevByCourt.get(court.courtNumber);
+      if (!before) continue;
+      if (before.status !== 'IN_SESSION' || court.status !== 'IN_SESSION') continue;
+      if (typeof before.queuePosition !== 'number' || typeof court.queuePosition !== 'number') continue;
+      if (normalizeList(before.caseList) !== normalizeList(court.caseList)) continue;
+
+      const serials = court.queuePosition - before.queuePosition;
+      if (serials < 0) continue;
+
+      const chunk = {
+        courthouse,
+        courtNumber: court.courtNumber,
+        judgeName: court.judgeName || null,
+        listType: normalizeList(court.caseList),
+        hour: Math.floor(ist.minutes / 60)
+      };
+      const id = `${ist.date}|${groupKey('chunk', [courthouse, chunk.courtNumber, chunk.judgeName, chunk.listType, chunk.hour])}`;
+
+      if (!chunks.has(id)) chunks.set(id, { ...chunk, minutes: 0, serials: 0 });
+      chunks.get(id).minutes += minutes;
+      chunks.get(id).serials += serials;
+    }
+  }
+
+  return [...chunks.values()];
+}
+
+// Average hearing length per court, one hearing standing in for one serial
+async function collectHearingRates(since) {
+  const rows = await CaseHistory.aggregate([
+    { $match: { entryType: 'hearing', sessionStartTime: { $gte: since }, duration: { $ne: null } } },
+    {
+      $group: {
+        _id: { courthouse: '$courthouse', courtNumber: '$courtNumber' },
+        minutesPerCase: { $avg: '$duration' },
+        sd: { $stdDevPop: '$duration' },
+        samples: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const rates = new Map();
+  rows.forEach(row => {
+    rates.set(groupKey('hearings', [row._id.courthouse, row._id.courtNumber]), {
+      minutesPerCase: row.minutesPerCase,
+      sd: row.sd || 0,
+      samples: row.samples
+    });
+  });
+  return rates;
+}
+
+// Rebuild the model from the last ETA_HISTORY_DAYS of snapshots and hearings
+async function rebuildThroughputModel() {
+  if (rebuilding) return rebuilding;
+
+  lastRebuildAttempt = Date.now();
+  rebuilding = (async () => {
+    const config = getConfig();
+    const startTime = Date.now();
+    const since = new Date(Date.now() - config.historyDays * DAY_MS);
+
+    try {
+      const chunks = await collectSnapshotChunks(since, config);
+      const groups = new Map();
+      chunks.forEach(chunk => {
+        LEVELS.forEach(level => {
+          const parts = level.key(chunk);
+          if (parts) addToGroup(groups, groupKey(level.basis, parts), chunk);
+        });
+      });
+
+      const rates = new Map();
+      groups.forEach((group, key) => {
+        const summary = summarizeGroup(group);
+        if (summary) rates.set(key, summary);
+      });
+
+      model = {
+        builtAt: new Date(),
+        rates,
+        hearings: await collectHearingRates(since),
+        chunks: chunks.length
+      };
+
+      logger.info(`Throughput model rebuilt from ${chunks.length} chunks (${rates.size} groups) in ${Date.now() - startTime}ms`);
+    } catch (error) {
+      logger.error('Error rebuilding throughput model:', error);
+    } finally {
+      rebuilding = null;
+    }
+    return model;
+  })();
+
+  return rebuilding;
+}
+
+// Rebuild in the background when the model is missing or old; predictions use what is there
+function refreshModelIfStale() {
+  if (rebuilding || Date.now() - lastRebuildAttempt < REBUILD_RETRY_MS) return;
+  if (!model || Date.now() - model.builtAt.getTime() > getConfig().maxModelAgeMs) {
+    rebuildThroughputModel();
+  }
+}
+
+// Minutes per case for a court, from the most specific group with enough samples
+function getThroughput({ courthouse, courtNumber, judgeName = null, listType = null, at = new Date() }) {
+  refreshModelIfStale();
+  const config = getConfig();
+  const subject = {
+    courthouse,
+    courtNumber: courtNumber ? String(courtNumber) : null,
+    judgeName,
+    listType: normalizeList(listType),
+    hour: Math.floor(toIst(at).minutes / 60)
+  };
+
+  if (model) {
+    for (const level of LEVELS) {
+      const parts = level.key(subject);
+      const rate = parts && model.rates.get(groupKey(level.basis, parts));
+      if (rate && rate.samples >= config.minSamples) {
+        return { ...rate, basis: level.basis, confidence: level.confidence };
+      }
+    }
+
+    const hearings = model.hearings.get(groupKey('hearings', [courthouse, subject.courtNumber]));
+    if (hearings && hearings.samples >= config.minSamples) {
+      return { ...hearings, basis: 'hearing_durations', confidence: 'low' };
+    }
+  }
+
+  return {
+    minutesPerCase: config.defaultMinutesPerCase,
+    sd: config.defaultMinutesPerCase * 0.66,
+    samples: 0,
+    basis: 'default',
+    confidence: 'low'
+  };
+}
+
+// When a case `position` matters away will be called, with an 80% range.
+// Times are null when they fall after the court rises today.
+function predictEta({ courthouse, courtNumber, judgeName, listType, position, now = new Date() }) {
+  if (position === null || position === undefined) return null;
+
+  const throughput = getThroughput({ courthouse, courtNumber, judgeName, listType, at: now });
+  const round = (value) => Math.round(value * 10) / 10;
+
+  if (position === 0) {
+    return {
+      position,
+      inSession: true,
+      minutesPerCase: round(throughput.minutesPerCase),
+      expectedMinutes: 0,
+      expectedAt: now,
+      earliestAt: now,
+      latestAt: now,
+      mayNotBeReachedToday: false,
+      confidence: throughput.confidence,
+      basis: throughput.basis,
+      samples: throughput.samples
+    };
+  }
+
+  const expectedMinutes = position * throughput.minutesPerCase;
+  const sd = Math.max(throughput.sd, throughput.minutesPerCase * MIN_RELATIVE_SD);
+  const spread = RANGE_Z * sd * Math.sqrt(position);
+  const expectedAt = addSittingMinutes(now, expectedMinutes);
+
+  return {
+    position,
+    inSession: false,
+    minutesPerCase: round(throughput.minutesPerCase),
+    expectedMinutes: Math.round(expectedMinutes),
+    expectedAt,
+    earliestAt: addSittingMinutes(now, Math.max(0, expectedMinutes - spread)),
+    latestAt: addSittingMinutes(now, expectedMinutes + spread),
+    mayNotBeReachedToday: expectedAt === null,
+    confidence: throughput.confidence,
+    basis: throughput.basis,
+    samples: throughput.samples
+  };
+}
+
+// ETA for a case on today's board or cause list. Pass serialNumber and
+// courtNumber directly for COURT:<court>:<serial> watches.
+async function estimateCaseEta({ courthouse, caseNumber, courtNumber = null, serialNumber = null, board = null }) {
+  const courts = board ? board.courts : [];
+
+  if (serialNumber === null) {
+    const key = normalizeCaseNumber(caseNumber);
+    const onBoard = courts.find(c =>
+      c.caseStatus === 'IN_SESSION' && c.caseNumber &&
+      (key ? isSameCase(c.caseKey || c.caseNumber, key) : c.caseNumber === caseNumber)
+    );
+    if (onBoard) {
+      return {
+        courtNumber: onBoard.courtNumber,
+        serialNumber: onBoard.queuePosition,
+        ...predictEta({
+          courthouse,
+          courtNumber: onBoard.courtNumber,
+          judgeName: onBoard.judgeName,
+          listType: onBoard.caseList,
+          position: 0
+        })
+      };
+    }
+  }
+
+  let causeList;
+  let entry;
+  if (serialNumber !== null) {
+    causeList = await getCauseList(courthouse, courtNumber);
+    entry = { serialNumber, listType: null };
+  } else {
+    const listed = findCaseInCauseLists(await getCauseListsForDay(courthouse), caseNumber, courtNumber);
+    if (listed) {
+      causeList = listed.causeList;
+      entry = listed.entry;
+    }
+  }
+  if (!causeList) return null;
+
+  const boardCourt = courts.find(c => c.courtNumber === causeList.courtNumber) || null;
+  const position = getQueuePosition(
+    causeList,
+    boardCourt ? boardCourt.queuePosition : null,
+    entry.serialNumber,
+    boardCourt ? boardCourt.caseList : entry.listType,
+    entry.listType
+  );
+  if (position === null || position === 'unknown') return null;
+
+  return {
+    courtNumber: causeList.courtNumber,
+    serialNumber: entry.serialNumber,
+    ...predictEta({
+      courthouse,
+      courtNumber: causeList.courtNumber,
+      judgeName: (boardCourt && boardCourt.judgeName) || causeList.judgeName,
+      listType: boardCourt ? boardCourt.caseList : entry.listType,
+      position
+    })
+  };
+}
+
+function getEtaModelStatus() {
+  return {
+    builtAt: model ? model.builtAt : null,
+    chunks: model ? model.chunks : 0,
+    groups: model ? model.rates.size : 0,
+    hearingCourts: model ? model.hearings.size : 0,
+    rebuilding: !!rebuilding
+  };
+}
+
+module.exports = {
+  rebuildThroughputModel,
+  getThroughput,
+  predictEta,
+  estimateCaseEta,
+  getEtaModelStatus
+};
@@ -1,8 +1,8 @@
 const admin = require('firebase-admin');
 const logger = require('../config/logger');
-const { NotificationLog } = require('../models');
 const path = require('path');
 const fs = require('fs');
+const { renderNotification, DEFAULT_LOCALE } = require('./notificationTemplates');
 
 
 // Initialize Firebase Admin
@@ -91,8 +91,42 @@ const initializeFirebase = () => {
   }
 };
 
+// Android delivery options: alerts ring at max priority, silent ones
+// (quiet hours) go to a low-priority channel without sound
+const androidConfig = (silent) => silent
+  ? {
+    priority: 'normal',
+    notification: {
+      channelId: 'court_updates_silent',
+      priority: 'low'
+    }
+  }
+  : {
+    priority: 'high',
+    notification: {
+      sound: 'default',
+      channelId: 'court_alerts',
+      priority: 'max',
+      defaultVibrateTimings: true
+    }
+  };
+
+// FCM errors meaning the token will never work again (app uninstalled,
+// token rotated or malformed); anything else may succeed on a retry
+const INVALID_TOKEN_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+// FCM also answers invalid-argument for a bad payload (non-string data
+// values, oversized message); only one naming the token condemns the token
+const isInvalidTokenError = (error) => !!error && (
+  INVALID_TOKEN_CODES.includes(error.code) ||
+  (error.code === 'messaging/invalid-argument' && /registration token/i.test(error.message || ''))
+);
+
 // Send notification to single device
-const sendNotification = async (fcmToken, notification, data = {}) => {
+const sendNotification = async (fcmToken, notification, data = {}, { silent = false } = {}) => {
   try {
     const app = initializeFirebase();
     if (!app) {
@@ -109,23 +143,25 @@ const sendNotification = async (fcmToken, notification, data = {}) => {
         ...data,
         timestamp: new Date().toISOString()
       },
-      android: {
-        priority: 'high',
-        notification: {
-          sound: 'default',
-          channelId: 'court_alerts',
-          priority: 'max',
-          defaultVibrateTimings: true
-        }
-      }
+      android: androidConfig(silent)
     };
 
     const response = await admin.messaging().send(message);
     logger.info(`Notification sent successfully: ${response}`);
     return { success: true, messageId: response };
   } catch (error) {
-    logger.error('Error sending notification:', error);
-    return { success: false, error: error.message };
+    const invalidToken = isInvalidTokenError(error);
+    if (error.code === 'messaging/invalid-argument' && !invalidToken) {
+      logger.error(`FCM rejected the notification payload (${notification.title}):`, error);
+    } else {
+      logger.error('Error sending notification:', error);
+    }
+    return {
+      success: false,
+      error: error.message,
+      errorCode: error.code || null,
+      invalidToken
+    };
   }
 };
 
@@ -167,45 +203,12 @@ const sendMulticastNotification = async (fcmTokens, notification, data = {}) =>
   }
 };
 
-// Send case alert notification
-const sendCaseAlert = async (deviceId, fcmToken, caseNumber, alertType, details = {}) => {
-  let notification = {};
-  
-  switch (alertType) {
-    case 'early_warning':
-      notification = {
-        title: `⚠️ Case Approaching - ${caseNumber}`,
-        body: `Your case is ${details.position || 5} cases away in Court ${details.courtNumber}`
-      };
-      break;
-    
-    case 'approaching':
-      notification = {
-        title: `🔔 Case Next - ${caseNumber}`,
-        body: `Your case is next in line in Court ${details.courtNumber}`
-      };
-      break;
-    
-    case 'in_session':
-      notification = {
-        title: `⚖️ Case Started - ${caseNumber}`,
-        body: `Your case is now IN SESSION in Court ${details.courtNumber}${details.judgeName ? ' - ' + details.judgeName : ''}`
-      };
-      break;
-    
-    case 'completed':
-      notification = {
-        title: `✅ Case Completed - ${caseNumber}`,
-        body: `Your case hearing has ended in Court ${details.courtNumber}`
-      };
-      break;
-    
-    default:
-      notification = {
-        title: `Court Update - ${caseNumber}`,
-        body: `Status update for your case`
-      };
-  }
+// Title and body of a case alert in the device's locale (templates in
+// config/templates; court and judge watches pass the watch title, e.g.
+// "Court 12", as caseNumber), plus the data payload sent with it
+const buildCaseNotification = (caseNumber, alertType, details = {}, locale = DEFAULT_LOCALE) => {
+  const { title, body } = renderNotification(alertType, locale, { ...details, caseNumber });
+  const notification = { title, body };
 
   const data = {
     type: alertType,
@@ -216,28 +219,14 @@ const sendCaseAlert = async (deviceId, fcmToken, caseNumber, alertType, details
     position: String(details.position || 0)
   };
 
-  const result = await sendNotification(fcmToken, notification, data);
-
-  // Log notification
-  await NotificationLog.create({
-    deviceId,
-    caseNumber,
-    notificationType: alertType,
-    title: notification.title,
-    message: notification.body,
-    data: details,
-    success: result.success,
-    error: result.error || null,
-    courtNumber: details.courtNumber,
-    position: details.position
-  });
-
-  return result;
+  return { notification, data };
 };
 
 module.exports = {
+  INVALID_TOKEN_CODES,
+  isInvalidTokenError,
   initializeFirebase,
   sendNotification,
   sendMulticastNotification,
-  sendCaseAlert
+  buildCaseNotification
 };
\ No newline at end of file
@@ -0,0 +1,248 @@
+const { CaseHistory, CaseStatistics } = require('../models');
+const { normalizeCaseNumber } = require('./caseNumber');
+const logger = require('../config/logger');
+
+// Hearing sessions.
+// A hearing opens when a case is first seen IN_SESSION in a court, is paused
+// while that court is in RECESS and closes when the case leaves the board
+// (another case is called, the court rises or drops off the board).
+// Each hearing is one CaseHistory document with entryType 'hearing';
+// open hearings have no sessionEndTime yet.
+
+// A hearing not confirmed by a board for this long is closed at the time it
+// was last seen, so scraper gaps (nights, outages) don't inflate durations
+const getMaxGap = () => parseInt(process.env.HEARING_MAX_GAP) || 600000; // 10 minutes
+
+// lastSeen of open hearings is written at most this often, so a restarted
+// process knows when each hearing was last confirmed
+const getTouchInterval = () => parseInt(process.env.HEARING_TOUCH_INTERVAL) || 60000;
+
+// Open hearings per courthouse, keyed by court id
+const openSessions = new Map();
+
+// Courthouses whose open hearings were reloaded from the database
+const restored = new Set();
+
+const minutesBetween = (from, to) => Math.max(0, (to - from) / 60000);
+
+function sessionsFor(courthouse) {
+  if (!openSessions.has(courthouse)) openSessions.set(courthouse, new Map());
+  return openSessions.get(courthouse);
+}
+
+// Reload hearings left open by a previous process so a restart mid-hearing
+// doesn't split it in two
+async function restoreOpenSessions(courthouse) {
+  if (restored.has(courthouse)) return;
+  restored.add(courthouse);
+
+  const docs = await CaseHistory.find({
+    courthouse,
+    entryType: 'hearing',
+    sessionEndTime: null
+  });
+
+  const sessions = sessionsFor(courthouse);
+  docs.forEach(doc => {
+    sessions.set(doc.courtId, {
+      historyId: doc._id,
+      caseNumber: doc.caseNumber,
+      caseKey: doc.caseKey,
+      courtNumber: doc.courtNumber,
+      judgeName: doc.judgeName,
+      startedAt: doc.sessionStartTime,
+      lastSeenAt: doc.lastSeen || doc.updatedAt,
+      writtenLastSeen: doc.lastSeen || doc.updatedAt,
+      pausedAt: doc.status === 'RECESS' ? doc.updatedAt : null,
+      recessMs: (doc.recessMinutes || 0) * 60000,
+      recessCount: doc.recessCount || 0
+    });
+  });
+
+  if (docs.length > 0) {
+    logger.info(`[${courthouse}] Restored ${docs.length} open hearing sessions`);
+  }
+}
+
+async function openSession(courthouse, court, at) {
+  const doc = await CaseHistory.create({
+    entryType: 'hearing',
+    caseNumber: court.caseNumber,
+    caseKey: court.caseKey || normalizeCaseNumber(court.caseNumber),
+    courthouse,
+    courtId: court.id,
+    courtNumber: court.courtNumber,
+    judgeName: court.judgeName,
+    benchType: court.benchType,
+    caseList: court.caseList,
+    status: 'IN_SESSION',
+    sessionStartTime: at,
+    sessionEndTime: null,
+    position: court.queuePosition,
+    gsrno: court.gsrno,
+    streamUrl: court.streamUrl,
+    isLive: court.isLive,
+    scrapedAt: at,
+    lastSeen: at
+  });
+
+  sessionsFor(courthouse).set(court.id, {
+    historyId: doc._id,
+    caseNumber: court.caseNumber,
+    caseKey: doc.caseKey,
+    courtNumber: court.courtNumber,
+    judgeName: court.judgeName,
+    startedAt: at,
+    lastSeenAt: at,
+    writtenLastSeen: at,
+    pausedAt: null,
+    recessMs: 0,
+    recessCount: 0
+  });
+
+  logger.info(`[${courthouse}] Hearing started: ${court.caseNumber} in court ${court.courtNumber}`);
+}
+
+async function pauseSession(session, at) {
+  session.pausedAt = at;
+  session.recessCount += 1;
+  await CaseHistory.updateOne(
+    { _id: session.historyId },
+    { status: 'RECESS', recessCount: session.recessCount }
+  );
+}
+
+async function resumeSession(session, at) {
+  session.recessMs += at - session.pausedAt;
+  session.pausedAt = null;
+  await CaseHistory.updateOne(
+    { _id: session.historyId },
+    { status: 'IN_SESSION', recessMinutes: Math.round(session.recessMs / 6000) / 10 }
+  );
+}
+
+// The board still shows the hearing. After a restart the hearing is then
+// gap-closed only if it really went unseen for longer than the gap.
+async function markSeen(session, at) {
+  session.lastSeenAt = at;
+  if (at - session.writtenLastSeen < getTouchInterval()) return;
+
+  session.writtenLastSeen = at;
+  await CaseHistory.updateOne({ _id: session.historyId }, { lastSeen: at });
+}
+
+// Close a hearing. A hearing that ended in recess ended when the recess began.
+async function closeSession(courthouse, courtId, session, endedAt, closedBy) {
+  sessionsFor(courthouse).delete(courtId);
+
+  const end = session.pausedAt || endedAt;
+  const duration = Math.round((minutesBetween(session.startedAt, end) - session.recessMs / 60000) * 10) / 10;
+
+  await CaseHistory.updateOne(
+    { _id: session.historyId },
+    {
+      status: 'COMPLETED',
+      sessionEndTime: end,
+      lastSeen: session.lastSeenAt,
+      duration: Math.max(0, duration),
+      recessMinutes: Math.round(session.recessMs / 6000) / 10,
+      closedBy
+    }
+  );
+
+  if (session.caseKey || session.caseNumber) {
+    const statsQuery = session.caseKey ? { caseKey: session.caseKey } : { caseNumber: session.caseNumber };
+    const stats = await CaseStatistics.findOne(statsQuery);
+    if (stats) {
+      stats.totalHearings = (stats.totalHearings || 0) + 1;
+      stats.totalDuration = (stats.totalDuration || 0) + Math.max(0, duration);
+      stats.averageDuration = Math.round((stats.totalDuration / stats.totalHearings) * 10) / 10;
+      await stats.save();
+    }
+  }
+
+  logger.info(`[${courthouse}] Hearing ended (${closedBy}): ${session.caseNumber} in court ${session.courtNumber}, ${duration} min`);
+}
+
+const sameCase = (session, court) =>
+  (court.caseKey || normalizeCaseNumber(court.caseNumber) || court.caseNumber) ===
+  (session.caseKey || session.caseNumber);
+
+// Board event consumer: walk every court of the board and move its hearing
+// through open, paused and closed. Besides transitions, only the periodic
+// last-seen time touches the database.
+async function trackHearingSessions(courtData) {
+  const courthouse = courtData.courthouse;
+  const at = new Date(courtData.scrapedAt);
+
+  try {
+    await restoreOpenSessions(courthouse);
+
+    const sessions = sessionsFor(courthouse);
+    const seen = new Set();
+
+    // Hearings the scraper lost sight of for too long end where they were last seen
+    for (const [courtId, session] of [...sessions]) {
+      if (at - session.lastSeenAt > getMaxGap()) {
+        await closeSession(courthouse, courtId, session, session.lastSeenAt, 'gap');
+      }
+    }
+
+    for (const court of courtData.courts) {
+      seen.add(court.id);
+      let session = sessions.get(court.id);
+
+      // The case was taken off: another case called or the court rose
+      if (session && (!court.caseNumber || !sameCase(session, court) || court.caseStatus === 'SITTING_OVER')) {
+        const closedBy = !court.caseNumber ? 'left_board'
+          : court.caseStatus === 'SITTING_OVER' ? 'sitting_over'
+          : 'next_case';
+        await closeSession(courthouse, court.id, session, at, closedBy);
+        session = null;
+      }
+
+      if (!session) {
+        if (court.caseNumber && court.caseStatus === 'IN_SESSION') {
+          await openSession(courthouse, court, at);
+        }
+        continue;
+      }
+
+      await markSeen(session, at);
+      if (court.caseStatus === 'RECESS' && !session.pausedAt) {
+        await pauseSession(session, at);
+      } else if (court.caseStatus !== 'RECESS' && session.pausedAt) {
+        await resumeSession(session, at);
+      }
+    }
+
+    // Courts that dropped off the board entirely
+    for (const [courtId, session] of [...sessions]) {
+      if (!seen.has(courtId)) {
+        await closeSession(courthouse, courtId, session, at, 'court_disappeared');
+      }
+    }
+  } catch (error) {
+    logger.error(`Error tracking hearing sessions for ${courthouse}:`, error);
+  }
+}
+
+// Open hearings for the status endpoint
+function getOpenSessions() {
+  const status = {};
+  openSessions.forEach((sessions, courthouse) => {
+    status[courthouse] = [...sessions.values()].map(session => ({
+      caseNumber: session.caseNumber,
+      courtNumber: session.courtNumber,
+      startedAt: session.startedAt,
+      inRecess: !!session.pausedAt,
+      recessCount: session.recessCount
+    }));
+  });
+  return status;
+}
+
+module.exports = {
+  trackHearingSessions,
+  getOpenSessions
+};
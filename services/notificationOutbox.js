@@ -0,0 +1,267 @@
+const { NotificationOutbox, NotificationLog, Device } = require('../models');
+const { deliver, canDeliver } = require('./channels');
+const { getAlertPriority } = require('./quietHours');
+const { getListDate } = require('./causeListService');
+const { sendAdminAlert } = require('./adminAlertService');
+const logger = require('../config/logger');
+
+// Durable outbox for case alerts and device messages (re-engagement).
+// Every alert is written to NotificationOutbox before it is sent, so a failed
+// send (FCM or SMTP down) or a restart mid-send doesn't lose it. Failed
+// attempts are retried with exponential backoff: OUTBOX_RETRY_BASE_SECONDS,
+// doubling up to OUTBOX_RETRY_MAX_SECONDS, for at most OUTBOX_MAX_ATTEMPTS.
+// After that, or once the device can't receive alerts or the hearing day is
+// over, the entry is dead-lettered with the reason; operators can replay it.
+
+const getOutboxConfig = () => ({
+  maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 8,
+  baseDelayMs: (parseInt(process.env.OUTBOX_RETRY_BASE_SECONDS) || 15) * 1000,
+  maxDelayMs: (parseInt(process.env.OUTBOX_RETRY_MAX_SECONDS) || 900) * 1000,
+  lockMs: 2 * 60 * 1000 // a send taking longer than this is assumed lost
+});
+
+// Wait before retrying after the nth failed attempt
+function retryDelay(attemptCount, config = getOutboxConfig()) {
+  return Math.min(config.baseDelayMs * 2 ** (attemptCount - 1), config.maxDelayMs);
+}
+
+// Alerts are about today's hearings; past midnight IST they are stale
+const endOfListDay = (now) => new Date(`${getListDate(now)}T23:59:59.999+05:30`);
+
+// "in_session for SCA/1/2024", or just the type for messages without a case
+const describeEntry = (entry) => entry.caseNumber ? `${entry.alertType} for ${entry.caseNumber}` : entry.alertType;
+
+// Device an entry goes to. Re-engagement messages are for devices that have
+// just been paused; everything else only goes to active devices.
+function findEntryDevice(entry) {
+  return Device.findOne(entry.alertType === 're_engagement'
+    ? { deviceId: entry.deviceId }
+    : { deviceId: entry.deviceId, isActive: true });
+}
+
+// Mirror the outcome on the alert's notification log
+async function updateLog(entry, result) {
+  if (!entry.logId) return;
+
+  await NotificationLog.updateOne({ _id: entry.logId }, {
+    $set: {
+      success: entry.status === 'delivered',
+      error: entry.status === 'delivered' ? null : entry.lastError,
+      channel: entry.channel || null,
+      deliveries: result ? result.deliveries || [] : [],
+      sentAt: new Date()
+    }
+  });
+}
+
+async function deadLetter(entry, reason, error) {
+  entry.status = 'dead';
+  entry.deadReason = reason;
+  entry.deadAt = new Date();
+  entry.lastError = error;
+  entry.nextAttemptAt = null;
+  entry.lockedUntil = null;
+  await entry.save();
+
+  logger.warn(`Dead-lettered ${describeEntry(entry)} to device ${entry.deviceId} (${reason}): ${error}`);
+
+  // Critical alerts that failed on our side need someone to look now
+  if (reason === 'max_attempts' && entry.priority === 'critical') {
+    await sendAdminAlert(
+      'Critical alert not delivered',
+      `${entry.alertType} for ${entry.caseNumber} to device ${entry.deviceId} failed ${entry.attemptCount} times: ${error}`,
+      { outboxId: String(entry._id), deviceId: entry.deviceId, caseNumber: entry.caseNumber }
+    );
+  }
+}
+
+// Try to deliver an entry the caller has claimed, and schedule the retry or dead-letter it
+async function attemptEntry(entry, device) {
+  const at = new Date();
+  const config = getOutboxConfig();
+
+  if (!canDeliver(device)) {
+    await deadLetter(entry, 'device_unavailable', device ? 'Device has no delivery channel' : 'Device not found or inactive');
+    await updateLog(entry, null);
+    return { success: false, error: entry.lastError, outboxId: entry._id, status: entry.status };
+  }
+
+  if (entry.expiresAt && entry.expiresAt <= at) {
+    await deadLetter(entry, 'expired', `Hearing day is over${entry.lastError ? `, last error: ${entry.lastError}` : ''}`);
+    await updateLog(entry, null);
+    return { success: false, error: entry.lastError, outboxId: entry._id, status: entry.status };
+  }
+
+  const { title, body, data, silent } = entry.message;
+  let result;
+  try {
+    result = await deliver(device, { title, body, data, silent });
+  } catch (error) {
+    result = { success: false, channel: null, error: error.message, deliveries: [] };
+  }
+
+  entry.attemptCount += 1;
+  entry.attempts.push({ at, channel: result.channel, error: result.error || null, durationMs: Date.now() - at.getTime() });
+  entry.channel = result.channel;
+
+  if (result.success) {
+    entry.status = 'delivered';
+    entry.deliveredAt = new Date();
+    entry.lastError = null;
+    entry.nextAttemptAt = null;
+    entry.lockedUntil = null;
+    await entry.save();
+  } else if (!canDeliver(device)) {
+    // Every address was rejected for good (e.g. uninstalled app); retrying won't help
+    await deadLetter(entry, 'device_unavailable', result.error);
+  } else if (entry.attemptCount >= config.maxAttempts) {
+    await deadLetter(entry, 'max_attempts', result.error);
+  } else {
+    entry.status = 'pending';
+    entry.lastError = result.error;
+    entry.nextAttemptAt = new Date(Date.now() + retryDelay(entry.attemptCount, config));
+    entry.lockedUntil = null;
+    await entry.save();
+    logger.warn(`Could not deliver ${describeEntry(entry)} to device ${entry.deviceId} ` +
+      `(attempt ${entry.attemptCount}), retrying at ${entry.nextAttemptAt.toISOString()}: ${result.error}`);
+  }
+
+  await updateLog(entry, result);
+  return { ...result, outboxId: entry._id, status: entry.status, nextAttemptAt: entry.nextAttemptAt };
+}
+
+// Queue an alert for delivery and make the first attempt now. `log` is its
+// NotificationLog document (new, or a held alert being released); the outbox
+// keeps the log's success, error and deliveries up to date.
+async function enqueueAlert(device, log, { data, silent = false }, now = new Date()) {
+  const entry = new NotificationOutbox({
+    deviceId: device.deviceId,
+    logId: log._id,
+    caseNumber: log.caseNumber,
+    alertType: log.notificationType,
+    priority: getAlertPriority(log.notificationType),
+    message: { title: log.title, body: log.message, data, silent },
+    status: 'sending',
+    lockedUntil: new Date(now.getTime() + getOutboxConfig().lockMs),
+    nextAttemptAt: now,
+    expiresAt: endOfListDay(now)
+  });
+
+  log.outboxId = entry._id;
+  log.success = false;
+  await log.save();
+  await entry.save();
+
+  return attemptEntry(entry, device);
+}
+
+// Claim the next due entry: pending ones whose backoff has passed, and ones
+// left 'sending' by a process that died mid-send. Critical alerts go first.
+function claimDueEntry(now) {
+  return NotificationOutbox.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + getOutboxConfig().lockMs) } },
+    { sort: { priority: 1, nextAttemptAt: 1 }, new: true }
+  );
+}
+
+// Retry due entries. Run by the outbox scheduler.
+async function processOutbox(limit = 100) {
+  const now = new Date();
+  const devices = new Map();
+  let processed = 0;
+
+  while (processed < limit) {
+    const entry = await claimDueEntry(now);
+    if (!entry) break;
+    processed += 1;
+
+    try {
+      const key = `${entry.deviceId}:${entry.alertType === 're_engagement' ? 'any' : 'active'}`;
+      if (!devices.has(key)) devices.set(key, await findEntryDevice(entry));
+      await attemptEntry(entry, devices.get(key));
+    } catch (error) {
+      logger.error(`Error processing outbox entry ${entry._id}:`, error);
+    }
+  }
+
+  if (processed > 0) logger.info(`Processed ${processed} outbox entries`);
+  return processed;
+}
+
+// Send a dead letter again now with a fresh series of attempts. Replays are
+// operator decisions, so the hearing day expiry no longer applies.
+async function replayDeadLetter(id) {
+  const entry = await NotificationOutbox.findOneAndUpdate(
+    { _id: id, status: 'dead' },
+    {
+      $set: {
+        status: 'sending',
+        lockedUntil: new Date(Date.now() + getOutboxConfig().lockMs),
+        nextAttemptAt: new Date(),
+        attemptCount: 0,
+        deadReason: null,
+        deadAt: null,
+        expiresAt: null
+      },
+      $inc: { replayCount: 1 }
+    },
+    { new: true }
+  );
+  if (!entry) return null;
+
+  const device = await findEntryDevice(entry);
+  logger.info(`Replaying dead letter ${entry._id} (${describeEntry(entry)})`);
+  return attemptEntry(entry, device);
+}
+
+// Replay the dead letters matching a filter (deviceId, alertType, deadReason, since)
+async function replayDeadLetters({ deviceId, alertType, deadReason, since } = {}, limit = 100) {
+  const query = { status: 'dead' };
+  if (deviceId) query.deviceId = deviceId;
+  if (alertType) query.alertType = alertType;
+  if (deadReason) query.deadReason = deadReason;
+  if (since) query.deadAt = { $gte: since };
+
+  const entries = await NotificationOutbox.find(query).sort({ deadAt: 1 }).limit(limit).select('_id').lean();
+  const results = [];
+  for (const { _id } of entries) {
+    const result = await replayDeadLetter(_id);
+    if (result) results.push({ id: _id, success: result.success, status: result.status, error: result.error || null });
+  }
+  return results;
+}
+
+// Entry counts by status, and how long the oldest due entry has waited
+async function getOutboxStats() {
+  const [counts, oldestDue] = await Promise.all([
+    NotificationOutbox.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+    NotificationOutbox.findOne({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+      .sort({ nextAttemptAt: 1 })
+      .select('nextAttemptAt')
+      .lean()
+  ]);
+
+  const byStatus = { pending: 0, sending: 0, delivered: 0, dead: 0 };
+  counts.forEach(c => { byStatus[c._id] = c.count; });
+
+  return {
+    ...byStatus,
+    oldestDueAt: oldestDue ? oldestDue.nextAttemptAt : null
+  };
+}
+
+module.exports = {
+  getOutboxConfig,
+  retryDelay,
+  enqueueAlert,
+  processOutbox,
+  replayDeadLetter,
+  replayDeadLetters,
+  getOutboxStats
+};
@@ -0,0 +1,94 @@
+const { NotificationLog, Device } = require('../models');
+const { buildCaseNotification } = require('./fcmService');
+const { canDeliver } = require('./channels');
+const { enqueueAlert } = require('./notificationOutbox');
+const { getDeliveryDecision } = require('./quietHours');
+const { getListDate } = require('./causeListService');
+const logger = require('../config/logger');
+
+// Send a case alert to a device over its notification channels and log
+// it. Delivery goes through the outbox, which retries failed sends. Quiet
+// hours and DND may make the alert silent or hold it for releaseHeldAlerts().
+async function sendCaseAlert(device, caseNumber, alertType, details = {}) {
+  const { notification, data } = buildCaseNotification(caseNumber, alertType, details, device.locale);
+  const decision = getDeliveryDecision(device, alertType);
+
+  const entry = {
+    deviceId: device.deviceId,
+    caseNumber,
+    notificationType: alertType,
+    title: notification.title,
+    message: notification.body,
+    data: details,
+    courtNumber: details.courtNumber,
+    position: details.position
+  };
+
+  if (decision.action === 'hold') {
+    await NotificationLog.create({
+      ...entry,
+      success: false,
+      holdStatus: 'held',
+      heldUntil: decision.until
+    });
+    logger.info(`Held ${alertType} for ${caseNumber} to device ${device.deviceId} until ${decision.until.toISOString()} (${decision.reason})`);
+    return { success: false, held: true, heldUntil: decision.until };
+  }
+
+  // The outbox makes the first attempt now and retries failures
+  const silent = decision.action === 'silent';
+  return enqueueAlert(device, new NotificationLog({ ...entry, silent }), { data, silent });
+}
+
+// Deliver alerts held during quiet hours or DND once they are over.
+// Alerts held past the hearing day they were about are dropped as expired.
+async function releaseHeldAlerts(now = new Date()) {
+  const due = await NotificationLog.find({ holdStatus: 'held', heldUntil: { $lte: now } })
+    .sort({ createdAt: 1 })
+    .limit(200);
+  if (due.length === 0) return 0;
+
+  const devices = await Device.find({ deviceId: { $in: [...new Set(due.map(log => log.deviceId))] }, isActive: true });
+  const byId = new Map(devices.map(device => [device.deviceId, device]));
+  const today = getListDate(now);
+  let released = 0;
+
+  for (const log of due) {
+    try {
+      const device = byId.get(log.deviceId);
+
+      if (!canDeliver(device) || getListDate(log.createdAt) !== today) {
+        log.holdStatus = 'expired';
+        await log.save();
+        continue;
+      }
+
+      // DND extended or another quiet window started: keep holding
+      const decision = getDeliveryDecision(device, log.notificationType, now);
+      if (decision.action === 'hold') {
+        log.heldUntil = decision.until;
+        await log.save();
+        continue;
+      }
+
+      const { data } = buildCaseNotification(log.caseNumber, log.notificationType, log.data || {}, device.locale);
+      const silent = decision.action === 'silent';
+      log.holdStatus = 'released';
+      log.releasedAt = now;
+      log.silent = silent;
+      await enqueueAlert(device, log, { data, silent }, now);
+      released += 1;
+    } catch (error) {
+      logger.error(`Error releasing held notification ${log._id}:`, error);
+    }
+  }
+
+  logger.info(`Released ${released} of ${due.length} held notifications`);
+  return released;
+}
+
+module.exports = {
+  sendCaseAlert,
+  releaseHeldAlerts,
+  canDeliver
+};
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+
+// Notification text catalogue, keyed by alert type and locale.
+// Each locale is a JSON file in NOTIFICATION_TEMPLATES_DIR (default
+// config/templates) mapping alert types to { title, body }. Templates use
+// {placeholder} for alert details (caseNumber, courtNumber, judgeName,
+// position, etaTime, ...) and [[optional part]] for text that is dropped when
+// one of its placeholders has no value; [[part||otherwise]] gives an
+// alternative. Missing types or locales fall back to English, then 'default'.
+const LOCALES = ['en', 'gu', 'hi'];
+const DEFAULT_LOCALE = 'en';
+
+let catalogue = null;
+
+function loadTemplates() {
+  const dir = path.resolve(process.cwd(), process.env.NOTIFICATION_TEMPLATES_DIR || path.join('config', 'templates'));
+  const templates = {};
+
+  LOCALES.forEach(locale => {
+    const file = path.join(dir, `${locale}.json`);
+    try {
+      templates[locale] = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    } catch (error) {
+      logger.error(`Error loading ${locale} notification templates from ${file}:`, error.message);
+      templates[locale] = {};
+    }
+  });
+
+  return templates;
+}
+
+function getTemplates() {
+  if (!catalogue) {
+    catalogue = loadTemplates();
+    logger.info(`Loaded notification templates for ${LOCALES.filter(l => Object.keys(catalogue[l]).length > 0).join(', ')}`);
+  }
+  return catalogue;
+}
+
+// Re-read the template files, e.g. after a translation was edited
+function reloadTemplates() {
+  catalogue = null;
+  return getTemplates();
+}
+
+// 'gu', 'gu-IN' and 'GU' are all Gujarati; null for locales we don't have
+function normalizeLocale(locale) {
+  if (!locale) return null;
+  const language = String(locale).trim().toLowerCase().split(/[-_]/)[0];
+  return LOCALES.includes(language) ? language : null;
+}
+
+const hasValue = (value) => value !== null && value !== undefined && value !== '';
+
+const fillPlaceholders = (text, vars) =>
+  text.replace(/\{(\w+)\}/g, (match, name) => hasValue(vars[name]) ? String(vars[name]) : '');
+
+function renderTemplate(template, vars = {}) {
+  if (!template) return '';
+
+  const withSections = template.replace(/\[\[(.*?)(?:\|\|(.*?))?\]\]/g, (match, part, otherwise = '') => {
+    const names = [...part.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+    return names.every(name => hasValue(vars[name])) ? part : otherwise;
+  });
+
+  return fillPlaceholders(withSections, vars);
+}
+
+// The template of an alert type in a locale, falling back to English and then the default text
+function findTemplate(alertType, locale) {
+  const templates = getTemplates();
+  const candidates = [
+    templates[locale] && templates[locale][alertType],
+    templates[DEFAULT_LOCALE][alertType],
+    templates[locale] && templates[locale].default,
+    templates[DEFAULT_LOCALE].default
+  ];
+  return candidates.find(Boolean) || { title: '{caseNumber}', body: '' };
+}
+
+// Render the title and body of an alert for a locale
+function renderNotification(alertType, locale, vars = {}) {
+  const resolved = normalizeLocale(locale) || DEFAULT_LOCALE;
+  const template = findTemplate(alertType, resolved);
+
+  return {
+    title: renderTemplate(template.title, vars),
+    body: renderTemplate(template.body, vars),
+    locale: resolved
+  };
+}
+
+// Alert types with a template in any locale
+function listAlertTypes() {
+  const templates = getTemplates();
+  const types = new Set();
+  LOCALES.forEach(locale => Object.keys(templates[locale]).forEach(type => types.add(type)));
+  types.delete('default');
+  return [...types].sort();
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  renderTemplate,
+  renderNotification,
+  listAlertTypes,
+  getTemplates,
+  reloadTemplates
+};
@@ -0,0 +1,115 @@
+const { toIst } = require('./courtCalendar');
+
+// Quiet hours and do-not-disturb.
+// A device may set weekly quiet windows (IST, e.g. 13:00-14:00 for client
+// meetings or 20:00-08:00 overnight) and a temporary DND with an expiry.
+// While either is on, normal alerts are delivered silently or held until it
+// ends (Device.quietMode); critical alerts still go out with sound unless the
+// DND was set without allowCritical.
+
+// Alerts about to need the user in court. Everything else is normal priority.
+const CRITICAL_ALERTS = ['approaching', 'in_session', 'resumed', 'passed_over', 'leave_now'];
+
+const getAlertPriority = (alertType) => CRITICAL_ALERTS.includes(alertType) ? 'critical' : 'normal';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return parseInt(hours) * 60 + parseInt(minutes);
+};
+
+// Validate quiet hour windows sent by a client; returns a list of problems
+function validateQuietHours(windows) {
+  if (!Array.isArray(windows)) return ['quietHours must be an array'];
+  if (windows.length > 10) return ['at most 10 quiet hour windows'];
+
+  return windows.flatMap((window, i) => {
+    const errors = [];
+    if (!window || !TIME_PATTERN.test(window.start || '')) errors.push(`quietHours[${i}].start must be HH:MM`);
+    if (!window || !TIME_PATTERN.test(window.end || '')) errors.push(`quietHours[${i}].end must be HH:MM`);
+    if (window && window.start && window.start === window.end) errors.push(`quietHours[${i}] must not be empty`);
+    if (window && window.days !== undefined &&
+      (!Array.isArray(window.days) || window.days.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+      errors.push(`quietHours[${i}].days must be weekdays 0 (Sunday) to 6`);
+    }
+    return errors;
+  });
+}
+
+// End of the quiet window covering `now`, or null. Windows may cross
+// midnight; `days` are the weekdays a window starts on (all when empty).
+function quietWindowEnd(window, now) {
+  if (window.enabled === false) return null;
+
+  const { minutes } = toIst(now);
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+  const days = window.days && window.days.length > 0 ? window.days : null;
+  const startsOn = (offsetDays) => !days || days.includes(toIst(new Date(now.getTime() - offsetDays * 86400000)).weekday);
+
+  let minutesLeft = null;
+  if (start < end) {
+    if (minutes >= start && minutes < end && startsOn(0)) minutesLeft = end - minutes;
+  } else if (minutes >= start && startsOn(0)) {
+    minutesLeft = 1440 - minutes + end;
+  } else if (minutes < end && startsOn(1)) {
+    minutesLeft = end - minutes;
+  }
+
+  if (minutesLeft === null) return null;
+  const endsAt = new Date(now.getTime() + minutesLeft * 60000);
+  endsAt.setSeconds(0, 0);
+  return endsAt;
+}
+
+// Whether the device is in DND or a quiet window, and until when
+function getQuietState(device, now = new Date()) {
+  if (device.dnd && device.dnd.until && new Date(device.dnd.until) > now) {
+    return {
+      quiet: true,
+      reason: 'dnd',
+      until: new Date(device.dnd.until),
+      allowCritical: device.dnd.allowCritical !== false
+    };
+  }
+
+  const ends = (device.quietHours || [])
+    .map(window => quietWindowEnd(window, now))
+    .filter(Boolean);
+  if (ends.length > 0) {
+    return {
+      quiet: true,
+      reason: 'quiet_hours',
+      until: new Date(Math.max(...ends)),
+      allowCritical: true
+    };
+  }
+
+  return { quiet: false, reason: null, until: null, allowCritical: true };
+}
+
+// How to deliver an alert to a device now: 'send', 'silent' or 'hold' (until `until`)
+function getDeliveryDecision(device, alertType, now = new Date()) {
+  const state = getQuietState(device, now);
+  const priority = getAlertPriority(alertType);
+
+  if (!state.quiet || (priority === 'critical' && state.allowCritical)) {
+    return { action: 'send', priority, reason: state.reason };
+  }
+
+  return {
+    action: device.quietMode === 'hold' ? 'hold' : 'silent',
+    priority,
+    reason: state.reason,
+    until: state.until
+  };
+}
+
+module.exports = {
+  CRITICAL_ALERTS,
+  getAlertPriority,
+  validateQuietHours,
+  getQuietState,
+  getDeliveryDecision
+};
@@ -1,148 +1,87 @@
-const axios = require('axios');
-const cheerio = require('cheerio');
 const logger = require('../config/logger');
+const { getAdapter, DEFAULT_COURTHOUSE } = require('./courthouses');
+const { createCircuitBreaker } = require('./circuitBreaker');
+const { fetchRaw } = require('./scraperSource');
+const { recordParseQuality, recordParseFailure } = require('./driftMonitor');
+const { normalizeCaseNumber } = require('./caseNumber');
+
+const RETRIES = parseInt(process.env.SCRAPER_RETRIES) || 2;
+const RETRY_BASE_DELAY = parseInt(process.env.SCRAPER_RETRY_BASE_DELAY) || 1000; // doubled per attempt
+const BREAKER_THRESHOLD = parseInt(process.env.SCRAPER_BREAKER_THRESHOLD) || 3;
+const BREAKER_COOLDOWN = parseInt(process.env.SCRAPER_BREAKER_COOLDOWN) || 60000;
+
+// One circuit breaker per courthouse so an outage at one site doesn't block the others
+const breakers = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function getBreaker(courthouse) {
+  if (!breakers.has(courthouse)) {
+    breakers.set(courthouse, createCircuitBreaker(courthouse, {
+      failureThreshold: BREAKER_THRESHOLD,
+      cooldownMs: BREAKER_COOLDOWN
+    }));
+  }
+  return breakers.get(courthouse);
+}
 
-const BASE = process.env.COURT_BASE_URL || 'https://gujarathighcourt.nic.in/streamingboard/';
-const XHR_URL = process.env.COURT_XHR_URL || `${BASE}indexrequest.php`;
-
-const cleanText = (text) => text ? text.replace(/\s+/g, ' ').trim() : '';
-const isValidValue = (val) => val && val !== '-' && val.trim() !== '';
-
-async function scrapeCourtData() {
-  try {
-    const [xhrResp, pageResp] = await Promise.all([
-      axios.get(XHR_URL, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)',
-          Accept: 'application/json, text/javascript, */*; q=0.01'
-        },
-        timeout: 15000
-      }),
-      axios.get(BASE, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)'
-        },
-        timeout: 15000
-      })
-    ]);
-
-    const xhrData = Array.isArray(xhrResp.data) ? xhrResp.data : JSON.parse(xhrResp.data || '[]');
-    const $ = cheerio.load(pageResp.data || '');
-
-    const courts = [];
-    const scrapedAt = new Date().toISOString();
-
-    for (const row of xhrData) {
-      const courtCode = String(row.courtcode || '').trim();
-      if (!courtCode) continue;
-
-      const cardSelector = `#dv_${courtCode}`;
-      const $card = $(cardSelector);
-
-      let judgeName = '';
-      const catB = $card.find('.card-category b').first();
-      if (catB && catB.length) judgeName = cleanText(catB.text());
-      if (!judgeName) {
-        judgeName = cleanText($card.find('.card-header, .card-title, .card-body').first().text());
-      }
-      judgeName = judgeName.replace('[Live]', '').trim();
-
-      const a = $card.find('a').first();
-      let streamUrl = a && a.attr('href') ? a.attr('href').trim() : null;
-      if (streamUrl && streamUrl.startsWith('/')) {
-        streamUrl = `https://gujarathighcourt.nic.in${streamUrl}`;
-      }
-
-      const judgePhotos = [];
-      $card.find('.photoclass, img').each((i, img) => {
-        const src = $(img).attr('src') || $(img).attr('data-src') || '';
-        if (src) {
-          const absolute = src.startsWith('http') ? src : `https://gujarathighcourt.nic.in/streamingboard/${src.replace(/^\.\//, '')}`;
-          judgePhotos.push(absolute);
-        }
-      });
-
-      const judgeCount = judgePhotos.length;
-      const benchType = judgeCount >= 2 ? 'Division Bench' : 'Single Bench';
-
-      let courtNumber = '';
-      const courtElById = $card.find(`#court_${courtCode}`);
-      if (courtElById && courtElById.length) {
-        courtNumber = cleanText(courtElById.text()).replace(/COURT\s*NO:?/i, '').trim();
-      } else {
-        const possible = $card.find('*').toArray().find(el => /COURT\s*NO[:\s]/i.test($(el).text() || ''));
-        if (possible) courtNumber = cleanText($(possible).text()).replace(/COURT\s*NO:?/i, '').trim();
-      }
-
-      // Get gsrno from XHR data (this is the queue position!)
-      let srNo = cleanText(row.gsrno || '');
-      if (!srNo || srNo === '-') {
-        // Fallback to scraping from page
-        const srEl = $card.find(`#srno_${courtCode}`);
-        if (srEl && srEl.length) srNo = cleanText(srEl.text());
+// Fetch the raw board, retrying with exponential backoff
+async function fetchWithRetry(adapter) {
+  let lastError;
+
+  for (let attempt = 0; attempt <= RETRIES; attempt++) {
+    try {
+      return await fetchRaw(adapter);
+    } catch (err) {
+      lastError = err;
+      if (attempt < RETRIES) {
+        const delay = RETRY_BASE_DELAY * Math.pow(2, attempt);
+        logger.warn(`[${adapter.name}] Fetch attempt ${attempt + 1} failed (${err.message}), retrying in ${delay}ms`);
+        await sleep(delay);
       }
+    }
+  }
 
-      const caseList = cleanText(row.causelisttype || '');
-      const caseFooterText = cleanText(row.caseinfo || '');
-
-      let caseNumber = null;
-      let caseStatus = null;
-      let caseType = null;
-      if (caseFooterText) {
-        if (/COURT\s*SITTING\s*OVER/i.test(caseFooterText)) {
-          caseStatus = 'SITTING_OVER';
-          caseType = 'sitting_over';
-        } else if (caseFooterText.includes('(RECESS)')) {
-          caseStatus = 'RECESS';
-          caseType = 'recess';
-          caseNumber = caseFooterText.replace('(RECESS)', '').trim();
-        } else if (isValidValue(caseFooterText)) {
-          caseStatus = 'IN_SESSION';
-          caseType = 'active';
-          caseNumber = caseFooterText;
-        }
-      }
+  throw lastError;
+}
 
-      let pageNumber = 1;
-      const pageClass = $card.attr('class') || '';
-      const pageMatch = pageClass.match(/page_(\d+)/);
-      if (pageMatch) pageNumber = parseInt(pageMatch[1], 10);
-
-      const isLive = $card.find('.blink_me').length > 0;
-
-      // Parse queue position from srNo
-      let queuePosition = null;
-      if (srNo && srNo !== '-') {
-        // Try to extract number from srNo (e.g., "106" -> 106)
-        const posMatch = srNo.match(/(\d+)/);
-        if (posMatch) {
-          queuePosition = parseInt(posMatch[1], 10);
-        }
-      }
+async function scrapeCourtData(courthouse = DEFAULT_COURTHOUSE) {
+  const adapter = getAdapter(courthouse);
+  const breaker = getBreaker(adapter.name);
+
+  if (!breaker.canRequest()) {
+    const { lastError, retryAt } = breaker.getState();
+    const error = new Error(retryAt
+      ? `Circuit open for ${adapter.name} until ${retryAt.toISOString()}: ${lastError}`
+      : `Circuit half-open for ${adapter.name}, trial request in flight: ${lastError}`);
+    error.code = 'CIRCUIT_OPEN';
+    throw error;
+  }
 
-      courts.push({
-        id: courtCode,
-        judgeName,
-        judgeCount,
-        benchType,
-        isLive,
-        courtNumber,
-        courtNumberShort: courtNumber,
-        srNo: srNo || null,
-        gsrno: srNo || null, // Keep both for compatibility
-        queuePosition: queuePosition, // Parsed numeric position
-        caseList: caseList || null,
-        caseNumber,
-        caseStatus,
-        caseType,
-        streamUrl,
-        judgePhotos,
-        hasStream: !!streamUrl,
-        isActive: isLive || caseStatus === 'IN_SESSION' || caseStatus === 'RECESS',
-        pageNumber,
-        scrapedAt
-      });
+  try {
+    // Only upstream fetch failures count towards the breaker, not parse errors
+    const raw = await fetchWithRetry(adapter).catch(err => {
+      breaker.recordFailure(err);
+      throw err;
+    });
+    breaker.recordSuccess();
+
+    let board;
+    try {
+      board = adapter.parse(raw);
+    } catch (error) {
+      recordParseFailure(adapter.name, error);
+      throw error;
     }
+    const drift = recordParseQuality(adapter.name, board.quality);
+
+    const scrapedAt = new Date().toISOString();
+    const courts = board.courts.map(court => ({
+      ...court,
+      caseKey: normalizeCaseNumber(court.caseNumber),
+      courthouse: adapter.name,
+      scrapedAt
+    }));
 
     courts.sort((a, b) => {
       const numA = parseInt(a.courtNumberShort) || 9999;
@@ -172,23 +111,37 @@ async function scrapeCourtData() {
       byListType[listType].push(c);
     });
 
-    logger.info(`Scraped ${courts.length} courts successfully (${stats.withQueuePosition} with queue positions)`);
+    logger.info(`[${adapter.name}] Scraped ${courts.length} courts successfully (${stats.withQueuePosition} with queue positions)`);
 
     return {
       success: true,
+      courthouse: adapter.name,
+      source: raw.source,
+      capturedAt: raw.capturedAt || null,
       scrapedAt,
-      currentDate: $('#currdate').val() || null,
+      currentDate: board.currentDate || null,
       summary: stats,
+      parseQuality: drift ? { score: drift.score, drift: drift.drift, issues: drift.issues } : null,
       groupedByListType: byListType,
       courts
     };
 
   } catch (err) {
-    logger.error('Scraping error:', err.message);
+    logger.error(`[${adapter.name}] Scraping error:`, err.message);
     throw err;
   }
 }
 
+// Circuit breaker state per courthouse
+function getBreakerStatus() {
+  const status = {};
+  breakers.forEach((breaker, courthouse) => {
+    status[courthouse] = breaker.getState();
+  });
+  return status;
+}
+
 module.exports = {
-  scrapeCourtData
+  scrapeCourtData,
+  getBreakerStatus
 };
\ No newline at end of file
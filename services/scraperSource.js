@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+
+// Where the scraper reads raw board payloads from:
+//   live    - the courthouse adapter's upstream site (default)
+//   fixture - a fixed recording: <SCRAPER_FIXTURE_DIR>/<courthouse>/xhr.json + board.html
+//   replay  - a recorded sequence: <SCRAPER_CAPTURE_DIR>/<courthouse>/<epochMs>.json,
+//             played back at SCRAPER_REPLAY_SPEED (2 = twice as fast as recorded)
+// With SCRAPER_RECORD=true, every live fetch is also saved to SCRAPER_CAPTURE_DIR.
+const getMode = () => (process.env.SCRAPER_SOURCE || 'live').toLowerCase();
+const getFixtureDir = () => path.resolve(process.cwd(), process.env.SCRAPER_FIXTURE_DIR || 'fixtures');
+const getCaptureDir = () => path.resolve(process.cwd(), process.env.SCRAPER_CAPTURE_DIR || 'captures');
+const getReplaySpeed = () => parseFloat(process.env.SCRAPER_REPLAY_SPEED) || 1;
+const isRecording = () => process.env.SCRAPER_RECORD === 'true';
+const isReplayLoop = () => process.env.SCRAPER_REPLAY_LOOP === 'true';
+
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Replay progress per courthouse
+const replays = new Map();
+
+async function readFixture(adapter) {
+  const dir = path.join(getFixtureDir(), slugify(adapter.name));
+
+  const [xhr, html] = await Promise.all([
+    fs.promises.readFile(path.join(dir, 'xhr.json'), 'utf8'),
+    fs.promises.readFile(path.join(dir, 'board.html'), 'utf8')
+  ]);
+
+  return { xhr: JSON.parse(xhr), html, source: 'fixture' };
+}
+
+async function loadReplay(adapter) {
+  const dir = path.join(getCaptureDir(), slugify(adapter.name));
+  const files = (await fs.promises.readdir(dir))
+    .filter(file => /^\d+\.json$/.test(file))
+    .sort((a, b) => parseInt(a) - parseInt(b));
+
+  if (files.length === 0) {
+    throw new Error(`No captures found for replay in ${dir}`);
+  }
+
+  logger.info(`[${adapter.name}] Replaying ${files.length} captures from ${dir} at ${getReplaySpeed()}x`);
+
+  return {
+    dir,
+    files,
+    firstCapturedAt: parseInt(files[0]),
+    startedAt: Date.now(),
+    index: 0
+  };
+}
+
+// Pick the latest capture whose recorded offset has elapsed on the replay clock
+async function readReplay(adapter) {
+  if (!replays.has(adapter.name)) {
+    replays.set(adapter.name, await loadReplay(adapter));
+  }
+  const replay = replays.get(adapter.name);
+
+  const lastOffset = parseInt(replay.files[replay.files.length - 1]) - replay.firstCapturedAt;
+  let elapsed = (Date.now() - replay.startedAt) * getReplaySpeed();
+
+  if (isReplayLoop() && lastOffset > 0 && elapsed > lastOffset) {
+    elapsed = elapsed % lastOffset;
+  }
+
+  let index = 0;
+  while (
+    index + 1 < replay.files.length &&
+    parseInt(replay.files[index + 1]) - replay.firstCapturedAt <= elapsed
+  ) {
+    index++;
+  }
+  replay.index = index;
+
+  const content = await fs.promises.readFile(path.join(replay.dir, replay.files[index]), 'utf8');
+  const capture = JSON.parse(content);
+
+  return {
+    xhr: capture.xhr,
+    html: capture.html,
+    source: 'replay',
+    capturedAt: capture.capturedAt
+  };
+}
+
+async function recordCapture(adapter, raw) {
+  try {
+    const dir = path.join(getCaptureDir(), slugify(adapter.name));
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const capturedAt = Date.now();
+    await fs.promises.writeFile(
+      path.join(dir, `${capturedAt}.json`),
+      JSON.stringify({
+        courthouse: adapter.name,
+        capturedAt: new Date(capturedAt).toISOString(),
+        xhr: raw.xhr,
+        html: raw.html
+      })
+    );
+  } catch (error) {
+    // A failed recording must never break live scraping
+    logger.warn(`[${adapter.name}] Failed to record capture: ${error.message}`);
+  }
+}
+
+// Fetch the raw board for an adapter from the configured source
+async function fetchRaw(adapter) {
+  switch (getMode()) {
+    case 'fixture':
+      return readFixture(adapter);
+
+    case 'replay':
+      return readReplay(adapter);
+
+    default: {
+      const raw = await adapter.fetch();
+      if (isRecording()) {
+        await recordCapture(adapter, raw);
+      }
+      return { ...raw, source: 'live' };
+    }
+  }
+}
+
+// Reset replay clocks so the next fetch starts from the first capture
+function restartReplay() {
+  replays.clear();
+}
+
+function getSourceStatus() {
+  const status = {
+    mode: getMode(),
+    recording: getMode() === 'live' && isRecording()
+  };
+
+  if (getMode() === 'fixture') {
+    status.fixtureDir = getFixtureDir();
+  }
+  if (getMode() === 'replay' || status.recording) {
+    status.captureDir = getCaptureDir();
+  }
+  if (getMode() === 'replay') {
+    status.speed = getReplaySpeed();
+    status.loop = isReplayLoop();
+    status.replays = {};
+    replays.forEach((replay, courthouse) => {
+      status.replays[courthouse] = {
+        position: replay.index + 1,
+        total: replay.files.length,
+        capturedAt: new Date(parseInt(replay.files[replay.index])).toISOString()
+      };
+    });
+  }
+
+  return status;
+}
+
+module.exports = {
+  fetchRaw,
+  restartReplay,
+  getSourceStatus
+};
@@ -0,0 +1,180 @@
+const { CaseHistory } = require('../models');
+const { DEFAULT_COURTHOUSE } = require('./courthouses');
+const { normalizeCaseNumber } = require('./caseNumber');
+const logger = require('../config/logger');
+
+// Case history as state intervals.
+// Rather than a document per scrape, each court keeps one open CaseHistory
+// entry (entryType 'state') for as long as its case, status and serial stay
+// the same: firstSeen is when that state appeared, lastSeen when it was last
+// confirmed. A change on the board closes the interval and opens the next.
+
+// An interval not confirmed for this long is not extended; the state is
+// recorded again as a new interval (scraper outages, nights)
+const getMaxGap = () => parseInt(process.env.CASE_HISTORY_MAX_GAP) || 600000; // 10 minutes
+
+// lastSeen of open intervals is written at most this often; closing an
+// interval always writes its final lastSeen
+const getTouchInterval = () => parseInt(process.env.CASE_HISTORY_TOUCH_INTERVAL) || 60000;
+
+// Open intervals per courthouse, keyed by court id
+const openIntervals = new Map();
+
+// Courthouses whose open intervals were reloaded from the database
+const restored = new Set();
+
+// What makes two board rows the same state
+function stateSignature(court) {
+  return [
+    court.caseKey || normalizeCaseNumber(court.caseNumber) || court.caseNumber,
+    court.courtNumber,
+    court.caseStatus,
+    court.queuePosition === null || court.queuePosition === undefined ? '' : court.queuePosition
+  ].join('|');
+}
+
+function intervalsFor(courthouse) {
+  if (!openIntervals.has(courthouse)) openIntervals.set(courthouse, new Map());
+  return openIntervals.get(courthouse);
+}
+
+// Pick up intervals left open by a previous process so a restart doesn't split them
+async function restoreOpenIntervals(courthouse, at) {
+  if (restored.has(courthouse)) return;
+  restored.add(courthouse);
+
+  const docs = await CaseHistory.find({
+    entryType: 'state',
+    courthouse,
+    courtId: { $ne: null },
+    lastSeen: { $gte: new Date(at - getMaxGap()) }
+  })
+    .sort({ lastSeen: 1 })
+    .lean();
+
+  // The latest interval of each court is the open one
+  const intervals = intervalsFor(courthouse);
+  docs.forEach(doc => {
+    intervals.set(doc.courtId, {
+      historyId: doc._id,
+      signature: stateSignature({
+        caseKey: doc.caseKey,
+        caseNumber: doc.caseNumber,
+        courtNumber: doc.courtNumber,
+        caseStatus: doc.status,
+        queuePosition: doc.position
+      }),
+      lastSeen: doc.lastSeen,
+      writtenLastSeen: doc.lastSeen
+    });
+  });
+
+  if (intervals.size > 0) {
+    logger.info(`[${courthouse}] Restored ${intervals.size} open case history intervals`);
+  }
+}
+
+function buildEntry(courthouse, court, at) {
+  return {
+    entryType: 'state',
+    caseNumber: court.caseNumber,
+    caseKey: court.caseKey || normalizeCaseNumber(court.caseNumber),
+    courthouse,
+    courtId: court.id,
+    courtNumber: court.courtNumber,
+    judgeName: court.judgeName,
+    benchType: court.benchType,
+    caseList: court.caseList,
+    status: court.caseStatus,
+    position: court.queuePosition,
+    gsrno: court.gsrno,
+    streamUrl: court.streamUrl,
+    isLive: court.isLive,
+    scrapedAt: at,
+    firstSeen: at,
+    lastSeen: at
+  };
+}
+
+// Save case history for the board. Board event consumer; runs on every board
+// because unchanged courts still move their interval's lastSeen forward.
+async function saveCaseHistory(courtData) {
+  const courthouse = courtData.courthouse || DEFAULT_COURTHOUSE;
+  const at = new Date(courtData.scrapedAt);
+
+  try {
+    await restoreOpenIntervals(courthouse, at);
+
+    const intervals = intervalsFor(courthouse);
+    const touchInterval = getTouchInterval();
+    const seen = new Set();
+    const updates = [];
+    const opened = [];
+
+    // Write an interval's final lastSeen if it hasn't been written yet
+    const close = (courtId, interval) => {
+      intervals.delete(courtId);
+      if (interval.lastSeen > interval.writtenLastSeen) {
+        updates.push({ updateOne: { filter: { _id: interval.historyId }, update: { $set: { lastSeen: interval.lastSeen } } } });
+      }
+    };
+
+    for (const court of courtData.courts) {
+      if (!court.caseNumber) continue;
+      seen.add(court.id);
+
+      const signature = stateSignature(court);
+      const interval = intervals.get(court.id);
+
+      if (interval && interval.signature === signature && at - interval.lastSeen <= getMaxGap()) {
+        interval.lastSeen = at;
+        if (at - interval.writtenLastSeen >= touchInterval) {
+          interval.writtenLastSeen = at;
+          updates.push({ updateOne: { filter: { _id: interval.historyId }, update: { $set: { lastSeen: at } } } });
+        }
+        continue;
+      }
+
+      if (interval) close(court.id, interval);
+      opened.push({ courtId: court.id, signature, entry: buildEntry(courthouse, court, at) });
+    }
+
+    // Courts that no longer show a case
+    for (const [courtId, interval] of [...intervals]) {
+      if (!seen.has(courtId)) close(courtId, interval);
+    }
+
+    if (updates.length > 0) {
+      await CaseHistory.bulkWrite(updates, { ordered: false });
+    }
+
+    if (opened.length > 0) {
+      const docs = await CaseHistory.insertMany(opened.map(o => o.entry), { ordered: true });
+      docs.forEach((doc, i) => {
+        intervals.set(opened[i].courtId, {
+          historyId: doc._id,
+          signature: opened[i].signature,
+          lastSeen: at,
+          writtenLastSeen: at
+        });
+      });
+      logger.info(`[${courthouse}] Opened ${opened.length} case history intervals`);
+    }
+  } catch (error) {
+    logger.error('Error saving case history:', error);
+  }
+}
+
+function getOpenIntervalCount() {
+  const counts = {};
+  openIntervals.forEach((intervals, courthouse) => {
+    counts[courthouse] = intervals.size;
+  });
+  return counts;
+}
+
+module.exports = {
+  stateSignature,
+  saveCaseHistory,
+  getOpenIntervalCount
+};
@@ -0,0 +1,165 @@
+const { Watchlist, Device } = require('../models');
+const { sendCaseAlert, canDeliver } = require('./notificationService');
+const { sendDeviceUpdate } = require('./websocketService');
+const logger = require('../config/logger');
+
+// Court and judge watches.
+// Instead of one case these follow a courtroom (targetType 'court', target = court number)
+// or a judge (targetType 'judge', target = judge name, matched against every bench they sit on).
+// They are alerted from board events rather than the case state machine.
+
+// Board event -> alert type and the notificationSettings toggle for it
+const TARGET_ALERTS = {
+  court_sitting: { alertType: 'court_sitting', setting: 'courtSitting' },
+  serial_advanced: { alertType: 'serial_crossed', setting: 'serialCrossed' },
+  list_changed: { alertType: 'list_changed', setting: 'listChanged' },
+  judge_changed: { alertType: 'bench_changed', setting: 'benchChanged' },
+  stream_went_live: { alertType: 'stream_live', setting: 'streamLive' }
+};
+
+// Titles and honorifics that vary between boards, cause lists and users
+const JUDGE_TITLES = /\b(HON'?BLE|HONOURABLE|HONORABLE|THE|CHIEF|MR|MRS|MS|DR|JUSTICE|JUDGE)\b\.?/g;
+
+function normalizeJudgeName(name) {
+  return String(name || '')
+    .toUpperCase()
+    .replace(/[.,]/g, ' ')
+    .replace(JUDGE_TITLES, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Split a bench ("JUSTICE A and JUSTICE B") into its judges
+function benchJudges(judgeName) {
+  return String(judgeName || '')
+    .split(/\s+(?:AND|&)\s+|,\s*(?=(?:HON|JUSTICE))/i)
+    .map(normalizeJudgeName)
+    .filter(Boolean);
+}
+
+// Watch label used as its caseNumber, which keeps one watch per target per device
+function targetLabel(targetType, target) {
+  return targetType === 'court' ? `COURT:${target}` : `JUDGE:${normalizeJudgeName(target)}`;
+}
+
+// Human readable target for notification titles
+function targetTitle(watch) {
+  return watch.targetType === 'court'
+    ? `Court ${watch.target}`
+    : `Justice ${watch.targetKey || normalizeJudgeName(watch.target)}`;
+}
+
+// A surname alone matches any judge with that surname
+function benchIncludes(judgeName, wanted) {
+  return benchJudges(judgeName).some(judge => judge === wanted || judge.endsWith(` ${wanted}`));
+}
+
+function watchMatchesEvent(watch, event) {
+  if (watch.targetType === 'court') {
+    return String(event.courtNumber) === String(watch.target);
+  }
+
+  const wanted = watch.targetKey || normalizeJudgeName(watch.target);
+  return [event.current, event.previous]
+    .filter(Boolean)
+    .some(state => benchIncludes(state.judgeName, wanted));
+}
+
+// Board rows a court or judge watch is following right now
+function findTargetCourts(watch, courts) {
+  if (watch.targetType === 'court') {
+    return courts.filter(c => String(c.courtNumber) === String(watch.target));
+  }
+  const wanted = watch.targetKey || normalizeJudgeName(watch.target);
+  return courts.filter(c => benchIncludes(c.judgeName, wanted));
+}
+
+// Serial alerts only fire when the board crosses the watch's threshold
+function crossesThreshold(watch, event) {
+  const threshold = watch.targetOptions && watch.targetOptions.serialThreshold;
+  if (!threshold || !event.previous || !event.current) return false;
+  return event.previous.queuePosition < threshold && event.current.queuePosition >= threshold;
+}
+
+function buildDetails(watch, event) {
+  const current = event.current || {};
+  const previous = event.previous || {};
+
+  return {
+    courtNumber: event.courtNumber,
+    judgeName: current.judgeName || previous.judgeName || '',
+    previousJudgeName: previous.judgeName,
+    caseList: current.caseList,
+    previousCaseList: previous.caseList,
+    serialNumber: current.queuePosition,
+    serialThreshold: watch.targetOptions ? watch.targetOptions.serialThreshold : null,
+    currentCase: current.caseNumber,
+    streamUrl: current.streamUrl || ''
+  };
+}
+
+// Board event consumer: alert court and judge watches about their courtroom
+async function processTargetWatches(courtData, events) {
+  try {
+    const relevant = (events || []).filter(event => TARGET_ALERTS[event.type] && !event.baseline);
+    if (relevant.length === 0) return;
+
+    const watches = await Watchlist.find({
+      isActive: true,
+      courthouse: courtData.courthouse,
+      targetType: { $in: ['court', 'judge'] }
+    });
+    if (watches.length === 0) return;
+
+    for (const watch of watches) {
+      for (const event of relevant) {
+        if (!watchMatchesEvent(watch, event)) continue;
+        if (event.type === 'serial_advanced' && !crossesThreshold(watch, event)) continue;
+
+        const { alertType, setting } = TARGET_ALERTS[event.type];
+        if (watch.notificationSettings && watch.notificationSettings[setting] === false) continue;
+
+        try {
+          await sendTargetAlert(watch, alertType, buildDetails(watch, event));
+        } catch (error) {
+          logger.error(`Error alerting ${watch.targetType} watch ${watch._id}:`, error);
+        }
+      }
+    }
+  } catch (error) {
+    logger.error('Error in processTargetWatches:', error);
+  }
+}
+
+async function sendTargetAlert(watch, alertType, details) {
+  const { deviceId } = watch;
+  const title = targetTitle(watch);
+
+  sendDeviceUpdate(deviceId, {
+    type: alertType,
+    targetType: watch.targetType,
+    target: watch.target,
+    watchId: watch._id,
+    ...details
+  });
+
+  const device = await Device.findOne({ deviceId, isActive: true });
+  if (!canDeliver(device)) {
+    logger.warn(`Device ${deviceId} not found or has no delivery channel`);
+    return;
+  }
+
+  await sendCaseAlert(device, title, alertType, details);
+
+  watch.lastNotificationTime = new Date();
+  await watch.save();
+  logger.info(`Sent ${alertType.toUpperCase()} alert for ${title} to device ${deviceId}`);
+}
+
+module.exports = {
+  TARGET_ALERTS,
+  normalizeJudgeName,
+  targetLabel,
+  findTargetCourts,
+  processTargetWatches
+};
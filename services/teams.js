@@ -0,0 +1,71 @@
+const { Team, Device } = require('../models');
+const { createDeviceSecret, hashSecret, verifySecret } = require('./deviceAuth');
+const logger = require('../config/logger');
+
+// Teams.
+// The first device to name a new teamId creates the team and receives its
+// secret; other devices join by presenting it (teamSecret on
+// /device/register). Teams formed before secrets existed have no Team
+// document yet: a member issues the secret with POST /device/:deviceId/team/secret,
+// which also rotates the secret of an existing team.
+
+// Put a device (unsaved document) in a team, or take it out with a null
+// teamId. Returns { teamSecret } when the device created the team, or
+// { error } when it may not join.
+async function joinTeam(device, teamId, teamSecret) {
+  if (!teamId) {
+    device.teamId = null;
+    return {};
+  }
+  if (teamId === device.teamId) return {};
+
+  const team = await Team.findOne({ teamId }).select('+secretHash');
+  if (team) {
+    if (!verifySecret(team.secretHash, teamSecret)) {
+      return { error: 'Joining this team takes its secret (teamSecret); ask a member for it' };
+    }
+    device.teamId = teamId;
+    return {};
+  }
+
+  // Formed before team secrets: only its members can issue one
+  const member = await Device.exists({ teamId, deviceId: { $ne: device.deviceId } });
+  if (member) {
+    return { error: 'This team has no secret yet; a member can issue one with POST /device/:deviceId/team/secret' };
+  }
+
+  const secret = createDeviceSecret();
+  try {
+    await Team.create({ teamId, secretHash: hashSecret(secret), createdBy: device.deviceId });
+  } catch (error) {
+    // Someone else created it first
+    if (error.code === 11000) return joinTeam(device, teamId, teamSecret);
+    throw error;
+  }
+
+  device.teamId = teamId;
+  logger.info(`Device ${device.deviceId} created team ${teamId}`);
+  return { teamSecret: secret };
+}
+
+// Issue a new secret for the device's team; the old one stops working
+async function rotateTeamSecret(device) {
+  const secret = createDeviceSecret();
+  const now = new Date();
+  await Team.updateOne(
+    { teamId: device.teamId },
+    {
+      $set: { secretHash: hashSecret(secret), secretRotatedAt: now },
+      $setOnInsert: { createdBy: device.deviceId }
+    },
+    { upsert: true }
+  );
+
+  logger.info(`Device ${device.deviceId} issued a new secret for team ${device.teamId}`);
+  return secret;
+}
+
+module.exports = {
+  joinTeam,
+  rotateTeamSecret
+};
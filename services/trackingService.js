@@ -1,5 +1,23 @@
-const { Watchlist, CaseHistory, CaseStatistics, Device } = require('../models');
-const { sendCaseAlert } = require('./fcmService');
+const { Watchlist, CaseHistory, CaseStatistics, Device, WatchTransition } = require('../models');
+const { sendCaseAlert, canDeliver } = require('./notificationService');
+const { DEFAULT_COURTHOUSE } = require('./courthouses');
+const { normalizeCaseNumber, isSameCase, caseQuery } = require('./caseNumber');
+const {
+  getListDate,
+  getCauseList,
+  getCauseListsForDay,
+  findCaseInCauseLists,
+  getQueuePosition,
+  buildQueue
+} = require('./causeListService');
+const { getThroughput, predictEta } = require('./etaService');
+const { formatIstTime } = require('./courtCalendar');
+const { nextState, shouldNotify, getEarlyWarningCount } = require('./watchStateMachine');
+const { evaluateRules } = require('./alertRules');
+const { findTargetCourts } = require('./targetWatchService');
+const { recordHearingWindow, checkConflicts } = require('./conflictService');
+const { sendDeviceUpdate } = require('./websocketService');
+const { dispatchWebhookEvents, transitionEvent } = require('./webhookService');
 const logger = require('../config/logger');
 
 // Parse case number to extract court and position if in format COURT:1:7
@@ -37,6 +55,15 @@ function parseCaseIdentifier(caseIdentifier) {
   };
 }
 
+// Find the court hearing a case: verbatim or by canonical key
+function findCourtByCaseNumber(courts, caseNumber) {
+  const key = normalizeCaseNumber(caseNumber);
+
+  return courts.find(c =>
+    c.caseNumber === caseNumber || (key && isSameCase(c.caseKey || c.caseNumber, key))
+  );
+}
+
 // Find case in courts array based on identifier
 function findCaseInCourts(courts, identifier) {
   const parsed = parseCaseIdentifier(identifier);
@@ -49,173 +76,637 @@ function findCaseInCourts(courts, identifier) {
     );
   } else if (parsed.type === 'caseNumber' && parsed.courtNumber) {
     // Find by court number and case number (strip COURT: prefix)
-    return courts.find(c => 
-      c.courtNumber === parsed.courtNumber && 
-      c.caseNumber === parsed.caseNumber
+    return findCourtByCaseNumber(
+      courts.filter(c => c.courtNumber === parsed.courtNumber),
+      parsed.caseNumber
     );
   } else {
     // Find by case number only
-    return courts.find(c => c.caseNumber === parsed.caseNumber);
+    return findCourtByCaseNumber(courts, parsed.caseNumber);
+  }
+}
+
+// Latest watch summary per courthouse, used by the scrape scheduler
+const trackingSummaries = new Map();
+
+// Current rows of the courts that changed in this scrape, with the event types that changed them
+function getChangedCourts(courts, events) {
+  const typesById = new Map();
+  events.forEach(event => {
+    if (!typesById.has(event.courtId)) typesById.set(event.courtId, []);
+    typesById.get(event.courtId).push(event.type);
+  });
+
+  return courts
+    .filter(court => typesById.has(court.id))
+    .map(court => ({ court, types: typesById.get(court.id) }));
+}
+
+// Stage timings of the last pipeline runs per courthouse, for scraper status
+const pipelineTimings = new Map();
+
+// Times consecutive stages of one pipeline run
+function startStageTimer() {
+  const startedAt = Date.now();
+  let last = startedAt;
+  const stages = {};
+
+  return {
+    mark(stage) {
+      const now = Date.now();
+      stages[stage] = (stages[stage] || 0) + (now - last);
+      last = now;
+    },
+    finish(extra = {}) {
+      return { ...extra, stages, totalMs: Date.now() - startedAt, at: new Date() };
+    }
+  };
+}
+
+function recordPipelineRun(courthouse, pipeline, run) {
+  if (!pipelineTimings.has(courthouse)) pipelineTimings.set(courthouse, {});
+  pipelineTimings.get(courthouse)[pipeline] = run;
+}
+
+function getPipelineStatus() {
+  return Object.fromEntries(pipelineTimings);
+}
+
+// Per-pass state of the tracking pipeline: the devices of every watch, loaded
+// up front, and the watch changes and transitions to write back in one go
+async function createBatch(watches) {
+  const deviceIds = [...new Set(watches.map(watch => watch.deviceId))];
+  const devices = deviceIds.length > 0
+    ? await Device.find({ deviceId: { $in: deviceIds }, isActive: true })
+    : [];
+
+  return {
+    devices: new Map(devices.map(device => [device.deviceId, device])),
+    dirty: new Set(),
+    transitions: [],
+    webhookEvents: []
+  };
+}
+
+// Device to notify for a watch, or null (with a warning) when it can't be
+function getBatchDevice(batch, deviceId) {
+  const device = batch.devices.get(deviceId);
+  if (!canDeliver(device)) {
+    logger.warn(`Device ${deviceId} not found or has no delivery channel`);
+    return null;
+  }
+  return device;
+}
+
+// Write the pass: changed watches in one bulkWrite, transitions in one insert,
+// then hand the transitions to webhook endpoints. Alerts for this pass have
+// already gone out, so one bad watch must not lose the state of the others:
+// watches failing validation are logged and left out, and the transitions
+// and webhooks are written whatever happened to the watches.
+async function flushBatch(batch) {
+  const watches = [];
+  for (const watch of batch.dirty) {
+    try {
+      await watch.validate();
+      watches.push(watch);
+    } catch (error) {
+      logger.error(`Not saving invalid watch ${watch._id}: ${error.message}`);
+    }
+  }
+
+  let savedWatches = 0;
+  if (watches.length > 0) {
+    try {
+      await Watchlist.bulkSave(watches);
+      savedWatches = watches.length;
+    } catch (error) {
+      logger.error(`Error saving ${watches.length} watches:`, error);
+    }
   }
+
+  let savedTransitions = 0;
+  if (batch.transitions.length > 0) {
+    try {
+      const inserted = await WatchTransition.insertMany(batch.transitions, { ordered: false });
+      savedTransitions = inserted.length;
+    } catch (error) {
+      savedTransitions = error.insertedDocs ? error.insertedDocs.length : 0;
+      logger.error(`Error saving watch transitions (${savedTransitions} of ${batch.transitions.length} saved):`, error);
+    }
+  }
+
+  const webhooks = await dispatchWebhookEvents(batch.webhookEvents);
+  return { savedWatches, savedTransitions, webhooks };
 }
 
-// Track case status changes and send notifications
-async function processCaseUpdates(courtData) {
+const isTargetWatch = (watch) => watch.targetType === 'court' || watch.targetType === 'judge';
+
+// Track case status changes and send notifications.
+// Board event consumer: positions only move when the board changed.
+// Runs as a pipeline over all watches of the courthouse at once:
+//   load    - watches, their devices and today's cause lists
+//   observe - where each watched case is, once per case
+//   alerts  - state machines, leave-now and rules; notifications go out here
+//   write   - changed watches and transitions, in bulk
+async function processCaseUpdates(courtData, events = null) {
   try {
     const { courts, scrapedAt } = courtData;
-    
-    // Get all active watchlists
-    const watchlists = await Watchlist.find({ isActive: true });
-    
-    if (watchlists.length === 0) {
-      logger.info('No active watchlists to process');
+    const courthouse = courtData.courthouse || DEFAULT_COURTHOUSE;
+
+    // Nothing moved on the board, but leave-now is timed on the clock
+    if (events && events.length === 0) {
+      logger.debug(`No board changes for ${courthouse}, checking leave-now alerts only`);
+      await processLeaveNow(courts, courthouse);
       return;
     }
 
-    logger.info(`Processing ${watchlists.length} active watchlists`);
+    const timer = startStageTimer();
+
+    // Case watches, plus court and judge watches that carry alert rules;
+    // the built-in alerts of the latter come from targetWatchService
+    const watchlists = await Watchlist.find({
+      isActive: true,
+      courthouse,
+      $or: [
+        { targetType: { $nin: ['court', 'judge'] } },
+        { 'rules.0': { $exists: true } }
+      ]
+    });
+    const caseWatches = watchlists.filter(watch => !isTargetWatch(watch));
+    const ruleWatches = watchlists.filter(watch => isTargetWatch(watch));
 
-    // Group courts by court number for better tracking
-    const courtsByCourt = {};
-    courts.forEach(court => {
-      if (!courtsByCourt[court.courtNumber]) {
-        courtsByCourt[court.courtNumber] = [];
-      }
-      courtsByCourt[court.courtNumber].push(court);
+    const batch = await createBatch(watchlists);
+    // Today's cause lists give the real order of matters per court
+    const causeLists = caseWatches.length > 0 ? await getCauseListsForDay(courthouse) : {};
+    timer.mark('load');
+
+    const courtsByCourt = groupByCourt(courts);
+
+    // Watches of the same case share one look at the board
+    const watchesByCase = new Map();
+    caseWatches.forEach(watch => {
+      if (!watchesByCase.has(watch.caseNumber)) watchesByCase.set(watch.caseNumber, []);
+      watchesByCase.get(watch.caseNumber).push(watch);
     });
 
-    // Process each watchlist
-    for (const watch of watchlists) {
+    const observed = new Map();
+    watchesByCase.forEach((watches, caseNumber) => {
+      observed.set(caseNumber, observeWatch(caseNumber, courts, courtsByCourt, causeLists));
+    });
+    timer.mark('observe');
+
+    // Alert rules of court and judge watches, evaluated against the courts they follow
+    await processTargetRules(ruleWatches, courts, batch);
+
+    const positions = [];
+    for (const watch of caseWatches) {
       try {
-        await processWatchlistItem(watch, courts, courtsByCourt, scrapedAt);
+        const position = await processWatchlistItem(watch, observed.get(watch.caseNumber), batch);
+        if (position !== null && position !== undefined) positions.push(position);
       } catch (error) {
         logger.error(`Error processing watchlist ${watch._id}:`, error);
       }
     }
+    timer.mark('alerts');
+
+    // With every case of this board placed, look across each device's watches
+    if (caseWatches.length > 0) {
+      await checkConflicts(caseWatches.map(watch => watch.deviceId));
+    }
+    timer.mark('conflicts');
+
+    const written = await flushBatch(batch);
+    timer.mark('write');
 
-    // Save case history
-    await saveCaseHistory(courts, scrapedAt);
+    recordPipelineRun(courthouse, 'tracking', timer.finish({
+      watches: watchlists.length,
+      cases: watchesByCase.size,
+      devices: batch.devices.size,
+      ...written
+    }));
 
-    // Update case statistics
-    await updateCaseStatistics(courts);
+    if (caseWatches.length === 0) {
+      logger.info(`No active watchlists to process for ${courthouse}`);
+    } else {
+      logger.info(`Processed ${caseWatches.length} active watchlists (${watchesByCase.size} cases) for ${courthouse}`);
+    }
 
+    trackingSummaries.set(courthouse, {
+      activeWatches: caseWatches.length,
+      nearestPosition: positions.length > 0 ? Math.min(...positions) : null,
+      updatedAt: new Date()
+    });
   } catch (error) {
     logger.error('Error in processCaseUpdates:', error);
   }
 }
 
-// Process individual watchlist item
-async function processWatchlistItem(watch, courts, courtsByCourt, scrapedAt) {
-  const { deviceId, caseNumber, notificationSettings, lastNotificationSent } = watch;
+// Group courts by court number for better tracking
+function groupByCourt(courts) {
+  const courtsByCourt = {};
+  courts.forEach(court => {
+    if (!courtsByCourt[court.courtNumber]) {
+      courtsByCourt[court.courtNumber] = [];
+    }
+    courtsByCourt[court.courtNumber].push(court);
+  });
+  return courtsByCourt;
+}
 
-  logger.info(`Processing watchlist for case: ${caseNumber}`);
+// Leave-now pass for a scrape without board changes: positions are as they
+// were, so only the alert that depends on the time of day can become due.
+async function processLeaveNow(courts, courthouse) {
+  const watches = await Watchlist.find({
+    isActive: true,
+    courthouse,
+    targetType: { $nin: ['court', 'judge'] },
+    'notificationSettings.leaveNow': { $ne: false }
+  });
+  if (watches.length === 0) return;
+
+  const batch = await createBatch(watches);
+  const causeLists = await getCauseListsForDay(courthouse);
+  const courtsByCourt = groupByCourt(courts);
+
+  const observed = new Map();
+  for (const watch of watches) {
+    try {
+      if (!observed.has(watch.caseNumber)) {
+        observed.set(watch.caseNumber, observeWatch(watch.caseNumber, courts, courtsByCourt, causeLists));
+      }
+      const { court, position } = observed.get(watch.caseNumber);
+      if (court && position > 0) {
+        await checkLeaveNow(watch, court, position, batch);
+      }
+    } catch (error) {
+      logger.error(`Error checking leave-now for watchlist ${watch._id}:`, error);
+    }
+  }
+
+  await flushBatch(batch);
+}
 
+// Work out what the board and today's cause list say about a watched case.
+// Returns an observation for the state machine plus the court and alert details.
+function observeWatch(caseNumber, courts, courtsByCourt, causeLists) {
   // Find if case is currently in any court (supports multiple formats)
   const courtWithCase = findCaseInCourts(courts, caseNumber);
 
-  if (!courtWithCase) {
-    logger.info(`Case ${caseNumber} not found in current court data`);
-    
-    // Check if this was previously in session - send completed notification
-    if (lastNotificationSent === 'in_session' || lastNotificationSent === 'approaching') {
-      const device = await Device.findOne({ deviceId, isActive: true });
-      if (device && device.fcmToken && notificationSettings.completed) {
-        await sendCaseAlert(deviceId, device.fcmToken, caseNumber, 'completed', {
-          courtNumber: '-',
-          judgeName: ''
-        });
-
-        watch.lastNotificationSent = 'completed';
-        watch.lastNotificationTime = new Date();
-        await watch.save();
-        logger.info(`Sent COMPLETED alert for case ${caseNumber} to device ${deviceId}`);
+  if (courtWithCase) {
+    logger.info(`Found case ${caseNumber} in court ${courtWithCase.courtNumber}, status: ${courtWithCase.caseStatus}, position: ${courtWithCase.queuePosition}`);
+    const sameCourt = courtsByCourt[courtWithCase.courtNumber] || [];
+    const details = {
+      sameCourt,
+      totalCases: sameCourt.filter(c => c.queuePosition).length,
+      actualCaseNumber: courtWithCase.caseNumber
+    };
+
+    switch (courtWithCase.caseStatus) {
+      case 'IN_SESSION':
+        return { observation: { kind: 'in_session' }, court: courtWithCase, position: 0, details };
+      case 'RECESS':
+        return { observation: { kind: 'recess' }, court: courtWithCase, position: null, details };
+      case 'SITTING_OVER':
+        return { observation: { kind: 'sitting_over' }, court: courtWithCase, position: null, details };
+    }
+
+    if (courtWithCase.queuePosition) {
+      // Calculate position in queue
+      const position = calculateQueuePosition(courtWithCase.caseNumber, courtWithCase, sameCourt, causeLists[courtWithCase.courtNumber]);
+      if (position !== null) {
+        return { observation: { kind: 'queued', position }, court: courtWithCase, position, details };
       }
     }
-    return;
+    return { observation: { kind: 'unknown' }, court: courtWithCase, position: null, details };
+  }
+
+  // Not on the board yet - use today's cause list to see how far away it is
+  const listed = findWatchInCauseLists(causeLists, caseNumber);
+  const boardCourt = listed ? (courtsByCourt[listed.causeList.courtNumber] || [])[0] : null;
+
+  if (!listed || !boardCourt) {
+    logger.info(`Case ${caseNumber} not found in current court data`);
+    return { observation: { kind: 'gone' }, court: null, position: null, details: {} };
+  }
+
+  const details = {
+    sameCourt: courtsByCourt[boardCourt.courtNumber] || [],
+    serialNumber: listed.entry.serialNumber,
+    totalCases: listed.causeList.entries.length,
+    actualCaseNumber: listed.entry.caseNumber
+  };
+
+  if (boardCourt.caseStatus === 'SITTING_OVER') {
+    return { observation: { kind: 'sitting_over' }, court: boardCourt, position: null, details };
+  }
+
+  const position = getQueuePosition(
+    listed.causeList, boardCourt.queuePosition, listed.entry.serialNumber, boardCourt.caseList, listed.entry.listType
+  );
+  logger.info(`Case ${caseNumber} is serial ${listed.entry.serialNumber} in court ${listed.causeList.courtNumber}, position: ${position}`);
+
+  // The court is on another list; its serial says nothing about this case
+  if (position === 'unknown') {
+    return { observation: { kind: 'unknown' }, court: boardCourt, position: null, details };
+  }
+  if (position === null) {
+    return { observation: { kind: 'passed' }, court: boardCourt, position: null, details };
+  }
+  if (boardCourt.caseStatus === 'RECESS') {
+    return { observation: { kind: 'recess', position }, court: boardCourt, position, details };
+  }
+  // The live serial is this case's although the board shows another number for it
+  if (position === 0) {
+    return { observation: { kind: 'in_session' }, court: boardCourt, position: 0, details };
+  }
+  return { observation: { kind: 'queued', position }, court: boardCourt, position, details };
+}
+
+// Process individual watchlist item: move its state machine for today and
+// notify on transitions the watch has enabled. Returns how far the case is
+// from being heard (0 = in session), or null when that isn't known.
+// Changes are collected in the batch; nothing is saved here.
+async function processWatchlistItem(watch, observed, batch) {
+  const { observation, court, position, details } = observed;
+
+  // Each hearing day starts over from pending
+  const day = getListDate();
+  const current = watch.notificationState && watch.notificationState.day === day
+    ? watch.notificationState
+    : { day, state: 'pending', heard: false };
+
+  const target = nextState(current.state, observation, {
+    earlyWarningCount: getEarlyWarningCount(watch),
+    heard: current.heard
+  });
+
+  if (target) {
+    await applyTransition(watch, current, target, observation, court, position, details, batch);
+  }
+
+  // Kept for conflict checks across the device's other watches
+  recordHearingWindow(watch, court, position);
+
+  // Early enough to still get there: the "leave now" alert
+  if (court && position > 0) {
+    await checkLeaveNow(watch, court, position, batch);
+  }
+
+  if (watch.rules && watch.rules.length > 0) {
+    await applyRules(watch, [buildRuleContext(watch, court, position)], batch);
+  }
+
+  return position;
+}
+
+const getLeaveNowConfig = () => ({
+  defaultBufferMinutes: parseInt(process.env.LEAVE_NOW_DEFAULT_BUFFER) || 10,
+  resendMinutes: parseInt(process.env.LEAVE_NOW_RESEND_MINUTES) || 10, // ETA must move this much earlier to resend
+  maxTravelMinutes: 600
+});
+
+// Send "leave now" once the earliest likely call time, less the travel time
+// and lead buffer, has come. Sent once per day, and again when the ETA moves
+// earlier by LEAVE_NOW_RESEND_MINUTES or more.
+async function checkLeaveNow(watch, court, position, batch, now = new Date()) {
+  const settings = watch.notificationSettings || {};
+  if (settings.leaveNow === false) return;
+
+  const config = getLeaveNowConfig();
+  const eta = predictEta({
+    courthouse: watch.courthouse,
+    courtNumber: court.courtNumber,
+    judgeName: court.judgeName,
+    listType: court.caseList,
+    position,
+    now
+  });
+  if (!eta || !eta.earliestAt) return;
+
+  // Nobody travels this long to court; don't look the device up yet
+  const minutesToCall = (eta.earliestAt - now) / 60000;
+  if (minutesToCall > config.maxTravelMinutes + config.defaultBufferMinutes) return;
+
+  const day = getListDate(now);
+  const previous = watch.leaveNowAlert && watch.leaveNowAlert.day === day ? watch.leaveNowAlert : null;
+  if (previous && eta.earliestAt > new Date(previous.etaAt).getTime() - config.resendMinutes * 60000) return;
+
+  let travelMinutes = settings.travelMinutes;
+  let leadBufferMinutes = settings.leadBufferMinutes;
+  const device = batch.devices.get(watch.deviceId);
+  if (travelMinutes === null || travelMinutes === undefined) travelMinutes = device ? device.travelMinutes : null;
+  if (leadBufferMinutes === null || leadBufferMinutes === undefined) {
+    leadBufferMinutes = device && device.leadBufferMinutes !== null && device.leadBufferMinutes !== undefined
+      ? device.leadBufferMinutes
+      : config.defaultBufferMinutes;
   }
 
-  logger.info(`Found case ${caseNumber} in court ${courtWithCase.courtNumber}, status: ${courtWithCase.caseStatus}, position: ${courtWithCase.queuePosition}`);
+  // Without a travel time there is nothing to time the alert on
+  if (travelMinutes === null || travelMinutes === undefined) return;
+  if (minutesToCall > travelMinutes + leadBufferMinutes) return;
 
-  // Get device FCM token
-  const device = await Device.findOne({ deviceId, isActive: true });
-  if (!device || !device.fcmToken) {
-    logger.warn(`Device ${deviceId} not found or no FCM token`);
+  if (!canDeliver(device)) {
+    logger.warn(`Device ${watch.deviceId} not found or has no delivery channel`);
     return;
   }
 
-  // Case is currently in session
-  if (courtWithCase.caseStatus === 'IN_SESSION') {
-    if (notificationSettings.inSession && lastNotificationSent !== 'in_session') {
-      await sendCaseAlert(deviceId, device.fcmToken, caseNumber, 'in_session', {
-        courtNumber: courtWithCase.courtNumber,
-        judgeName: courtWithCase.judgeName,
-        streamUrl: courtWithCase.streamUrl,
-        benchType: courtWithCase.benchType,
-        gsrno: courtWithCase.gsrno,
-        actualCaseNumber: courtWithCase.caseNumber // Include actual case number
+  await sendCaseAlert(device, watch.caseNumber, 'leave_now', {
+    courtNumber: court.courtNumber,
+    judgeName: court.judgeName,
+    position,
+    etaAt: eta.earliestAt.toISOString(),
+    etaTime: formatIstTime(eta.earliestAt),
+    travelMinutes,
+    leadBufferMinutes,
+    resent: !!previous
+  });
+
+  watch.leaveNowAlert = { day, sentAt: now, etaAt: eta.earliestAt };
+  batch.dirty.add(watch);
+  logger.info(`Sent ${previous ? 'updated ' : ''}LEAVE_NOW alert for case ${watch.caseNumber} (expected ${formatIstTime(eta.earliestAt)})`);
+}
+
+// Board fields alert rules can test, for a watch and the court row it is in
+function buildRuleContext(watch, court, position) {
+  const eta = court && position !== null && position !== undefined
+    ? predictEta({
+      courthouse: watch.courthouse,
+      courtNumber: court.courtNumber,
+      judgeName: court.judgeName,
+      listType: court.caseList,
+      position
+    })
+    : null;
+
+  return {
+    caseNumber: watch.caseNumber,
+    courtNumber: court ? court.courtNumber : null,
+    serialNumber: court ? court.queuePosition : null,
+    status: court ? court.caseStatus : null,
+    listType: court ? court.caseList : null,
+    judge: court ? court.judgeName : null,
+    position: position === undefined ? null : position,
+    etaMinutes: eta ? eta.expectedMinutes : null
+  };
+}
+
+// Evaluate a watch's alert rules and send the ones that fire
+async function applyRules(watch, contexts, batch) {
+  const { fired, changed } = evaluateRules(watch, contexts);
+  if (!changed) return;
+
+  if (fired.length > 0) {
+    const device = batch.devices.get(watch.deviceId);
+
+    for (const { rule, context, message } of fired) {
+      sendDeviceUpdate(watch.deviceId, {
+        type: 'custom_rule',
+        watchId: watch._id,
+        ruleId: rule._id,
+        ruleName: rule.name,
+        message,
+        ...context
       });
 
-      watch.lastNotificationSent = 'in_session';
+      if (!canDeliver(device)) {
+        logger.warn(`Device ${watch.deviceId} not found or has no delivery channel`);
+        continue;
+      }
+
+      // The nickname only goes in the title; logs, the outbox and the
+      // payload keep the real case number
+      await sendCaseAlert(device, watch.caseNumber, 'custom_rule', {
+        nickname: watch.nickname || null,
+        ruleName: rule.name,
+        message,
+        courtNumber: context.courtNumber,
+        judgeName: context.judge,
+        position: context.position
+      });
+      logger.info(`Rule "${rule.name}" fired for watch ${watch._id} (${watch.caseNumber})`);
+    }
+  }
+
+  batch.dirty.add(watch);
+}
+
+// Court and judge watches only carry rules here; their built-in alerts come from targetWatchService
+async function processTargetRules(watches, courts, batch) {
+  for (const watch of watches) {
+    try {
+      const contexts = findTargetCourts(watch, courts).map(court => buildRuleContext(watch, court, null));
+      await applyRules(watch, contexts, batch);
+    } catch (error) {
+      logger.error(`Error evaluating rules of watch ${watch._id}:`, error);
+    }
+  }
+}
+
+// Record a transition for the day and send its alert when the watch wants it
+async function applyTransition(watch, current, target, observation, court, position, details, batch) {
+  const { deviceId, caseNumber, notificationSettings } = watch;
+  let notified = false;
+
+  if (shouldNotify(notificationSettings, target)) {
+    const device = getBatchDevice(batch, deviceId);
+    if (device) {
+      await sendCaseAlert(device, caseNumber, target, buildAlertDetails(watch, target, court, position, details));
+      notified = true;
+      watch.lastNotificationSent = target;
       watch.lastNotificationTime = new Date();
-      await watch.save();
-      logger.info(`Sent IN_SESSION alert for case ${caseNumber} to device ${deviceId}`);
+      logger.info(`Sent ${target.toUpperCase()} alert for case ${caseNumber} to device ${deviceId}`);
     }
   }
-  // Check for approaching/early warning based on queue position
-  else if (courtWithCase.queuePosition) {
-    // Get all cases in the same court to determine queue
-    const sameCourt = courtsByCourt[courtWithCase.courtNumber] || [];
-    
-    // Calculate position in queue
-    const position = calculateQueuePosition(courtWithCase.caseNumber, courtWithCase, sameCourt);
-    
-    if (position !== null) {
-      const earlyWarningThreshold = parseInt(process.env.NOTIFICATION_EARLY_WARNING_COUNT || 5);
-      
-      // Early warning: Case is N positions away
-      if (position <= earlyWarningThreshold && position > 1) {
-        if (notificationSettings.earlyWarning && 
-            (lastNotificationSent === 'none' || lastNotificationSent === 'completed')) {
-          await sendCaseAlert(deviceId, device.fcmToken, caseNumber, 'early_warning', {
-            courtNumber: courtWithCase.courtNumber,
-            position: position,
-            judgeName: courtWithCase.judgeName,
-            gsrno: courtWithCase.gsrno,
-            totalCases: sameCourt.filter(c => c.queuePosition).length,
-            actualCaseNumber: courtWithCase.caseNumber
-          });
-
-          watch.lastNotificationSent = 'early_warning';
-          watch.lastNotificationTime = new Date();
-          await watch.save();
-          logger.info(`Sent EARLY_WARNING alert for case ${caseNumber} (position: ${position})`);
-        }
-      }
-      
-      // Approaching: Case is next in line
-      if (position === 1) {
-        if (notificationSettings.approaching && 
-            lastNotificationSent !== 'approaching' && 
-            lastNotificationSent !== 'in_session') {
-          await sendCaseAlert(deviceId, device.fcmToken, caseNumber, 'approaching', {
-            courtNumber: courtWithCase.courtNumber,
-            judgeName: courtWithCase.judgeName,
-            gsrno: courtWithCase.gsrno,
-            currentCase: getCurrentCase(sameCourt),
-            actualCaseNumber: courtWithCase.caseNumber
-          });
-
-          watch.lastNotificationSent = 'approaching';
-          watch.lastNotificationTime = new Date();
-          await watch.save();
-          logger.info(`Sent APPROACHING alert for case ${caseNumber}`);
-        }
-      }
+
+  watch.notificationState = {
+    day: current.day,
+    state: target,
+    heard: current.heard || target === 'in_session',
+    updatedAt: new Date()
+  };
+  batch.dirty.add(watch);
+
+  const transition = {
+    watchId: watch._id,
+    deviceId,
+    caseNumber,
+    day: current.day,
+    from: current.state,
+    to: target,
+    observation: observation.kind,
+    courtNumber: court ? court.courtNumber : null,
+    position,
+    notified,
+    at: new Date()
+  };
+  batch.transitions.push(transition);
+  batch.webhookEvents.push(transitionEvent(watch, transition));
+
+  logger.info(`Watch ${watch._id} (${caseNumber}): ${current.state} -> ${target}`);
+}
+
+function buildAlertDetails(watch, state, court, position, details) {
+  const base = {
+    courtNumber: court ? court.courtNumber : '-',
+    judgeName: court ? court.judgeName : '',
+    gsrno: court ? court.gsrno : undefined,
+    serialNumber: details.serialNumber,
+    actualCaseNumber: details.actualCaseNumber
+  };
+
+  switch (state) {
+    case 'early_warning': {
+      const eta = court ? predictEta({
+        courthouse: watch.courthouse,
+        courtNumber: court.courtNumber,
+        judgeName: court.judgeName,
+        listType: court.caseList,
+        position
+      }) : null;
+      return {
+        ...base,
+        position,
+        totalCases: details.totalCases,
+        etaTime: eta && eta.expectedAt ? formatIstTime(eta.expectedAt) : undefined
+      };
     }
+    case 'approaching':
+      return { ...base, currentCase: getCurrentCase(details.sameCourt || []) };
+    case 'in_session':
+      return { ...base, streamUrl: court.streamUrl, benchType: court.benchType };
+    case 'recess':
+    case 'resumed':
+      return { ...base, position };
+    default:
+      return base;
+  }
+}
+
+// Find a watch in today's cause lists. COURT:n:serial watches resolve to that serial in court n.
+function findWatchInCauseLists(causeLists, caseIdentifier) {
+  const parsed = parseCaseIdentifier(caseIdentifier);
+
+  if (parsed.type === 'position') {
+    const causeList = causeLists[parsed.courtNumber];
+    return causeList ? { causeList, entry: { serialNumber: parsed.position, caseNumber: caseIdentifier } } : null;
   }
+
+  return findCaseInCauseLists(causeLists, parsed.caseNumber, parsed.courtNumber || null);
 }
 
 // Calculate queue position for a case
-function calculateQueuePosition(caseNumber, courtWithCase, sameCourt) {
+function calculateQueuePosition(caseNumber, courtWithCase, sameCourt, causeList = null) {
+  // With today's cause list, count listed matters between the live serial and this case
+  if (causeList) {
+    const listed = findCaseInCauseLists({ [causeList.courtNumber]: causeList }, caseNumber);
+    if (listed) {
+      const position = getQueuePosition(
+        causeList, courtWithCase.queuePosition, listed.entry.serialNumber, courtWithCase.caseList, listed.entry.listType
+      );
+      return position === 'unknown' ? null : position;
+    }
+  }
+
   // If court has queuePosition (parsed from gsrno)
   if (courtWithCase.queuePosition !== null) {
     // Count how many cases have lower queue positions
@@ -249,111 +740,112 @@ function getCurrentCase(sameCourt) {
   return inSession ? inSession.caseNumber : null;
 }
 
-// Save case history
-async function saveCaseHistory(courts, scrapedAt) {
-  try {
-    const historyEntries = [];
-
-    for (const court of courts) {
-      if (court.caseNumber) {
-        historyEntries.push({
-          caseNumber: court.caseNumber,
-          courthouse: 'Gujarat High Court',
-          courtNumber: court.courtNumber,
-          judgeName: court.judgeName,
-          benchType: court.benchType,
-          caseList: court.caseList,
-          status: court.caseStatus,
-          sessionStartTime: court.caseStatus === 'IN_SESSION' ? new Date() : null,
-          position: court.queuePosition,
-          gsrno: court.gsrno,
-          streamUrl: court.streamUrl,
-          isLive: court.isLive,
-          scrapedAt: new Date(scrapedAt)
-        });
-      }
-    }
+// Active watch counts for a set of case filters (from caseQuery), in two aggregations
+async function countWatchesByCase(queries) {
+  const caseKeys = [...new Set(queries.filter(q => q.caseKey).map(q => q.caseKey))];
+  const caseNumbers = [...new Set(queries.filter(q => !q.caseKey).map(q => q.caseNumber))];
+  const counts = new Map();
+
+  const countBy = async (field, values) => {
+    if (values.length === 0) return;
+    const groups = await Watchlist.aggregate([
+      { $match: { isActive: true, [field]: { $in: values } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+    ]);
+    groups.forEach(group => counts.set(`${field}:${group._id}`, group.count));
+  };
 
-    if (historyEntries.length > 0) {
-      await CaseHistory.insertMany(historyEntries, { ordered: false }).catch(err => {
-        // Ignore duplicate key errors
-        if (err.code !== 11000) throw err;
-      });
-      logger.info(`Saved ${historyEntries.length} case history entries`);
-    }
-  } catch (error) {
-    logger.error('Error saving case history:', error);
-  }
+  await countBy('caseKey', caseKeys);
+  await countBy('caseNumber', caseNumbers);
+  return counts;
 }
 
-// Update case statistics
-async function updateCaseStatistics(courts) {
-  try {
-    for (const court of courts) {
-      if (!court.caseNumber) continue;
-
-      const stats = await CaseStatistics.findOne({ caseNumber: court.caseNumber });
-
-      if (stats) {
-        // Update existing statistics
-        stats.lastSeen = new Date();
-        stats.totalAppearances += 1;
-        
-        if (!stats.courts.includes(court.courtNumber)) {
-          stats.courts.push(court.courtNumber);
-        }
-        
-        if (!stats.judges.includes(court.judgeName)) {
-          stats.judges.push(court.judgeName);
-        }
-        
-        stats.statusHistory.push({
-          status: court.caseStatus,
-          timestamp: new Date(),
-          courtNumber: court.courtNumber,
-          queuePosition: court.queuePosition,
-          gsrno: court.gsrno
-        });
+const statsKey = (query) => query.caseKey ? `caseKey:${query.caseKey}` : `caseNumber:${query.caseNumber}`;
 
+// Update case statistics for courts that changed. Board event consumer.
+// Existing statistics and watch counts are loaded for all changed courts at
+// once and every update goes out in a single bulkWrite. Baseline events of
+// the first board after a start are not changes and would count every case
+// on the board as a new appearance, so they are skipped.
+async function updateCaseStatistics(courtData, events) {
+  try {
+    const courthouse = courtData.courthouse || DEFAULT_COURTHOUSE;
+    const timer = startStageTimer();
+
+    const changes = (events || []).filter(event => !event.baseline);
+    const changed = getChangedCourts(courtData.courts, changes).filter(({ court }) => court.caseNumber);
+    if (changed.length === 0) return;
+
+    // Statistics and watch counts are keyed on the canonical case number when it parses
+    const queries = changed.map(({ court }) => caseQuery(court.caseNumber));
+    const keyed = queries.filter(q => q.caseKey).map(q => q.caseKey);
+    const unkeyed = queries.filter(q => !q.caseKey).map(q => q.caseNumber);
+
+    const existing = await CaseStatistics.find({
+      $or: [{ caseKey: { $in: keyed } }, { caseNumber: { $in: unkeyed } }]
+    }).select('caseKey caseNumber').lean();
+    const known = new Set(existing.flatMap(stats => [
+      `caseKey:${stats.caseKey}`,
+      `caseNumber:${stats.caseNumber}`
+    ]));
+    const watchCounts = await countWatchesByCase(queries);
+    timer.mark('load');
+
+    const now = new Date();
+    const operations = changed.map(({ court, types }, i) => {
+      const query = queries[i];
+      const key = statsKey(query);
+
+      // A case only makes a new appearance when it is first put up in a court
+      const isNewAppearance = types.includes('case_started') || types.includes('case_changed');
+      const isNew = !known.has(key);
+      known.add(key);
+
+      const update = {
+        $set: {
+          lastSeen: now,
+          watchCount: watchCounts.get(key) || 0
+        },
+        $addToSet: {
+          courts: court.courtNumber,
+          judges: court.judgeName
+        },
         // Keep only last 100 status history entries to avoid bloat
-        if (stats.statusHistory.length > 100) {
-          stats.statusHistory = stats.statusHistory.slice(-100);
+        $push: {
+          statusHistory: {
+            $each: [{
+              status: court.caseStatus,
+              timestamp: now,
+              courtNumber: court.courtNumber,
+              queuePosition: court.queuePosition,
+              gsrno: court.gsrno
+            }],
+            $slice: -100
+          }
         }
+      };
 
-        // Get watch count
-        const watchCount = await Watchlist.countDocuments({ 
-          caseNumber: court.caseNumber, 
-          isActive: true 
-        });
-        stats.watchCount = watchCount;
-
-        await stats.save();
-      } else {
-        // Create new statistics
-        const watchCount = await Watchlist.countDocuments({ 
-          caseNumber: court.caseNumber, 
-          isActive: true 
-        });
-
-        await CaseStatistics.create({
-          caseNumber: court.caseNumber,
-          courthouse: 'Gujarat High Court',
-          firstSeen: new Date(),
-          lastSeen: new Date(),
-          totalAppearances: 1,
-          courts: [court.courtNumber],
-          judges: [court.judgeName],
-          statusHistory: [{
-            status: court.caseStatus,
-            timestamp: new Date(),
-            courtNumber: court.courtNumber,
-            queuePosition: court.queuePosition,
-            gsrno: court.gsrno
-          }],
-          watchCount
-        });
+      if (isNew || isNewAppearance) {
+        update.$inc = { totalAppearances: 1 };
       }
-    }
+      if (isNew) {
+        update.$setOnInsert = query.caseKey
+          ? { caseNumber: court.caseNumber, courthouse, firstSeen: now }
+          : { courthouse, firstSeen: now };
+      }
+
+      return { updateOne: { filter: query, update, upsert: isNew } };
+    });
+    timer.mark('prepare');
+
+    await CaseStatistics.bulkWrite(operations, { ordered: true });
+    timer.mark('write');
+
+    recordPipelineRun(courthouse, 'statistics', timer.finish({
+      courts: changed.length,
+      created: operations.filter(op => op.updateOne.upsert).length,
+      writes: operations.length
+    }));
   } catch (error) {
     logger.error('Error updating case statistics:', error);
   }
@@ -362,29 +854,29 @@ async function updateCaseStatistics(courts) {
 // Calculate estimated wait time based on historical data
 async function calculateEstimatedWaitTime(caseNumber) {
   try {
-    const stats = await CaseStatistics.findOne({ caseNumber });
+    const stats = await CaseStatistics.findOne(caseQuery(caseNumber));
     
     if (!stats || stats.totalAppearances === 0) {
       return null;
     }
 
-    // Get recent case history
-    const recentHistory = await CaseHistory.find({
-      caseNumber,
-      status: 'IN_SESSION',
-      sessionStartTime: { $ne: null },
-      sessionEndTime: { $ne: null }
+    // Recent completed hearings of the case
+    const recentHearings = await CaseHistory.find({
+      ...caseQuery(caseNumber),
+      entryType: 'hearing',
+      sessionEndTime: { $ne: null },
+      duration: { $ne: null }
     })
-    .sort({ createdAt: -1 })
+    .sort({ sessionStartTime: -1 })
     .limit(10);
 
-    if (recentHistory.length === 0) {
+    if (recentHearings.length === 0) {
       return null;
     }
 
     // Calculate average duration
-    const totalDuration = recentHistory.reduce((sum, h) => sum + (h.duration || 0), 0);
-    const avgDuration = totalDuration / recentHistory.length;
+    const totalDuration = recentHearings.reduce((sum, h) => sum + h.duration, 0);
+    const avgDuration = totalDuration / recentHearings.length;
 
     return Math.round(avgDuration);
   } catch (error) {
@@ -393,16 +885,50 @@ async function calculateEstimatedWaitTime(caseNumber) {
   }
 }
 
-// Get detailed queue information for a specific court
-async function getCourtQueueInfo(courtNumber) {
+// Get detailed queue information for a specific court from today's cause list
+// and the live serial number on the board
+async function getCourtQueueInfo(courtNumber, boardCourt = null, courthouse = DEFAULT_COURTHOUSE) {
   try {
-    // This would need real-time data
-    // For now, return placeholder
+    const causeList = await getCauseList(courthouse, courtNumber);
+    const currentSerial = boardCourt ? boardCourt.queuePosition : null;
+    const judgeName = (boardCourt && boardCourt.judgeName) || (causeList && causeList.judgeName) || null;
+    const listType = boardCourt ? boardCourt.caseList : null;
+    const throughput = getThroughput({ courthouse, courtNumber, judgeName, listType });
+
+    if (!causeList) {
+      return {
+        courtNumber,
+        listDate: getListDate(),
+        hasCauseList: false,
+        totalCases: 0,
+        currentSerial,
+        currentCase: boardCourt ? boardCourt.caseNumber : null,
+        casesRemaining: null,
+        queue: [],
+        estimatedTimePerCase: Math.round(throughput.minutesPerCase * 10) / 10, // minutes
+        etaBasis: throughput.basis
+      };
+    }
+
+    const now = new Date();
+    const queue = buildQueue(causeList, currentSerial, listType).map(entry => ({
+      ...entry,
+      eta: entry.status === 'pending'
+        ? predictEta({ courthouse, courtNumber, judgeName, listType, position: entry.casesAhead + 1, now })
+        : null
+    }));
+
     return {
       courtNumber,
-      totalCases: 0,
-      currentCase: null,
-      estimatedTimePerCase: 15 // minutes
+      listDate: causeList.listDate,
+      hasCauseList: true,
+      totalCases: queue.length,
+      currentSerial,
+      currentCase: boardCourt ? boardCourt.caseNumber : null,
+      casesRemaining: queue.filter(e => e.status === 'pending').length,
+      queue,
+      estimatedTimePerCase: Math.round(throughput.minutesPerCase * 10) / 10, // minutes
+      etaBasis: throughput.basis
     };
   } catch (error) {
     logger.error('Error getting court queue info:', error);
@@ -410,10 +936,22 @@ async function getCourtQueueInfo(courtNumber) {
   }
 }
 
+// How close the nearest watched case is, per courthouse
+function getTrackingSummary() {
+  const summary = {};
+  trackingSummaries.forEach((value, courthouse) => {
+    summary[courthouse] = value;
+  });
+  return summary;
+}
+
 module.exports = {
   processCaseUpdates,
+  getTrackingSummary,
+  updateCaseStatistics,
   calculateEstimatedWaitTime,
   getCourtQueueInfo,
+  getPipelineStatus,
   parseCaseIdentifier,
   findCaseInCourts
 };
\ No newline at end of file
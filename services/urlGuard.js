@@ -0,0 +1,88 @@
+const dns = require('dns');
+const net = require('net');
+
+// Outbound URL guard.
+// Webhook URLs come from users, so they must not make the server POST to
+// itself, the private network or cloud metadata (169.254.169.254). URLs whose
+// host is a loopback, private or link-local address are refused when saved.
+// At send time every address a host name resolves to is checked as the
+// connection is made, so a name can't be pointed inside after it was
+// accepted, and redirects are not followed.
+// WEBHOOK_ALLOW_PRIVATE_TARGETS=true turns the guard off for local development.
+
+const allowPrivateTargets = () => process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true';
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3] // multicast, reserved and broadcast
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return blocked.check(address, 'ipv4');
+  if (family !== 6) return false;
+
+  // IPv4 addresses written as IPv6 (::ffff:127.0.0.1)
+  const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  return mapped ? blocked.check(mapped[1], 'ipv4') : blocked.check(address, 'ipv6');
+}
+
+// Error message when a URL points at this server or a private network, else
+// null. Host names are checked again when they are resolved (lookup below).
+function validatePublicUrl(address) {
+  if (allowPrivateTargets()) return null;
+
+  let url;
+  try {
+    url = new URL(address);
+  } catch (error) {
+    return 'a valid URL is required';
+  }
+
+  const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host)) {
+    return 'URL must not point to a loopback, private or link-local address';
+  }
+  return null;
+}
+
+// dns.lookup replacement for outbound requests: fails when the host resolves
+// to a private address
+function lookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const internal = addresses.find(entry => isPrivateAddress(entry.address));
+    if (internal && !allowPrivateTargets()) {
+      return callback(new Error(`${hostname} resolves to a private address (${internal.address})`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// axios options for requests to user-supplied URLs
+const outboundRequestOptions = () => ({ lookup, maxRedirects: 0 });
+
+module.exports = {
+  isPrivateAddress,
+  validatePublicUrl,
+  outboundRequestOptions
+};
@@ -0,0 +1,128 @@
+// Notification state machine of a watch for one hearing day.
+// Every watch starts each day in `pending` and moves forward on what the
+// board and cause list show for its case:
+//
+//   pending -> early_warning -> approaching -> in_session -> recess -> resumed -> completed
+//                                                                              \-> not_reached
+//
+// A case whose serial the court moves past without calling it is passed_over;
+// it can still be called later that day, or end the day not_reached.
+//
+// The machine itself is pure: nextState() maps the current state and an
+// observation to the state to move to, or null when nothing changes.
+
+const STATES = [
+  'pending',
+  'early_warning',
+  'approaching',
+  'in_session',
+  'recess',
+  'resumed',
+  'completed',
+  'not_reached',
+  'passed_over'
+];
+
+// Allowed moves out of each state. completed and not_reached end the day.
+const TRANSITIONS = {
+  pending: ['early_warning', 'approaching', 'in_session', 'not_reached', 'passed_over'],
+  early_warning: ['approaching', 'in_session', 'recess', 'completed', 'not_reached', 'passed_over'],
+  approaching: ['in_session', 'recess', 'completed', 'not_reached', 'passed_over'],
+  in_session: ['recess', 'completed'],
+  recess: ['resumed', 'in_session', 'completed', 'not_reached', 'passed_over'],
+  resumed: ['early_warning', 'approaching', 'in_session', 'recess', 'completed', 'not_reached', 'passed_over'],
+  passed_over: ['in_session', 'not_reached'],
+  completed: [],
+  not_reached: []
+};
+
+// notificationSettings toggle that decides whether entering a state notifies.
+// States without a toggle are tracked silently.
+const ALERT_SETTINGS = {
+  early_warning: 'earlyWarning',
+  approaching: 'approaching',
+  in_session: 'inSession',
+  recess: 'recess',
+  resumed: 'resumed',
+  completed: 'completed',
+  not_reached: 'notReached',
+  passed_over: 'passedOver'
+};
+
+// Observations, built by the tracker from the board and cause list:
+//   { kind: 'queued', position }  - listed, `position` matters away
+//   { kind: 'in_session' }        - the case is being heard
+//   { kind: 'recess' }            - the case's court is in recess
+//   { kind: 'sitting_over' }      - the court has risen for the day
+//   { kind: 'passed' }            - the court's serial is past the case
+//   { kind: 'gone' }              - not on the board or today's cause list
+//
+// context: { earlyWarningCount, heard } where heard = the case was in
+// session earlier today.
+function desiredState(state, observation, context) {
+  switch (observation.kind) {
+    case 'queued':
+      if (state === 'recess') return 'resumed';
+      if (observation.position === 1) return 'approaching';
+      if (observation.position > 1 && observation.position <= context.earlyWarningCount) return 'early_warning';
+      return null;
+
+    case 'in_session':
+      if (state === 'recess' && context.heard) return 'resumed';
+      if (state === 'resumed' && context.heard) return null;
+      return 'in_session';
+
+    case 'recess':
+      return 'recess';
+
+    case 'sitting_over':
+      return context.heard ? 'completed' : 'not_reached';
+
+    case 'passed':
+      return context.heard ? 'completed' : 'passed_over';
+
+    case 'gone':
+      return context.heard || state === 'approaching' ? 'completed' : null;
+
+    default:
+      return null;
+  }
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// The state to move to, or null to stay
+function nextState(state, observation, context = {}) {
+  const target = desiredState(state, observation, {
+    earlyWarningCount: 5,
+    heard: false,
+    ...context
+  });
+
+  if (!target || target === state || !canTransition(state, target)) return null;
+  return target;
+}
+
+// Whether entering `state` should notify this watch
+function shouldNotify(notificationSettings, state) {
+  const setting = ALERT_SETTINGS[state];
+  return !!setting && !!notificationSettings && notificationSettings[setting] !== false;
+}
+
+// Early warning distance for a watch: its own setting or NOTIFICATION_EARLY_WARNING_COUNT
+function getEarlyWarningCount(watch) {
+  const own = watch.notificationSettings && watch.notificationSettings.earlyWarningCount;
+  return own || parseInt(process.env.NOTIFICATION_EARLY_WARNING_COUNT || 5);
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  ALERT_SETTINGS,
+  nextState,
+  canTransition,
+  shouldNotify,
+  getEarlyWarningCount
+};
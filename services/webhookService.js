@@ -0,0 +1,423 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { WebhookEndpoint, WebhookDelivery, Watchlist, Device } = require('../models');
+const { EVENT_TYPES } = require('./boardEvents');
+const { normalizeCaseNumber } = require('./caseNumber');
+const { validatePublicUrl, outboundRequestOptions } = require('./urlGuard');
+const logger = require('../config/logger');
+
+// Outbound webhooks for integrators.
+// Endpoints receive JSON events:
+//   case.transition      - a watched case moved through its notification states
+//   board.<event type>   - a board change (boardEvents.EVENT_TYPES) about a case in scope
+//
+// Each POST carries
+//   X-Webhook-Event      - event type
+//   X-Webhook-Delivery   - delivery id (stable across retries)
+//   X-Webhook-Signature  - t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the endpoint secret>
+//
+// Failed deliveries are retried with backoff (WEBHOOK_RETRY_DELAYS, seconds)
+// and every attempt is kept on the delivery document. A delivery being POSTed
+// is 'sending' with a lease (lockedUntil); the retry job claims deliveries
+// atomically, so a POST in flight is never sent twice, and takes over ones
+// whose lease ran out because the process died mid-send.
+
+const WEBHOOK_EVENT_TYPES = ['case.transition', ...EVENT_TYPES.map(type => `board.${type}`)];
+
+const getRetryDelays = () => (process.env.WEBHOOK_RETRY_DELAYS || '60,300,1800,7200,21600')
+  .split(',')
+  .map(seconds => parseInt(seconds) * 1000)
+  .filter(ms => ms > 0);
+
+const getTimeout = () => parseInt(process.env.WEBHOOK_TIMEOUT) || 10000;
+
+// A POST still unanswered this long after its claim is assumed lost
+const getLockMs = () => getTimeout() + 60000;
+
+const createSecret = () => crypto.randomBytes(32).toString('hex');
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function subscribesTo(endpoint, eventType) {
+  const events = endpoint.events && endpoint.events.length > 0 ? endpoint.events : ['*'];
+  return events.some(pattern =>
+    pattern === '*' ||
+    pattern === eventType ||
+    (pattern.endsWith('.*') && eventType.startsWith(pattern.slice(0, -1)))
+  );
+}
+
+// A case filter is a case number, or a prefix ending in * matched against
+// the canonical case number (SCA/*) or the number as shown (R/SCA/*). The
+// prefix must name at least a case type: '*' or '/*' alone would match every case.
+const CASE_FILTER_PREFIX = /[A-Z0-9]{2,}/;
+
+function validateCaseFilter(filter) {
+  const wanted = String(filter).trim().toUpperCase();
+  if (wanted.indexOf('*') !== -1 && wanted.indexOf('*') !== wanted.length - 1) {
+    return 'scope.caseFilter may only end with *';
+  }
+  if (wanted.endsWith('*') && !CASE_FILTER_PREFIX.test(wanted.slice(0, -1))) {
+    return 'scope.caseFilter must name at least a case type before *, e.g. SCA/*';
+  }
+  return null;
+}
+
+function matchesCaseFilter(filter, caseKey, caseNumber) {
+  if (!filter || validateCaseFilter(filter)) return false;
+  const wanted = filter.trim().toUpperCase();
+
+  if (wanted.endsWith('*')) {
+    const prefix = wanted.slice(0, -1);
+    return [caseKey, caseNumber].some(value => value && value.toUpperCase().startsWith(prefix));
+  }
+
+  const key = normalizeCaseNumber(filter);
+  return key ? key === caseKey : wanted === String(caseNumber || '').toUpperCase();
+}
+
+function validateEndpoint(body, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || body.url !== undefined) {
+    try {
+      const url = new URL(body.url);
+      const refused = validatePublicUrl(body.url);
+      if (!['http:', 'https:'].includes(url.protocol)) errors.push('url must be http or https');
+      else if (refused) errors.push(`url: ${refused}`);
+    } catch (error) {
+      errors.push('url must be a valid URL');
+    }
+  }
+
+  if (!partial) {
+    const scope = body.scope || {};
+    const set = ['deviceId', 'teamId', 'caseFilter'].filter(field => scope[field]);
+    if (set.length !== 1) errors.push('scope must have exactly one of deviceId, teamId or caseFilter');
+    if (scope.caseFilter) {
+      const error = validateCaseFilter(scope.caseFilter);
+      if (error) errors.push(error);
+    }
+  }
+
+  if (body.events !== undefined) {
+    if (!Array.isArray(body.events) || body.events.length === 0) {
+      errors.push('events must be a non-empty array');
+    } else {
+      const unknown = body.events.filter(e => e !== '*' && e !== 'board.*' && !WEBHOOK_EVENT_TYPES.includes(e));
+      if (unknown.length > 0) errors.push(`unknown events: ${unknown.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+// What each device or team scoped endpoint covers: its devices, and the cases
+// and courts those devices watch. Loaded in one pass for all endpoints.
+async function resolveScopes(endpoints) {
+  const teamIds = [...new Set(endpoints.map(e => e.scope.teamId).filter(Boolean))];
+  const teamDevices = teamIds.length > 0
+    ? await Device.find({ teamId: { $in: teamIds }, isActive: true }).select('deviceId teamId').lean()
+    : [];
+
+  const devicesOf = (endpoint) => endpoint.scope.deviceId
+    ? [endpoint.scope.deviceId]
+    : teamDevices.filter(d => d.teamId === endpoint.scope.teamId).map(d => d.deviceId);
+
+  const deviceIds = [...new Set(endpoints.flatMap(devicesOf))];
+  const watches = deviceIds.length > 0
+    ? await Watchlist.find({ deviceId: { $in: deviceIds }, isActive: true })
+      .select('deviceId caseNumber caseKey targetType target courthouse')
+      .lean()
+    : [];
+
+  const scopes = new Map();
+  endpoints.forEach(endpoint => {
+    if (endpoint.scope.caseFilter) return;
+    const devices = new Set(devicesOf(endpoint));
+    const own = watches.filter(w => devices.has(w.deviceId));
+    scopes.set(String(endpoint._id), {
+      deviceIds: devices,
+      cases: new Set(own.filter(w => !w.targetType || w.targetType === 'case').map(w => w.caseKey || w.caseNumber)),
+      courts: new Set(own.filter(w => w.targetType === 'court').map(w => `${w.courthouse}|${w.target}`))
+    });
+  });
+  return scopes;
+}
+
+// Whether an event subject ({ courthouse, deviceId, caseKey, caseNumber, courtNumber }) is in an endpoint's scope
+function inScope(endpoint, scopes, subject) {
+  if (endpoint.courthouse && subject.courthouse && endpoint.courthouse !== subject.courthouse) return false;
+
+  if (endpoint.scope.caseFilter) {
+    return matchesCaseFilter(endpoint.scope.caseFilter, subject.caseKey, subject.caseNumber);
+  }
+
+  const scope = scopes.get(String(endpoint._id));
+  if (!scope) return false;
+  if (subject.deviceId) return scope.deviceIds.has(subject.deviceId);
+  return scope.cases.has(subject.caseKey || subject.caseNumber) ||
+    scope.courts.has(`${subject.courthouse}|${subject.courtNumber}`);
+}
+
+// Case filter endpoints follow cases, not people: they don't learn who watches them
+function withoutWatcher(data) {
+  const { deviceId, watchId, ...rest } = data || {};
+  return rest;
+}
+
+// Queue events for every endpoint that wants them and make the first attempt.
+// events: [{ type, subject, data }]; returns the number of deliveries created.
+async function dispatchWebhookEvents(events) {
+  if (events.length === 0) return 0;
+
+  const endpoints = await WebhookEndpoint.find({ isActive: true });
+  if (endpoints.length === 0) return 0;
+
+  const scopes = await resolveScopes(endpoints.filter(e => !e.scope.caseFilter));
+  const createdAt = new Date();
+  const deliveries = [];
+
+  events.forEach(event => {
+    const eventId = crypto.randomUUID();
+    endpoints
+      .filter(endpoint => subscribesTo(endpoint, event.type) && inScope(endpoint, scopes, event.subject))
+      .forEach(endpoint => deliveries.push({
+        endpointId: endpoint._id,
+        eventId,
+        eventType: event.type,
+        payload: {
+          id: eventId,
+          type: event.type,
+          createdAt,
+          data: endpoint.scope.caseFilter ? withoutWatcher(event.data) : event.data
+        },
+        status: 'sending',
+        lockedUntil: new Date(createdAt.getTime() + getLockMs()),
+        nextAttemptAt: createdAt
+      }));
+  });
+
+  if (deliveries.length === 0) return 0;
+
+  const docs = await WebhookDelivery.insertMany(deliveries);
+  const byId = new Map(endpoints.map(e => [String(e._id), e]));
+
+  // First attempts run in the background; retries come from the scheduler
+  Promise.all(docs.map(doc => attemptDelivery(doc, byId.get(String(doc.endpointId)))))
+    .catch(error => logger.error('Error delivering webhooks:', error));
+
+  return docs.length;
+}
+
+// POST one delivery the caller has claimed and record the attempt
+async function attemptDelivery(delivery, endpoint) {
+  const at = new Date();
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(at.getTime() / 1000);
+  let statusCode = null;
+  let error = null;
+
+  // Endpoints saved before the URL guard existed may point inside
+  const refused = endpoint ? validatePublicUrl(endpoint.url) : null;
+
+  if (!endpoint || !endpoint.isActive) {
+    error = 'Endpoint removed or disabled';
+  } else if (refused) {
+    error = refused;
+  } else {
+    try {
+      const response = await axios.post(endpoint.url, body, {
+        timeout: getTimeout(),
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'CourtTracker-Webhooks/1.0',
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Delivery': String(delivery._id),
+          'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(endpoint.secret, timestamp, body)}`
+        },
+        validateStatus: () => true,
+        ...outboundRequestOptions()
+      });
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+    } catch (err) {
+      error = err.message;
+    }
+  }
+
+  const delays = getRetryDelays();
+  delivery.attemptCount += 1;
+  delivery.attempts.push({ at, statusCode, error, durationMs: Date.now() - at.getTime() });
+
+  delivery.lockedUntil = null;
+
+  if (!error) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = null;
+  } else if (endpoint && endpoint.isActive && delivery.attemptCount <= delays.length) {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + delays[delivery.attemptCount - 1]);
+  } else {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    logger.warn(`Webhook delivery ${delivery._id} (${delivery.eventType}) failed after ${delivery.attemptCount} attempts: ${error}`);
+  }
+  await delivery.save();
+
+  if (endpoint) {
+    await WebhookEndpoint.updateOne(
+      { _id: endpoint._id },
+      error
+        ? { $inc: { consecutiveFailures: 1 } }
+        : { $set: { lastDeliveryAt: at, consecutiveFailures: 0 } }
+    );
+  }
+
+  return delivery;
+}
+
+// Claim the next due delivery: pending ones whose backoff has passed, and
+// ones left 'sending' by a process that died mid-send
+function claimDueDelivery(now) {
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + getLockMs()) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+// Retry deliveries whose backoff has passed. Run by the webhook scheduler.
+async function retryDueDeliveries(limit = 100) {
+  const now = new Date();
+  const endpoints = new Map();
+  let retried = 0;
+
+  while (retried < limit) {
+    const delivery = await claimDueDelivery(now);
+    if (!delivery) break;
+    retried += 1;
+
+    try {
+      const endpointId = String(delivery.endpointId);
+      if (!endpoints.has(endpointId)) {
+        endpoints.set(endpointId, await WebhookEndpoint.findById(delivery.endpointId));
+      }
+      await attemptDelivery(delivery, endpoints.get(endpointId));
+    } catch (error) {
+      logger.error(`Error retrying webhook delivery ${delivery._id}:`, error);
+    }
+  }
+
+  if (retried > 0) logger.info(`Retried ${retried} webhook deliveries`);
+  return retried;
+}
+
+// Send a delivery again now with a fresh retry series. Returns null when the
+// delivery doesn't exist or is being sent right now.
+async function redeliver(deliveryId) {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    {
+      _id: deliveryId,
+      $or: [{ status: { $ne: 'sending' } }, { lockedUntil: { $lte: now } }]
+    },
+    {
+      $set: {
+        status: 'sending',
+        lockedUntil: new Date(now.getTime() + getLockMs()),
+        nextAttemptAt: now,
+        attemptCount: 0
+      }
+    },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const endpoint = await WebhookEndpoint.findById(delivery.endpointId);
+  return attemptDelivery(delivery, endpoint);
+}
+
+// Board event consumer: board changes about cases in scope of an endpoint
+async function publishBoardWebhooks(courtData, events) {
+  try {
+    const relevant = (events || []).filter(event => event.type !== 'court_appeared' && !event.baseline);
+    await dispatchWebhookEvents(relevant.map(event => ({
+      type: `board.${event.type}`,
+      subject: {
+        courthouse: event.courthouse,
+        caseKey: event.caseKey || normalizeCaseNumber(event.caseNumber),
+        caseNumber: event.caseNumber,
+        courtNumber: event.courtNumber
+      },
+      data: event
+    })));
+  } catch (error) {
+    logger.error('Error publishing board webhooks:', error);
+  }
+}
+
+// Webhook event for a watch state machine transition
+function transitionEvent(watch, transition) {
+  return {
+    type: 'case.transition',
+    subject: {
+      courthouse: watch.courthouse,
+      deviceId: watch.deviceId,
+      caseKey: watch.caseKey || normalizeCaseNumber(watch.caseNumber),
+      caseNumber: watch.caseNumber
+    },
+    data: {
+      watchId: String(watch._id),
+      deviceId: watch.deviceId,
+      courthouse: watch.courthouse,
+      caseNumber: watch.caseNumber,
+      caseKey: watch.caseKey || normalizeCaseNumber(watch.caseNumber),
+      day: transition.day,
+      from: transition.from,
+      to: transition.to,
+      observation: transition.observation,
+      courtNumber: transition.courtNumber,
+      position: transition.position,
+      notified: transition.notified,
+      at: transition.at || new Date()
+    }
+  };
+}
+
+// Whether a device may see and change an endpoint: it registered it, or the
+// endpoint is scoped to the device or its team
+function canManageEndpoint(endpoint, device) {
+  if (!endpoint || !device) return false;
+  return endpoint.ownerDeviceId === device.deviceId ||
+    endpoint.scope.deviceId === device.deviceId ||
+    (!!endpoint.scope.teamId && endpoint.scope.teamId === device.teamId);
+}
+
+// Endpoint as returned by the API; the secret is only shown when created
+function serializeEndpoint(endpoint, { withSecret = false } = {}) {
+  const { secret, __v, ...rest } = endpoint.toObject();
+  return withSecret ? { ...rest, secret } : rest;
+}
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  createSecret,
+  signPayload,
+  validateEndpoint,
+  canManageEndpoint,
+  dispatchWebhookEvents,
+  publishBoardWebhooks,
+  transitionEvent,
+  retryDueDeliveries,
+  redeliver,
+  serializeEndpoint
+};
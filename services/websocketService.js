@@ -1,6 +1,10 @@
 const socketIO = require('socket.io');
 const logger = require('../config/logger');
 const { Watchlist } = require('../models');
+const { normalizeCaseNumber } = require('./caseNumber');
+
+// Case rooms use the canonical case number so every spelling shares a room
+const caseRoom = (caseNumber) => `case_${normalizeCaseNumber(caseNumber) || caseNumber}`;
 
 let io;
 
@@ -49,7 +53,7 @@ function initializeWebSocket(server) {
           return;
         }
 
-        socket.join(`case_${caseNumber}`);
+        socket.join(caseRoom(caseNumber));
         logger.info(`Client ${socket.id} subscribed to case ${caseNumber}`);
         
         socket.emit('case_subscribed', { 
@@ -80,15 +84,31 @@ function initializeWebSocket(server) {
   return io;
 }
 
-// Broadcast court data update to all connected clients
-function broadcastCourtUpdate(courtData) {
+// Broadcast board changes to all connected clients. Board event consumer:
+// the full board is only resent when something on it changed.
+function broadcastCourtUpdate(courtData, events = null) {
   if (!io) return;
+  if (events && events.length === 0) return;
   
   io.emit('court_update', {
     timestamp: new Date().toISOString(),
+    courthouse: courtData.courthouse,
     summary: courtData.summary,
     courts: courtData.courts
   });
+
+  if (!events) return;
+
+  io.emit('court_events', {
+    timestamp: new Date().toISOString(),
+    courthouse: courtData.courthouse,
+    events
+  });
+
+  // Case rooms only get the events about their case
+  events
+    .filter(event => event.caseNumber)
+    .forEach(event => sendCaseUpdate(event.caseNumber, { event }));
 }
 
 // Send update to specific device
@@ -105,7 +125,7 @@ function sendDeviceUpdate(deviceId, data) {
 function sendCaseUpdate(caseNumber, data) {
   if (!io) return;
   
-  io.to(`case_${caseNumber}`).emit('case_update', {
+  io.to(caseRoom(caseNumber)).emit('case_update', {
     timestamp: new Date().toISOString(),
     caseNumber,
     ...data
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  parseCaseNumber,
+  normalizeCaseNumber,
+  caseQuery,
+  matchScore,
+  isSameCase
+} = require('../services/caseNumber');
+
+test('the spellings of one case number share a key', () => {
+  for (const text of [
+    'SCA 1234/2023',
+    'R/SCA/1234/2023',
+    'r/sca/1234/23',
+    'SCA NO. 1234 OF 2023',
+    'SPECIAL CIVIL APPLICATION 1234/2023'
+  ]) {
+    assert.strictEqual(normalizeCaseNumber(text), 'SCA/1234/2023', text);
+  }
+});
+
+test('parses type, number and year', () => {
+  const parsed = parseCaseNumber('  R/SCA/1234/2023 ');
+  assert.strictEqual(parsed.type, 'SCA');
+  assert.strictEqual(parsed.number, 1234);
+  assert.strictEqual(parsed.year, 2023);
+  assert.strictEqual(parsed.original, 'R/SCA/1234/2023');
+});
+
+test('keeps criminal appeals apart from civil revision applications', () => {
+  assert.strictEqual(normalizeCaseNumber('CR.A 5/2020'), 'CR.A/5/2020');
+  assert.strictEqual(normalizeCaseNumber('CRIMINAL APPEAL 5/2020'), 'CR.A/5/2020');
+  assert.strictEqual(normalizeCaseNumber('CRA 5/2020'), 'CRA/5/2020');
+  assert.strictEqual(isSameCase('CR.A 5/2020', 'CRA 5/2020'), false);
+});
+
+test('text that is not a case number does not parse', () => {
+  assert.strictEqual(parseCaseNumber(''), null);
+  assert.strictEqual(parseCaseNumber(null), null);
+  assert.strictEqual(normalizeCaseNumber('hello'), null);
+  assert.strictEqual(normalizeCaseNumber('Court 5 Position 3'), null);
+});
+
+test('near misses score below a match and are not the same case', () => {
+  assert.strictEqual(matchScore('SCA 1/2023', 'R/SCA/1/2023'), 1);
+  assert.strictEqual(matchScore('SCA 1/2023', 'CA 1/2023'), 0.9);
+  assert.strictEqual(matchScore('SCA 1/2023', 'SCA 2/2023'), 0);
+  assert.strictEqual(isSameCase('SCA 1/2023', 'CA 1/2023'), false);
+  assert.strictEqual(isSameCase('R/SCA/1/2023', 'sca 1/23'), true);
+});
+
+test('queries by key when the number parses, verbatim otherwise', () => {
+  assert.deepStrictEqual(caseQuery('sca 1/23'), { caseKey: 'SCA/1/2023' });
+  assert.deepStrictEqual(caseQuery('Court 5 Position 3'), { caseNumber: 'Court 5 Position 3' });
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Device } = require('../models');
+const {
+  addToken,
+  removeToken,
+  getActiveTokens,
+  deactivateAddresses,
+  markUnreachable,
+  serializeTokens
+} = require('../services/deviceTokens');
+
+const newDevice = (fields = {}) => new Device({ deviceId: 'dev-test', ...fields });
+
+// Database writes of the token helpers, in order
+const updates = [];
+Device.updateOne = async (filter, update, options) => {
+  updates.push({ filter, update, options });
+  return { modifiedCount: 1 };
+};
+
+test.beforeEach(() => {
+  updates.length = 0;
+});
+
+test('a device that only has fcmToken keeps it when a second token registers', () => {
+  const device = newDevice({ fcmToken: 'legacy' });
+  addToken(device, 'B');
+
+  assert.deepStrictEqual(getActiveTokens(device), ['legacy', 'B']);
+  assert.strictEqual(device.fcmToken, 'B');
+});
+
+test('registering a known token again reactivates it', () => {
+  const device = newDevice();
+  addToken(device, 'A');
+  device.fcmTokens[0].isActive = false;
+  device.fcmTokens[0].invalidReason = 'unregistered';
+  device.reachable = false;
+
+  addToken(device, 'A', 'phone');
+
+  assert.strictEqual(device.fcmTokens.length, 1);
+  assert.strictEqual(device.fcmTokens[0].isActive, true);
+  assert.strictEqual(device.fcmTokens[0].invalidReason, null);
+  assert.strictEqual(device.fcmTokens[0].label, 'phone');
+  assert.strictEqual(device.reachable, true);
+});
+
+test('over the cap inactive tokens are dropped first', () => {
+  const device = newDevice();
+  const day = (n) => new Date(Date.UTC(2026, 0, n));
+  for (let i = 1; i <= 5; i++) addToken(device, `T${i}`, null, day(i));
+  device.fcmTokens.find(t => t.token === 'T4').isActive = false;
+
+  addToken(device, 'T6', null, day(6));
+
+  assert.deepStrictEqual(device.fcmTokens.map(t => t.token), ['T6', 'T5', 'T3', 'T2', 'T1']);
+});
+
+test('removing the only token clears fcmToken', () => {
+  const device = newDevice();
+  addToken(device, 'A');
+  assert.strictEqual(device.fcmToken, 'A');
+
+  assert.strictEqual(removeToken(device, 'A'), true);
+  assert.strictEqual(device.fcmToken, null);
+  assert.deepStrictEqual(getActiveTokens(device), []);
+});
+
+test('removing the token of a device that only has fcmToken clears it', () => {
+  const device = newDevice({ fcmToken: 'legacy' });
+
+  assert.strictEqual(removeToken(device, 'legacy'), true);
+  assert.strictEqual(device.fcmToken, null);
+  assert.deepStrictEqual(getActiveTokens(device), []);
+});
+
+test('removing the newest token falls back to the previous active one', () => {
+  const device = newDevice();
+  addToken(device, 'A');
+  addToken(device, 'B');
+  assert.strictEqual(device.fcmToken, 'B');
+
+  assert.strictEqual(removeToken(device, 'B'), true);
+  assert.strictEqual(device.fcmToken, 'A');
+  assert.deepStrictEqual(getActiveTokens(device), ['A']);
+});
+
+test('removing an older token keeps fcmToken', () => {
+  const device = newDevice();
+  addToken(device, 'A');
+  addToken(device, 'B');
+
+  assert.strictEqual(removeToken(device, 'A'), true);
+  assert.strictEqual(device.fcmToken, 'B');
+  assert.strictEqual(removeToken(device, 'missing'), false);
+});
+
+test('an invalid token is deactivated and fcmToken moves to the next active one', async () => {
+  const device = newDevice();
+  addToken(device, 'A');
+  addToken(device, 'B');
+
+  const changed = await deactivateAddresses(device, 'fcm', ['B'], 'unregistered');
+
+  assert.strictEqual(changed, 1);
+  assert.deepStrictEqual(getActiveTokens(device), ['A']);
+  assert.strictEqual(device.fcmToken, 'A');
+  assert.deepStrictEqual(updates[0].options.arrayFilters, [{ 't.token': { $in: ['B'] }, 't.isActive': { $ne: false } }]);
+  assert.deepStrictEqual(updates[1].update, { $set: { fcmToken: 'A' } });
+});
+
+test('deactivating the last token of a legacy device clears fcmToken', async () => {
+  const device = newDevice({ fcmToken: 'legacy' });
+
+  await deactivateAddresses(device, 'fcm', ['legacy'], 'unregistered');
+
+  assert.strictEqual(device.fcmToken, null);
+  assert.deepStrictEqual(getActiveTokens(device), []);
+  assert.strictEqual(device.fcmTokens[0].invalidReason, 'unregistered');
+  assert.deepStrictEqual(serializeTokens(device).map(t => t.isActive), [false]);
+});
+
+test('tokens already deactivated are not written again', async () => {
+  const device = newDevice();
+  addToken(device, 'A');
+  await deactivateAddresses(device, 'fcm', ['A'], 'unregistered');
+  updates.length = 0;
+
+  assert.strictEqual(await deactivateAddresses(device, 'fcm', ['A'], 'unregistered'), 0);
+  assert.strictEqual(updates.length, 0);
+});
+
+test('a device is marked unreachable once, and a new token makes it reachable', async () => {
+  const device = newDevice();
+  await markUnreachable(device, 'no channel left');
+  await markUnreachable(device, 'no channel left');
+
+  assert.strictEqual(device.reachable, false);
+  assert.strictEqual(updates.length, 1);
+
+  addToken(device, 'A');
+  assert.strictEqual(device.reachable, true);
+  assert.strictEqual(device.unreachableReason, null);
+});
@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { NotificationOutbox, NotificationLog, Device } = require('../models');
+const channels = require('../services/channels');
+const adminAlertService = require('../services/adminAlertService');
+
+// The outbox takes deliver and canDeliver when it loads; stub them first
+const sends = [];
+let sendResult = { success: true, channel: 'fcm', deliveries: [] };
+channels.deliver = async (device, message) => {
+  sends.push({ deviceId: device.deviceId, message });
+  return sendResult;
+};
+channels.canDeliver = (device) => !!device && device.reachable !== false;
+
+const adminAlerts = [];
+adminAlertService.sendAdminAlert = async (title) => { adminAlerts.push(title); };
+
+NotificationOutbox.prototype.save = async function () { return this; };
+NotificationLog.prototype.save = async function () { return this; };
+NotificationLog.updateOne = async () => ({});
+
+const {
+  getOutboxConfig,
+  retryDelay,
+  enqueueAlert,
+  processOutbox
+} = require('../services/notificationOutbox');
+
+const device = (fields = {}) => ({ deviceId: 'dev-test', ...fields });
+const log = (notificationType = 'early_warning') => new NotificationLog({
+  deviceId: 'dev-test',
+  caseNumber: 'SCA/1/2024',
+  notificationType,
+  title: 'Title',
+  message: 'Body'
+});
+
+test.beforeEach(() => {
+  sends.length = 0;
+  adminAlerts.length = 0;
+  sendResult = { success: true, channel: 'fcm', deliveries: [] };
+});
+
+test('retry delay doubles from the base and stops at the maximum', () => {
+  const config = { baseDelayMs: 15000, maxDelayMs: 900000 };
+  assert.strictEqual(retryDelay(1, config), 15000);
+  assert.strictEqual(retryDelay(2, config), 30000);
+  assert.strictEqual(retryDelay(4, config), 120000);
+  assert.strictEqual(retryDelay(20, config), 900000);
+});
+
+test('a delivered alert is sent once and marked delivered', async () => {
+  const result = await enqueueAlert(device(), log(), { data: { type: 'early_warning' } });
+
+  assert.strictEqual(result.status, 'delivered');
+  assert.strictEqual(sends.length, 1);
+  assert.strictEqual(sends[0].message.title, 'Title');
+});
+
+test('an alert is saved leased before its first attempt', async () => {
+  const now = new Date();
+  const entryLog = log();
+  const saved = [];
+  const save = NotificationOutbox.prototype.save;
+  NotificationOutbox.prototype.save = async function () {
+    saved.push({ status: this.status, lockedUntil: this.lockedUntil, sent: sends.length });
+    return this;
+  };
+  try {
+    await enqueueAlert(device(), entryLog, { data: {} }, now);
+  } finally {
+    NotificationOutbox.prototype.save = save;
+  }
+
+  assert.deepStrictEqual(saved[0], {
+    status: 'sending',
+    lockedUntil: new Date(now.getTime() + getOutboxConfig().lockMs),
+    sent: 0
+  });
+  assert.strictEqual(saved[saved.length - 1].status, 'delivered');
+  assert.strictEqual(saved[saved.length - 1].lockedUntil, null);
+  assert.ok(entryLog.outboxId, 'the log points at its outbox entry');
+});
+
+test('a failed attempt is rescheduled with backoff', async () => {
+  sendResult = { success: false, channel: 'fcm', error: 'FCM unavailable', deliveries: [] };
+  const before = Date.now();
+
+  const result = await enqueueAlert(device(), log(), { data: {} });
+
+  assert.strictEqual(result.status, 'pending');
+  const wait = result.nextAttemptAt.getTime() - before;
+  assert.ok(wait >= retryDelay(1) && wait < retryDelay(1) + 5000, `retry in ${wait}ms`);
+});
+
+test('a device that cannot receive alerts dead-letters the entry without sending', async () => {
+  const result = await enqueueAlert(device({ reachable: false }), log(), { data: {} });
+
+  assert.strictEqual(result.status, 'dead');
+  assert.strictEqual(sends.length, 0);
+});
+
+test('due entries are claimed with a lease, including ones abandoned mid-send', async () => {
+  const claims = [];
+  const queue = [
+    new NotificationOutbox({
+      deviceId: 'dev-test',
+      alertType: 'approaching',
+      priority: 'critical',
+      message: { title: 'T', body: 'B' },
+      status: 'sending',
+      attemptCount: getOutboxConfig().maxAttempts - 1,
+      expiresAt: new Date(Date.now() + 60000)
+    })
+  ];
+  NotificationOutbox.findOneAndUpdate = async (filter, update, options) => {
+    claims.push({ filter, update, options });
+    return queue.shift() || null;
+  };
+  Device.findOne = async () => device();
+  sendResult = { success: false, channel: 'fcm', error: 'FCM unavailable', deliveries: [] };
+
+  const processed = await processOutbox();
+
+  assert.strictEqual(processed, 1);
+  assert.strictEqual(claims.length, 2, 'claims until nothing is due');
+
+  const { filter, update, options } = claims[0];
+  const now = filter.$or[0].nextAttemptAt.$lte;
+  assert.deepStrictEqual(filter.$or, [
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { status: 'sending', lockedUntil: { $lte: now } }
+  ]);
+  assert.strictEqual(update.$set.status, 'sending');
+  assert.strictEqual(update.$set.lockedUntil.getTime(), now.getTime() + getOutboxConfig().lockMs);
+  assert.deepStrictEqual(options.sort, { priority: 1, nextAttemptAt: 1 });
+
+  // That was its last attempt: dead-lettered, and operators told as it is critical
+  assert.strictEqual(sends.length, 1);
+  assert.deepStrictEqual(adminAlerts, ['Critical alert not delivered']);
+});
+
+test('an entry past its hearing day is dead-lettered as expired', async () => {
+  const entry = new NotificationOutbox({
+    deviceId: 'dev-test',
+    alertType: 'early_warning',
+    message: { title: 'T', body: 'B' },
+    status: 'pending',
+    expiresAt: new Date(Date.now() - 1000)
+  });
+  const queue = [entry];
+  NotificationOutbox.findOneAndUpdate = async () => queue.shift() || null;
+  Device.findOne = async () => device();
+
+  await processOutbox();
+
+  assert.strictEqual(entry.status, 'dead');
+  assert.strictEqual(entry.deadReason, 'expired');
+  assert.strictEqual(entry.lockedUntil, null);
+  assert.strictEqual(sends.length, 0);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  STATES,
+  TRANSITIONS,
+  nextState,
+  shouldNotify,
+  getEarlyWarningCount
+} = require('../services/watchStateMachine');
+
+// Walk a day of observations from pending, recording each state entered
+function run(observations, context = {}) {
+  let state = 'pending';
+  let heard = false;
+  const entered = [];
+  for (const observation of observations) {
+    const target = nextState(state, observation, { ...context, heard });
+    if (target) {
+      state = target;
+      entered.push(target);
+      if (target === 'in_session') heard = true;
+    }
+  }
+  return entered;
+}
+
+test('a case called in order goes through each alert once', () => {
+  assert.deepStrictEqual(run([
+    { kind: 'queued', position: 8 },
+    { kind: 'queued', position: 4 },
+    { kind: 'queued', position: 3 },
+    { kind: 'queued', position: 1 },
+    { kind: 'in_session' },
+    { kind: 'in_session' },
+    { kind: 'gone' }
+  ]), ['early_warning', 'approaching', 'in_session', 'completed']);
+});
+
+test('the early warning distance comes from the context', () => {
+  assert.strictEqual(nextState('pending', { kind: 'queued', position: 8 }, { earlyWarningCount: 10 }), 'early_warning');
+  assert.strictEqual(nextState('pending', { kind: 'queued', position: 8 }, { earlyWarningCount: 5 }), null);
+});
+
+test('a recess during the hearing resumes it', () => {
+  assert.deepStrictEqual(run([
+    { kind: 'queued', position: 1 },
+    { kind: 'in_session' },
+    { kind: 'recess' },
+    { kind: 'in_session' },
+    { kind: 'sitting_over' }
+  ]), ['approaching', 'in_session', 'recess', 'resumed', 'completed']);
+});
+
+test('a case the court moves past is passed over, then not reached', () => {
+  assert.deepStrictEqual(run([
+    { kind: 'queued', position: 2 },
+    { kind: 'passed' },
+    { kind: 'sitting_over' }
+  ]), ['early_warning', 'passed_over', 'not_reached']);
+});
+
+test('a passed over case can still be called', () => {
+  assert.deepStrictEqual(run([
+    { kind: 'passed' },
+    { kind: 'in_session' }
+  ]), ['passed_over', 'in_session']);
+});
+
+test('completed and not_reached end the day', () => {
+  assert.deepStrictEqual(TRANSITIONS.completed, []);
+  assert.deepStrictEqual(TRANSITIONS.not_reached, []);
+  for (const kind of ['queued', 'in_session', 'recess', 'passed', 'sitting_over', 'gone']) {
+    assert.strictEqual(nextState('completed', { kind, position: 1 }, { heard: true }), null);
+    assert.strictEqual(nextState('not_reached', { kind, position: 1 }), null);
+  }
+});
+
+test('unknown observations and a case gone before it was close change nothing', () => {
+  assert.strictEqual(nextState('early_warning', { kind: 'unknown' }), null);
+  assert.strictEqual(nextState('early_warning', { kind: 'gone' }), null);
+  assert.strictEqual(nextState('approaching', { kind: 'gone' }), 'completed');
+});
+
+test('every state has its transitions listed', () => {
+  for (const state of STATES) {
+    assert.ok(Array.isArray(TRANSITIONS[state]), state);
+    for (const to of TRANSITIONS[state]) assert.ok(STATES.includes(to), `${state} -> ${to}`);
+  }
+});
+
+test('entering a state notifies unless its toggle is off', () => {
+  assert.strictEqual(shouldNotify({}, 'approaching'), true);
+  assert.strictEqual(shouldNotify({ approaching: false }, 'approaching'), false);
+  assert.strictEqual(shouldNotify({}, 'pending'), false);
+  assert.strictEqual(shouldNotify(null, 'approaching'), false);
+});
+
+test('a watch may set its own early warning distance', () => {
+  assert.strictEqual(getEarlyWarningCount({ notificationSettings: { earlyWarningCount: 9 } }), 9);
+  assert.strictEqual(getEarlyWarningCount({ notificationSettings: {} }), parseInt(process.env.NOTIFICATION_EARLY_WARNING_COUNT || 5));
+});